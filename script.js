@@ -4,35 +4,122 @@
  * 
  * @module script
  * @version 1.0.0
- * @description Implements mobile navigation, smooth scrolling, lazy loading,
- *              form validation, and scroll-triggered animations
+ * @description Implements a module kernel that other pages can configure,
+ *              Web Vitals and error monitoring, translations with a language
+ *              switcher, consent-gated analytics events, a theme switcher,
+ *              mobile navigation, smooth scrolling with scroll-spy
+ *              highlighting and a reading progress bar, responsive
+ *              lazy-loaded images, form validation, delivery zones with
+ *              address search, live opening hours and an interactive coverage
+ *              map, a restaurant browser, a quick-order modal with a saved
+ *              cart, a testimonials carousel, and scroll-triggered animations
  */
 
-(function() {
+const FoodEase = (function() {
   'use strict';
 
   // ============================================
   // Configuration & Constants
   // ============================================
 
-  const CONFIG = Object.freeze({
+  // Sealed rather than frozen so pages can adjust values via FoodEase.configure()
+  const CONFIG = Object.seal({
     MOBILE_BREAKPOINT: 768,
     SCROLL_OFFSET: 80,
     DEBOUNCE_DELAY: 150,
     LAZY_LOAD_MARGIN: '50px',
+    LAZY_RETRY_ATTEMPTS: 2,
+    LAZY_RETRY_DELAY: 1000,
+    LAZY_PRIORITY_LIMIT: 2,
+    RESPONSIVE_IMAGE_WIDTHS: [320, 480, 640, 800, 1080, 1280, 1600, 1920],
+    SOCIAL_IMAGE_SIZE: Object.freeze({ width: 1200, height: 630 }),
+    LAZY_FALLBACK_IMAGE: 'data:image/svg+xml,' + encodeURIComponent(
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 4 3"><rect width="4" height="3" fill="#e5e7eb"/></svg>'
+    ),
     ANIMATION_THRESHOLD: 0.15,
     FORM_VALIDATION_DELAY: 300,
+    DELIVERY_ZONES_URL: 'data/delivery-zones.json',
+    MAP_MAX_ZOOM: 6,
+    ZONE_TIMEZONE: 'America/Los_Angeles',
+    ZONE_STATUS_INTERVAL: 30000,
+    CONTACT_ENDPOINT: null,
+    CONTACT_ENCODING: 'json',
+    DEFAULT_PHONE_COUNTRY: 'US',
+    REQUEST_TIMEOUT: 10000,
+    REQUEST_RETRIES: 2,
+    REQUEST_RETRY_DELAY: 500,
+    OUTBOX_STORAGE_KEY: 'foodease:contact-outbox',
+    OUTBOX_MAX_AGE: 7 * 24 * 60 * 60 * 1000,
+    DRAFT_STORAGE_PREFIX: 'foodease:draft:',
+    DRAFT_SAVE_DELAY: 500,
+    DRAFT_TTL: 24 * 60 * 60 * 1000,
+    DRAFT_EXCLUDED_FIELDS: [],
+    SPAM_HONEYPOT_FIELD: 'website',
+    SPAM_POW_FIELD: 'pow_token',
+    SPAM_POW_DIFFICULTY: 0,
+    SPAM_MIN_SUBMIT_TIME: 3000,
+    SPAM_RATE_LIMIT: 3,
+    SPAM_RATE_WINDOW: 10 * 60 * 1000,
+    SPAM_RATE_STORAGE_KEY: 'foodease:contact-submissions',
+    CAROUSEL_INTERVAL: 7000,
+    TESTIMONIALS_URL: 'data/testimonials.json',
+    RESTAURANTS_URL: 'data/restaurants.json',
+    MENUS_URL: 'data/menus.json',
+    ORDER_ENDPOINT: null,
+    ORDER_MOCK_DELAY: 800,
+    ORDER_CURRENCY: 'USD',
+    ORDER_TAX_RATE: 0.08625,
+    ORDER_MAX_QUANTITY: 20,
+    CART_STORAGE_KEY: 'foodease:cart',
+    CART_TTL: 24 * 60 * 60 * 1000,
+    // Also read by the theme bootstrap script in index.html
+    THEME_STORAGE_KEY: 'foodease:theme',
+    DEFAULT_LOCALE: 'en',
+    SUPPORTED_LOCALES: ['en', 'es', 'zh'],
+    LOCALES_URL: 'locales/{locale}.json',
+    LOCALE_STORAGE_KEY: 'foodease:locale',
+    CONSENT_STORAGE_KEY: 'foodease:consent',
+    ANALYTICS_ENDPOINT: null,
+    ANALYTICS_BATCH_SIZE: 10,
+    ANALYTICS_FLUSH_INTERVAL: 10000,
+    MONITORING_ENDPOINT: null,
+    MONITORING_MAX_ERRORS: 20,
   });
 
-  const SELECTORS = Object.freeze({
+  const SELECTORS = Object.seal({
     MOBILE_NAV_TOGGLE: '.mobile-nav-toggle',
     NAV_MENU: 'header nav',
     NAV_LINKS: 'header nav a[href^="#"]',
-    LAZY_IMAGES: 'img[loading="lazy"]',
+    LAZY_IMAGES: 'img[loading="lazy"], img[data-src], img[data-srcset]',
+    RESPONSIVE_IMAGES: 'img[src*="images.unsplash.com"], img[data-src*="images.unsplash.com"]',
+    SOCIAL_IMAGES: 'meta[property="og:image"], meta[name="twitter:image"]',
     CONTACT_FORM: '.contact-form',
+    VALIDATED_FORMS: '.contact-form, form[data-validate-form]',
+    SUBMIT_BUTTONS: '[type="submit"], button:not([type])',
+    PHONE_INPUTS: 'input[type="tel"]',
+    SPAM_PROTECTED_FORMS: '.contact-form, form[data-spam-protection]',
+    TESTIMONIALS_CAROUSEL: '.testimonials-carousel',
+    TESTIMONIAL_CARDS: '.testimonial-card',
+    CUISINES_SECTION: '#cuisines',
+    CUISINES_GRID: '.cuisines-grid',
+    CUISINE_LINKS: '.cuisine-card .btn-link',
     FORM_INPUTS: 'input, textarea',
-    ANIMATE_ON_SCROLL: '.service-card, .cuisine-card, .testimonial-card',
+    ANIMATE_ON_SCROLL: '.service-card, .cuisine-card, .testimonial-card:not(.carousel-slide)',
     HEADER: 'header[role="banner"]',
+    HEADER_ACTIONS: '.header-actions',
+    ORDER_BUTTONS: '[data-order-now]',
+    THEME_SELECT: '.theme-select',
+    LANGUAGE_SELECT: '.language-select',
+    CONSENT_SETTINGS: '[data-consent-settings]',
+    CTA_LINKS: '.btn-primary, .btn-secondary, .btn-link',
+    TRACKED_SECTIONS: 'main section[id]',
+    THEME_COLOR_META: 'meta[name="theme-color"]',
+    FOCUSABLE: 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])',
+    HERO_SEARCH: '.hero-search',
+    HERO_SEARCH_INPUT: '.hero-search input[type="search"]',
+    HERO_SEARCH_BUTTON: '.hero-search button',
+    AREAS_LIST: '.areas-list ul',
+    AREAS_MAP: '.areas-map',
   });
 
   const CLASSES = Object.freeze({
@@ -42,6 +129,10 @@
     ERROR: 'error',
     SUCCESS: 'success',
     LOADING: 'loading',
+    ACTIVE: 'active',
+    LOADED: 'loaded',
+    PLACEHOLDER: 'lazy-placeholder',
+    IMAGE_ERROR: 'image-error',
   });
 
   const ARIA = Object.freeze({
@@ -120,6 +211,131 @@
     }
   }
 
+  /**
+   * Read a JSON value from localStorage
+   * @param {string} key - Storage key
+   * @param {*} fallback - Value returned when missing, unreadable or blocked
+   * @returns {*} Stored value or fallback
+   */
+  function readStorage(key, fallback = null) {
+    try {
+      const raw = window.localStorage.getItem(key);
+      return raw === null ? fallback : JSON.parse(raw);
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  /**
+   * Write a JSON value to localStorage
+   * @param {string} key - Storage key
+   * @param {*} value - Serializable value
+   * @returns {boolean} True if the value was stored
+   */
+  function writeStorage(key, value) {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (error) {
+      console.warn(`Unable to persist ${key}`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove a value from localStorage
+   * @param {string} key - Storage key
+   */
+  function removeStorage(key) {
+    try {
+      window.localStorage.removeItem(key);
+    } catch (error) {
+      // Storage unavailable; nothing to remove
+    }
+  }
+
+  /**
+   * Generate a random unique identifier
+   * @returns {string} UUID v4 string
+   */
+  function createId() {
+    if (window.crypto?.randomUUID) {
+      return window.crypto.randomUUID();
+    }
+
+    const bytes = new Uint8Array(16);
+    window.crypto.getRandomValues(bytes);
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  /**
+   * POST JSON that must survive the page unloading, using sendBeacon and
+   * falling back to a keepalive fetch
+   * @param {string} url - Endpoint
+   * @param {Object} data - Payload
+   */
+  function sendBeacon(url, data) {
+    const body = JSON.stringify(data);
+    if (navigator.sendBeacon?.(url, new Blob([body], { type: 'application/json' }))) return;
+
+    fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true,
+    }).catch(error => console.error(`Failed to send beacon to ${url}:`, error));
+  }
+
+  /**
+   * Collect the listeners, observers and timers a module sets up in init()
+   * so its destroy() can undo them
+   * @returns {{listen: Function, add: Function, run: Function}} Teardown
+   */
+  function createTeardown() {
+    let steps = [];
+
+    return {
+      /**
+       * Add an event listener that run() removes
+       * @param {EventTarget} target - Element, document, window or MediaQueryList
+       * @param {string} type - Event type
+       * @param {Function} listener - Handler
+       * @param {Object|boolean} [options] - addEventListener options
+       */
+      listen(target, type, listener, options) {
+        if (!target?.addEventListener) return;
+        target.addEventListener(type, listener, options);
+        steps.push(() => target.removeEventListener(type, listener, options));
+      },
+
+      /**
+       * Register a cleanup step, e.g. disconnecting an observer
+       * @param {Function} step - Cleanup callback
+       */
+      add(step) {
+        if (typeof step === 'function') steps.push(step);
+      },
+
+      /**
+       * Run every step, newest first; a failing step does not stop the rest
+       */
+      run() {
+        const pending = steps.reverse();
+        steps = [];
+        pending.forEach(step => {
+          try {
+            step();
+          } catch (error) {
+            console.error('Teardown step failed:', error);
+          }
+        });
+      },
+    };
+  }
+
   /**
    * Check if element is in viewport
    * @param {Element} element - Element to check
@@ -137,141 +353,8417 @@
     return vertInView && horInView;
   }
 
+  /**
+   * Error raised for failed HTTP requests
+   * @property {number} status - HTTP status (0 for network errors and timeouts)
+   * @property {*} body - Parsed response body, when available
+   */
+  class RequestError extends Error {
+    constructor(message, { status = 0, body = null, cause } = {}) {
+      super(message, { cause });
+      this.name = 'RequestError';
+      this.status = status;
+      this.body = body;
+    }
+
+    /**
+     * Whether the request may succeed if sent again
+     * @returns {boolean} True for network errors, timeouts and 5xx responses
+     */
+    get isRetryable() {
+      return this.status === 0 || this.status >= 500;
+    }
+  }
+
+  /**
+   * Parse a response body as JSON when possible
+   * @param {Response} response - Fetch response
+   * @returns {Promise<*>} Parsed JSON, text, or null
+   */
+  async function readResponseBody(response) {
+    const text = await response.text().catch(() => '');
+    if (!text) return null;
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+
+  /**
+   * Send an HTTP request with a timeout and retry with exponential backoff
+   * Network errors, timeouts and 5xx responses are retried; other failures
+   * reject immediately with a RequestError.
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options plus timeout, retries and retryDelay
+   * @returns {Promise<*>} Parsed response body
+   */
+  async function sendRequest(url, options = {}) {
+    const {
+      timeout = CONFIG.REQUEST_TIMEOUT,
+      retries = CONFIG.REQUEST_RETRIES,
+      retryDelay = CONFIG.REQUEST_RETRY_DELAY,
+      ...fetchOptions
+    } = options;
+
+    for (let attempt = 0; ; attempt++) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+      let error;
+
+      try {
+        const response = await fetch(url, { ...fetchOptions, signal: controller.signal });
+        const body = await readResponseBody(response);
+
+        if (response.ok) return body;
+
+        error = new RequestError(`Request failed with status ${response.status}`, {
+          status: response.status,
+          body,
+        });
+      } catch (cause) {
+        const message = cause.name === 'AbortError' ? 'Request timed out' : 'Network request failed';
+        error = new RequestError(message, { cause });
+      } finally {
+        clearTimeout(timer);
+      }
+
+      if (!error.isRetryable || attempt >= retries) throw error;
+
+      const backoff = retryDelay * 2 ** attempt;
+      await new Promise(resolve => setTimeout(resolve, backoff + Math.random() * backoff * 0.2));
+    }
+  }
+
   // ============================================
-  // Mobile Navigation Module
+  // Event Bus Module
   // ============================================
 
-  const MobileNavigation = (function() {
-    let isOpen = false;
-    let navToggle = null;
-    let navMenu = null;
-    let navLinks = [];
+  const EventBus = (function() {
+    const listeners = new Map();
 
     /**
-     * Initialize mobile navigation
+     * Subscribe to an event type, or to every event with "*"
+     * @param {string} type - Event type, e.g. "cta_click"
+     * @param {Function} listener - Called with {type, detail, timestamp}
+     * @returns {Function} Unsubscribe function
+     */
+    function on(type, listener) {
+      if (!listeners.has(type)) listeners.set(type, new Set());
+      listeners.get(type).add(listener);
+      return () => off(type, listener);
+    }
+
+    /**
+     * Unsubscribe a listener
+     * @param {string} type - Event type
+     * @param {Function} listener - Listener passed to on()
+     */
+    function off(type, listener) {
+      listeners.get(type)?.delete(listener);
+    }
+
+    /**
+     * Publish an event. A failing listener does not stop the others.
+     * @param {string} type - Event type
+     * @param {Object} [detail] - Event data; never include what the visitor typed
+     */
+    function emit(type, detail = {}) {
+      const event = Object.freeze({ type, detail, timestamp: Date.now() });
+
+      [type, '*'].forEach(key => {
+        listeners.get(key)?.forEach(listener => {
+          try {
+            listener(event);
+          } catch (error) {
+            console.error(`Listener for "${type}" failed:`, error);
+          }
+        });
+      });
+    }
+
+    return { on, off, emit };
+  })();
+
+  // ============================================
+  // Internationalization Module
+  // ============================================
+
+  const I18n = (function() {
+    const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+    /**
+     * English catalog. Also the fallback for keys missing from other locales,
+     * which are loaded from CONFIG.LOCALES_URL. Plural messages are objects
+     * keyed by Intl.PluralRules category and selected by the "count" param.
+     */
+    const MESSAGES_EN = Object.freeze({
+      'page.skip': 'Skip to main content',
+      'language.label': 'Language',
+
+      'nav.label': 'Main navigation',
+      'nav.services': 'Services',
+      'nav.cuisines': 'Cuisines',
+      'nav.deliveryAreas': 'Delivery Areas',
+      'nav.reviews': 'Reviews',
+      'nav.contact': 'Contact',
+      'nav.toggle': 'Toggle navigation menu',
+      'nav.open': 'Open navigation menu',
+      'nav.close': 'Close navigation menu',
+
+      'header.signIn': 'Sign In',
+      'header.orderNow': 'Order Now',
+
+      'theme.label': 'Color theme',
+      'theme.system': 'System theme',
+      'theme.light': 'Light',
+      'theme.dark': 'Dark',
+      'theme.contrast': 'High contrast',
+
+      'hero.title': 'Delicious Food Delivered Fast to Your Doorstep',
+      'hero.subtitle': 'Order from your favorite local restaurants with real-time tracking and guaranteed delivery in 30 minutes or less',
+      'hero.searchPlaceholder': 'Enter your delivery address',
+      'hero.searchLabel': 'Enter delivery address',
+      'hero.searchButton': 'Find Restaurants',
+
+      'services.title': 'Why Choose FoodEase?',
+      'services.subtitle': 'Experience the best food delivery service with features designed for your convenience',
+
+      'cuisines.title': 'Explore Popular Cuisines',
+      'cuisines.subtitle': 'Discover a world of flavors from authentic local restaurants and international kitchens',
+      'cuisines.browseItalian': 'Browse Italian Restaurants →',
+      'cuisines.browseChinese': 'Browse Chinese Restaurants →',
+      'cuisines.browseIndian': 'Browse Indian Restaurants →',
+      'cuisine.italian': 'Italian',
+      'cuisine.chinese': 'Chinese',
+      'cuisine.indian': 'Indian',
+
+      'areas.title': 'Delivery Coverage Areas',
+      'areas.subtitle': 'We deliver to multiple neighborhoods across the city with fast and reliable service',
+      'areas.listTitle': 'Service Areas',
+
+      'reviews.title': 'What Our Customers Say',
+      'reviews.subtitle': 'Join thousands of satisfied customers who trust FoodEase for their food delivery needs',
+
+      'contact.title': 'Get in Touch',
+      'contact.subtitle': 'Have questions or feedback? We\'d love to hear from you!',
+      'contact.infoTitle': 'Contact Information',
+      'contact.formTitle': 'Send Us a Message',
+      'contact.name': 'Name',
+      'contact.email': 'Email',
+      'contact.phone': 'Phone',
+      'contact.subject': 'Subject',
+      'contact.message': 'Message',
+      'contact.send': 'Send Message',
+      'contact.required': 'required',
+
+      'zones.eta': '{minutes}-minute delivery',
+      'zones.restaurants': '{count}+ restaurants',
+      'zones.hoursDaily': 'Open {opens} - {closes} daily',
+      'zones.hours': 'Open {ranges}',
+      'zones.hoursRange': '{days} {opens} - {closes}',
+
+      'hours.openNow': 'Open now · closes in {duration}',
+      'hours.closed': 'Closed',
+      'hours.closedHoliday': 'Closed today (holiday hours)',
+      'hours.opensToday': 'Opens at {time}',
+      'hours.opensTomorrow': 'Opens tomorrow at {time}',
+      'hours.opensOn': 'Opens {weekday} at {time}',
+      'hours.holidayOpensToday': 'Holiday hours · opens at {time}',
+      'hours.holidayOpensTomorrow': 'Holiday hours · opens tomorrow at {time}',
+      'hours.holidayOpensOn': 'Holiday hours · opens {weekday} at {time}',
+
+      'map.title': 'Map of FoodEase delivery coverage areas',
+      'map.instructions': 'Use the plus and minus keys to zoom, arrow keys to pan, and 0 to reset the map.',
+      'map.zone': '{name}: {eta}-minute delivery, {restaurants}+ restaurants. Zoom to area',
+      'map.zoomIn': 'Zoom in',
+      'map.zoomOut': 'Zoom out',
+      'map.reset': 'Reset map view',
+      'map.searched': 'Searched address: {address}',
+
+      'search.empty': 'Please enter your delivery address.',
+      'search.unavailable': 'We could not check coverage right now. Please try again.',
+      'search.covered': 'Great news! {zone} delivers to {address}: about {eta} minutes • {restaurants}+ restaurants.',
+      'search.notCovered': '{address} is not covered yet. {link}.',
+      'search.requestLink': 'Ask us to deliver there',
+      'search.requestSubject': 'Delivery area request',
+      'search.requestMessage': 'Please start delivering to my address: {address}',
+
+      'phone.country': 'Country calling code',
+      'phone.option': '{country} (+{code})',
+
+      'spam.honeypot': 'Leave this field empty',
+      'spam.automated': 'Your message looks automated and was not sent. If this is a mistake, please email us at hello@foodease.com.',
+      'spam.tooFast': 'That was quick! Please take a moment to review your message, then send it again.',
+      'spam.rateLimited': {
+        one: 'You\'ve sent several messages recently. Please wait {count} minute before sending another.',
+        other: 'You\'ve sent several messages recently. Please wait {count} minutes before sending another.',
+      },
+
+      'validation.required': 'This field is required',
+      'validation.minLength': {
+        one: 'Please enter at least {count} character',
+        other: 'Please enter at least {count} characters',
+      },
+      'validation.maxLength': {
+        one: 'Please enter no more than {count} character',
+        other: 'Please enter no more than {count} characters',
+      },
+      'validation.pattern': 'Please match the requested format',
+      'validation.email': 'Please enter a valid email address',
+      'validation.phone': 'Please enter a valid phone number',
+      'validation.matches': 'The values do not match',
+      'validation.custom': 'Please enter a valid value',
+      'validation.name': 'Please enter a valid name (2-50 characters)',
+      'validation.subject': 'Subject must be between 3 and 100 characters',
+      'validation.message': 'Message must be between 10 and 1000 characters',
+
+      'form.sending': 'Sending...',
+      'form.success': 'Thank you! Your message has been sent successfully.',
+      'form.queued': 'You\'re offline. Your message is queued and will be sent automatically once you\'re back online.',
+      'form.queuedSent': {
+        one: 'Your queued message has now been sent. Thank you!',
+        other: 'Your {count} queued messages have now been sent. Thank you!',
+      },
+      'form.fixFields': 'Please correct the highlighted fields and try again.',
+      'form.networkError': 'We could not reach our server. Please check your connection and try again.',
+      'form.rateLimited': 'Too many messages sent. Please wait a moment and try again.',
+      'form.failed': 'Failed to send message. Please try again.',
+      'form.draft': 'You have an unsent draft from {time}.',
+      'form.restoreDraft': 'Restore draft',
+      'form.discardDraft': 'Discard',
+
+      'rating.label': '{value} out of 5 stars',
+
+      'testimonials.avatarAlt': '{name} customer profile',
+      'testimonials.filterLabel': 'Filter reviews by delivery area',
+      'testimonials.allAreas': 'All areas',
+
+      'carousel.label': 'Customer testimonials',
+      'carousel.previous': 'Previous testimonial',
+      'carousel.next': 'Next testimonial',
+      'carousel.choose': 'Choose a testimonial',
+      'carousel.show': 'Show testimonial {number}',
+      'carousel.slide': '{number} of {total}',
+      'carousel.play': 'Start automatic slide show',
+      'carousel.pause': 'Stop automatic slide show',
+
+      'restaurants.title': 'Browse Restaurants',
+      'restaurants.close': 'Close',
+      'restaurants.closeLabel': 'Close restaurant browser',
+      'restaurants.filters': 'Filter restaurants',
+      'restaurants.cuisine': 'Cuisine',
+      'restaurants.allCuisines': 'All cuisines',
+      'restaurants.zone': 'Delivery area',
+      'restaurants.allAreas': 'All areas',
+      'restaurants.rating': 'Rating',
+      'restaurants.anyRating': 'Any rating',
+      'restaurants.ratingAtLeast': '{rating} & up',
+      'restaurants.price': 'Price',
+      'restaurants.anyPrice': 'Any price',
+      'restaurants.priceAtMost': '{price} or less',
+      'restaurants.sort': 'Sort by',
+      'restaurants.sortEta': 'Fastest delivery',
+      'restaurants.sortRating': 'Highest rated',
+      'restaurants.openNow': 'Open now',
+      'restaurants.summary': {
+        one: 'Showing {count} restaurant.',
+        other: 'Showing {count} restaurants.',
+      },
+      'restaurants.summaryInZone': {
+        one: 'Showing {count} restaurant in {zone}.',
+        other: 'Showing {count} restaurants in {zone}.',
+      },
+      'restaurants.none': 'No restaurants match these filters. Try widening your search.',
+      'restaurants.imageAlt': '{name}, {cuisine} restaurant',
+
+      'order.close': 'Close order',
+      'order.progress': 'Step {step} of {total}',
+      'order.title.zone': 'Where should we deliver?',
+      'order.title.restaurant': 'Choose a restaurant',
+      'order.title.menu': 'Pick your dishes',
+      'order.title.cart': 'Your cart',
+      'order.title.confirmation': 'Order placed',
+      'order.title.unavailable': 'Ordering is unavailable',
+      'order.choose.zone': 'Please choose a delivery area.',
+      'order.choose.restaurant': 'Please choose a restaurant.',
+      'order.continue': 'Continue',
+      'order.back': 'Back',
+      'order.done': 'Done',
+      'order.retry': 'Try again',
+      'order.loading': 'Loading the menu...',
+      'order.loadFailed': 'We could not load the menu right now. Please check your connection and try again.',
+      'order.viewCart': {
+        one: 'View cart ({count} item)',
+        other: 'View cart ({count} items)',
+      },
+      'order.placeOrder': 'Place order · {total}',
+      'order.deliveryFeeLabel': '{fee} delivery fee',
+      'order.noRestaurants': 'No restaurants take orders in {zone} yet. Please choose another area.',
+      'order.replaceCart': 'Your cart has dishes from {restaurant}. Choosing another restaurant empties it.',
+      'order.menuLabel': '{restaurant} menu',
+      'order.addOne': 'Add one {dish}',
+      'order.removeOne': 'Remove one {dish}',
+      'order.inCart': '{dish}: {count} in your cart',
+      'order.removed': '{dish} removed from your cart',
+      'order.cartEmpty': 'Your cart is empty. Add at least one dish to continue.',
+      'order.from': 'From {restaurant}, delivering to {zone}',
+      'order.subtotal': 'Subtotal',
+      'order.deliveryFee': 'Delivery fee',
+      'order.tax': 'Tax ({rate})',
+      'order.total': 'Total',
+      'order.eta': 'Estimated delivery: about {duration}, around {time}',
+      'order.placing': 'Placing your order...',
+      'order.placed': 'Thank you! {restaurant} has your order #{id}.',
+      'order.arrives': 'It should arrive in about {duration}, around {time}.',
+      'order.charged': 'Total charged: {total}',
+      'order.failed': 'We could not place your order. Please try again.',
+      'order.networkError': 'We could not reach our server. Please check your connection and try again.',
+
+      'consent.title': 'Help us improve FoodEase',
+      'consent.text': 'May we record anonymous usage, such as which sections you view and which buttons you click? We never record what you type, and you can change your mind any time from the Cookie Policy link.',
+      'consent.accept': 'Allow analytics',
+      'consent.decline': 'No thanks',
+    });
+
+    const catalogs = new Map([[CONFIG.DEFAULT_LOCALE, MESSAGES_EN]]);
+    const listeners = new Set();
+
+    const teardown = createTeardown();
+
+    let locale = CONFIG.DEFAULT_LOCALE;
+    let pluralRules = new Intl.PluralRules(locale);
+    let localeRequest = 0;
+
+    /**
+     * Add the language switcher and load the saved or browser language.
+     * The catalog download is not awaited: other modules start in English
+     * and re-render through onChange() once it arrives, so a slow or failed
+     * download never holds up the page.
      */
     function init() {
-      createMobileToggle();
-      navMenu = safeQuerySelector(SELECTORS.NAV_MENU);
-      navLinks = Array.from(safeQuerySelectorAll(SELECTORS.NAV_LINKS));
+      const preferred = readStorage(CONFIG.LOCALE_STORAGE_KEY) || detectLocale();
 
-      if (!navToggle || !navMenu) {
-        console.warn('Mobile navigation elements not found');
-        return;
-      }
+      addI18nStyles();
+      createSwitcher();
+      teardown.listen(document, 'change', handleChange);
 
-      attachEventListeners();
-      setupKeyboardNavigation();
+      // On failure, including a timeout, the page simply stays in English
+      setLocale(preferred).catch(error => {
+        console.error(`Failed to load "${preferred}" translations:`, error);
+      });
     }
 
     /**
-     * Create mobile navigation toggle button
+     * Remove the language switchers. The active locale and loaded catalogs
+     * stay, so modules initialized later still render translated text.
      */
-    function createMobileToggle() {
-      const header = safeQuerySelector(SELECTORS.HEADER);
-      if (!header) return;
+    function destroy() {
+      teardown.run();
+    }
 
-      const existingToggle = safeQuerySelector(SELECTORS.MOBILE_NAV_TOGGLE);
-      if (existingToggle) {
-        navToggle = existingToggle;
-        return;
+    /**
+     * Match a language tag to a supported locale, e.g. "es-MX" to "es"
+     * @param {string} tag - BCP 47 language tag
+     * @returns {string|null} Supported locale
+     */
+    function matchLocale(tag) {
+      const normalized = String(tag || '').toLowerCase();
+      const language = normalized.split('-')[0];
+      return CONFIG.SUPPORTED_LOCALES.find(supported => supported === normalized)
+        || CONFIG.SUPPORTED_LOCALES.find(supported => supported === language)
+        || null;
+    }
+
+    /**
+     * Pick the first supported language from the browser preferences
+     * @returns {string} Locale
+     */
+    function detectLocale() {
+      const languages = navigator.languages?.length ? navigator.languages : [navigator.language];
+      return languages.map(matchLocale).find(Boolean) || CONFIG.DEFAULT_LOCALE;
+    }
+
+    /**
+     * Fetch a locale's catalog, giving up after CONFIG.REQUEST_TIMEOUT
+     * @param {string} code - Locale
+     * @returns {Promise<Object>} Messages
+     */
+    async function loadCatalog(code) {
+      const messages = await sendRequest(CONFIG.LOCALES_URL.replace('{locale}', code), {
+        headers: { Accept: 'application/json' },
+      });
+      if (!messages || typeof messages !== 'object') {
+        throw new Error(`Invalid "${code}" catalog`);
       }
+      return messages;
+    }
 
-      navToggle = document.createElement('button');
-      navToggle.className = 'mobile-nav-toggle';
-      navToggle.setAttribute(ARIA.EXPANDED, 'false');
-      navToggle.setAttribute('aria-label', 'Toggle navigation menu');
-      navToggle.innerHTML = `
-        <span class="hamburger-line"></span>
-        <span class="hamburger-line"></span>
-        <span class="hamburger-line"></span>
-      `;
+    /**
+     * Switch language, loading its catalog if needed, and notify listeners
+     * @param {string} requested - Locale or language tag
+     * @returns {Promise<string>} The locale now in use
+     */
+    async function setLocale(requested) {
+      const next = matchLocale(requested) || CONFIG.DEFAULT_LOCALE;
+      const request = ++localeRequest;
 
-      const headerContainer = header.querySelector('.header-container');
-      if (headerContainer) {
-        headerContainer.insertBefore(navToggle, headerContainer.lastElementChild);
+      if (!catalogs.has(next)) {
+        catalogs.set(next, await loadCatalog(next));
       }
 
-      addMobileStyles();
+      // Another language was chosen while this catalog downloaded
+      if (request !== localeRequest) return locale;
+
+      locale = next;
+      pluralRules = new Intl.PluralRules(locale);
+
+      const root = document.documentElement;
+      root.setAttribute('lang', locale);
+      root.setAttribute('dir', RTL_LANGUAGES.includes(locale.split('-')[0]) ? 'rtl' : 'ltr');
+
+      translatePage();
+      syncSwitchers();
+
+      listeners.forEach(listener => {
+        try {
+          listener(locale);
+        } catch (error) {
+          console.error('Locale change listener failed:', error);
+        }
+      });
+
+      return locale;
     }
 
     /**
-     * Add mobile navigation styles
+     * Look up a message, falling back to English and then to the key
+     * @param {string} key - Message key
+     * @param {Object} [params] - Values for {placeholders}; "count" selects plural forms
+     * @returns {string|Object} Message template
      */
-    function addMobileStyles() {
-      const styleId = 'mobile-nav-styles';
-      if (document.getElementById(styleId)) return;
+    function lookup(key, params) {
+      let message = catalogs.get(locale)?.[key] ?? MESSAGES_EN[key] ?? key;
 
-      const style = document.createElement('style');
-      style.id = styleId;
-      style.textContent = `
-        .mobile-nav-toggle {
-          display: flex;
-          flex-direction: column;
-          justify-content: space-around;
-          width: 40px;
-          height: 40px;
-          padding: 8px;
-          background: transparent;
-          border: none;
-          cursor: pointer;
-          z-index: 1000;
+      if (message && typeof message === 'object') {
+        const category = pluralRules.select(Number(params.count) || 0);
+        message = message[category] ?? message.other;
+      }
+
+      return String(message);
+    }
+
+    /**
+     * Format an interpolated value: numbers use the locale's digits and grouping
+     * @param {*} value - Value
+     * @returns {string} Display string
+     */
+    function formatValue(value) {
+      return typeof value === 'number' ? formatNumber(value) : String(value);
+    }
+
+    /**
+     * Translate a message
+     * @param {string} key - Message key
+     * @param {Object} [params] - Values for {placeholders}
+     * @returns {string} Translated text
+     */
+    function t(key, params = {}) {
+      return lookup(key, params).replace(/\{(\w+)\}/g, (match, name) =>
+        name in params ? formatValue(params[name]) : match
+      );
+    }
+
+    /**
+     * Translate a message whose params may be DOM nodes, e.g. a link or <strong>
+     * @param {string} key - Message key
+     * @param {Object} [params] - Values for {placeholders}
+     * @returns {Array<string|Node>} Pieces to pass to Element.append()
+     */
+    function tNodes(key, params = {}) {
+      return lookup(key, params)
+        .split(/(\{\w+\})/)
+        .filter(Boolean)
+        .map(part => {
+          const name = part.match(/^\{(\w+)\}$/)?.[1];
+          if (!name || !(name in params)) return part;
+          return params[name] instanceof Node ? params[name] : formatValue(params[name]);
+        });
+    }
+
+    /**
+     * Translate markup that opts in with data-i18n="key" (text) or
+     * data-i18n-attr="aria-label:key; placeholder:key" (attributes)
+     * @param {ParentNode} [root=document] - Subtree to translate
+     */
+    function translatePage(root = document) {
+      root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+      });
+
+      root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        element.dataset.i18nAttr.split(';').forEach(pair => {
+          const [attribute, key] = pair.split(':').map(part => part.trim());
+          if (attribute && key) element.setAttribute(attribute, t(key));
+        });
+      });
+    }
+
+    /**
+     * Format a number for the current locale
+     * @param {number} value - Number
+     * @param {Object} [options] - Intl.NumberFormat options
+     * @returns {string} Formatted number
+     */
+    function formatNumber(value, options) {
+      return new Intl.NumberFormat(locale, options).format(value);
+    }
+
+    /**
+     * Format a 24h "HH:MM" time, e.g. "9 AM" in English or "21:00" in Spanish
+     * @param {string} time - Time string
+     * @returns {string} Formatted time
+     */
+    function formatTime(time) {
+      const [hours, minutes = 0] = time.split(':').map(Number);
+      const probe = new Intl.DateTimeFormat(locale, { hour: 'numeric' }).resolvedOptions();
+      const uses24Hour = probe.hourCycle === 'h23' || probe.hourCycle === 'h24';
+
+      return new Intl.DateTimeFormat(locale, {
+        hour: 'numeric',
+        minute: minutes || uses24Hour ? '2-digit' : undefined,
+        timeZone: 'UTC',
+      }).format(Date.UTC(2000, 0, 1, hours % 24, minutes));
+    }
+
+    /**
+     * Format a minute count, e.g. "2h 15m"
+     * @param {number} minutes - Minutes
+     * @returns {string} Duration label
+     */
+    function formatDuration(minutes) {
+      const hours = Math.floor(minutes / 60);
+      const rest = minutes % 60;
+      const unit = (value, name) => formatNumber(value, { style: 'unit', unit: name, unitDisplay: 'narrow' });
+
+      if (!hours) return unit(rest, 'minute');
+      return rest ? `${unit(hours, 'hour')} ${unit(rest, 'minute')}` : unit(hours, 'hour');
+    }
+
+    /**
+     * Name a day of the week
+     * @param {number} day - 0 for Sunday through 6 for Saturday
+     * @param {string} [style='long'] - "long" or "short"
+     * @returns {string} Weekday name
+     */
+    function formatWeekday(day, style = 'long') {
+      // 2000-01-02 was a Sunday
+      return new Intl.DateTimeFormat(locale, { weekday: style, timeZone: 'UTC' })
+        .format(Date.UTC(2000, 0, 2 + day));
+    }
+
+    /**
+     * Describe a past or future timestamp relative to now, e.g. "5 minutes ago"
+     * @param {number} timestamp - Milliseconds since epoch
+     * @returns {string} Relative time
+     */
+    function formatRelativeTime(timestamp) {
+      const minutes = Math.round((timestamp - Date.now()) / 60000);
+      const formatter = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+
+      if (Math.abs(minutes) < 60) return formatter.format(minutes, 'minute');
+      if (Math.abs(minutes) < 24 * 60) return formatter.format(Math.round(minutes / 60), 'hour');
+      return formatter.format(Math.round(minutes / (24 * 60)), 'day');
+    }
+
+    /**
+     * Name a country or region, falling back to the given name
+     * @param {string} region - ISO 3166 code
+     * @param {string} fallback - Name to use without Intl.DisplayNames
+     * @returns {string} Region name
+     */
+    function formatRegion(region, fallback) {
+      try {
+        return new Intl.DisplayNames([locale], { type: 'region' }).of(region) || fallback;
+      } catch (error) {
+        return fallback;
+      }
+    }
+
+    /**
+     * Name a language in its own language, e.g. "Español"
+     * @param {string} code - Locale
+     * @returns {string} Language name
+     */
+    function getLanguageName(code) {
+      try {
+        const name = new Intl.DisplayNames([code], { type: 'language' }).of(code) || code;
+        return name.charAt(0).toLocaleUpperCase(code) + name.slice(1);
+      } catch (error) {
+        return code;
+      }
+    }
+
+    /**
+     * Add the language select to the header actions
+     */
+    function createSwitcher() {
+      const headerActions = safeQuerySelector(SELECTORS.HEADER_ACTIONS);
+      if (!headerActions || CONFIG.SUPPORTED_LOCALES.length < 2) return;
+
+      const select = document.createElement('select');
+      select.className = 'language-select';
+      select.setAttribute('data-i18n-attr', 'aria-label: language.label');
+      select.setAttribute('aria-label', t('language.label'));
+
+      CONFIG.SUPPORTED_LOCALES.forEach(code => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.lang = code;
+        option.textContent = getLanguageName(code);
+        select.appendChild(option);
+      });
+
+      headerActions.prepend(select);
+      teardown.add(() => select.remove());
+      syncSwitchers();
+    }
+
+    /**
+     * Handle a change from any language select, including the copy in the mobile drawer
+     * @param {Event} event - Change event
+     */
+    function handleChange(event) {
+      if (!event.target.matches?.(SELECTORS.LANGUAGE_SELECT)) return;
+
+      const requested = event.target.value;
+      writeStorage(CONFIG.LOCALE_STORAGE_KEY, requested);
+      setLocale(requested).catch(error => {
+        console.error(`Failed to load "${requested}" translations:`, error);
+        syncSwitchers();
+      });
+    }
+
+    /**
+     * Show the current locale in every language select
+     */
+    function syncSwitchers() {
+      safeQuerySelectorAll(SELECTORS.LANGUAGE_SELECT).forEach(select => {
+        select.value = locale;
+        // Keep the selected attribute current so cloned selects match
+        Array.from(select.options).forEach(option => {
+          option.defaultSelected = option.value === locale;
+        });
+      });
+    }
+
+    /**
+     * Subscribe to language changes so dynamic content can re-render
+     * @param {Function} listener - Called with the new locale
+     * @returns {Function} Unsubscribe function
+     */
+    function onChange(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+
+    /**
+     * Get the current locale
+     * @returns {string} Locale
+     */
+    function getLocale() {
+      return locale;
+    }
+
+    /**
+     * Add language select styles
+     */
+    function addI18nStyles() {
+      const styleId = 'i18n-styles';
+      if (document.getElementById(styleId)) return;
+
+      const style = document.createElement('style');
+      style.id = styleId;
+      style.textContent = `
+        .language-select {
+          padding: var(--space-xs) var(--space-sm);
+          border: 1px solid var(--color-border);
+          border-radius: var(--radius-md);
+          background-color: var(--color-background);
+          color: var(--color-text-primary);
+          font-size: var(--font-size-sm);
+        }
+
+        @media (max-width: 767px) {
+          .header-actions .language-select {
+            display: none;
+          }
+        }
+      `;
+      document.head.appendChild(style);
+    }
+
+    return {
+      init,
+      destroy,
+      t,
+      tNodes,
+      setLocale,
+      getLocale,
+      onChange,
+      translatePage,
+      formatNumber,
+      formatTime,
+      formatDuration,
+      formatWeekday,
+      formatRelativeTime,
+      formatRegion,
+    };
+  })();
+
+  // ============================================
+  // Theme Module
+  // ============================================
+
+  const Theme = (function() {
+    const CHOICES = Object.freeze(['system', 'light', 'dark', 'contrast']);
+    const teardown = createTeardown();
+
+    let choice = 'system';
+    let darkQuery = null;
+    let contrastQuery = null;
+
+    /**
+     * Initialize the theme switcher. Runs before MobileNavigation so the
+     * switcher is copied into the mobile drawer along with the header actions.
+     */
+    function init() {
+      const stored = readStorage(CONFIG.THEME_STORAGE_KEY, 'system');
+      choice = CHOICES.includes(stored) ? stored : 'system';
+
+      darkQuery = window.matchMedia?.('(prefers-color-scheme: dark)') || null;
+      contrastQuery = window.matchMedia?.('(prefers-contrast: more)') || null;
+      [darkQuery, contrastQuery].forEach(query => {
+        teardown.listen(query, 'change', () => {
+          if (choice === 'system') apply();
+        });
+      });
+
+      addThemeStyles();
+      createSwitcher();
+      teardown.listen(document, 'change', handleChange);
+
+      apply();
+    }
+
+    /**
+     * Remove the switcher and media query listeners and fall back to the
+     * stylesheet's default theme
+     */
+    function destroy() {
+      teardown.run();
+      document.documentElement.removeAttribute('data-theme');
+      darkQuery = null;
+      contrastQuery = null;
+    }
+
+    /**
+     * Resolve a choice to the theme that is actually shown
+     * @param {string} value - "system", "light", "dark" or "contrast"
+     * @returns {string} "light", "dark" or "contrast"
+     */
+    function resolve(value) {
+      if (value !== 'system') return value;
+      if (contrastQuery?.matches) return 'contrast';
+      return darkQuery?.matches ? 'dark' : 'light';
+    }
+
+    /**
+     * Add the theme select to the header actions
+     */
+    function createSwitcher() {
+      const headerActions = safeQuerySelector(SELECTORS.HEADER_ACTIONS);
+      if (!headerActions) return;
+
+      const select = document.createElement('select');
+      select.className = 'theme-select';
+      // Translated in place by I18n, including the copy in the mobile drawer
+      select.setAttribute('data-i18n-attr', 'aria-label: theme.label');
+      select.setAttribute('aria-label', I18n.t('theme.label'));
+
+      CHOICES.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.setAttribute('data-i18n', `theme.${value}`);
+        option.textContent = I18n.t(`theme.${value}`);
+        select.appendChild(option);
+      });
+
+      headerActions.prepend(select);
+      teardown.add(() => select.remove());
+    }
+
+    /**
+     * Handle a change from any theme select, including the copy in the mobile drawer
+     * @param {Event} event - Change event
+     */
+    function handleChange(event) {
+      if (!event.target.matches?.(SELECTORS.THEME_SELECT)) return;
+      setChoice(event.target.value);
+    }
+
+    /**
+     * Save and apply a theme choice
+     * @param {string} value - "system", "light", "dark" or "contrast"
+     */
+    function setChoice(value) {
+      if (!CHOICES.includes(value)) return;
+
+      choice = value;
+      if (value === 'system') {
+        removeStorage(CONFIG.THEME_STORAGE_KEY);
+      } else {
+        writeStorage(CONFIG.THEME_STORAGE_KEY, value);
+      }
+
+      apply();
+    }
+
+    /**
+     * Apply the current choice to the document, selects and theme-color meta
+     */
+    function apply() {
+      const theme = resolve(choice);
+      document.documentElement.setAttribute('data-theme', theme);
+
+      safeQuerySelectorAll(SELECTORS.THEME_SELECT).forEach(select => {
+        select.value = choice;
+        // Keep the selected attribute current so cloned selects match
+        Array.from(select.options).forEach(option => {
+          option.defaultSelected = option.value === choice;
+        });
+      });
+
+      const themeColor = safeQuerySelector(SELECTORS.THEME_COLOR_META);
+      const background = getComputedStyle(document.documentElement).getPropertyValue('--color-background').trim();
+      if (themeColor && background) {
+        themeColor.setAttribute('content', background);
+      }
+    }
+
+    /**
+     * Get the saved choice
+     * @returns {string} "system", "light", "dark" or "contrast"
+     */
+    function getChoice() {
+      return choice;
+    }
+
+    /**
+     * Get the theme currently shown
+     * @returns {string} "light", "dark" or "contrast"
+     */
+    function getTheme() {
+      return resolve(choice);
+    }
+
+    /**
+     * Add theme select styles
+     */
+    function addThemeStyles() {
+      const styleId = 'theme-styles';
+      if (document.getElementById(styleId)) return;
+
+      const style = document.createElement('style');
+      style.id = styleId;
+      style.textContent = `
+        .theme-select {
+          padding: var(--space-xs) var(--space-sm);
+          border: 1px solid var(--color-border);
+          border-radius: var(--radius-md);
+          background-color: var(--color-background);
+          color: var(--color-text-primary);
+          font-size: var(--font-size-sm);
+        }
+
+        @media (max-width: 767px) {
+          .header-actions .theme-select {
+            display: none;
+          }
+        }
+      `;
+      document.head.appendChild(style);
+    }
+
+    return { init, destroy, setChoice, getChoice, getTheme };
+  })();
+
+  // ============================================
+  // Consent Module
+  // ============================================
+
+  const Consent = (function() {
+    const STATUSES = Object.freeze(['granted', 'denied']);
+
+    let status = null;
+    let banner = null;
+    const listeners = new Set();
+    const teardown = createTeardown();
+
+    /**
+     * Restore the saved choice and ask for one if there is none.
+     * A Global Privacy Control signal counts as declining until the visitor
+     * says otherwise through the Cookie Policy link.
+     */
+    function init() {
+      const stored = readStorage(CONFIG.CONSENT_STORAGE_KEY);
+      status = STATUSES.includes(stored?.status) ? stored.status : null;
+
+      addConsentStyles();
+      teardown.listen(document, 'click', handleSettingsClick);
+
+      if (!status && navigator.globalPrivacyControl) {
+        status = 'denied';
+        return;
+      }
+
+      if (!status) show({ focus: false });
+    }
+
+    /**
+     * Remove the banner and settings link handler. The visitor's choice stays
+     * in effect.
+     */
+    function destroy() {
+      teardown.run();
+      banner?.remove();
+      banner = null;
+    }
+
+    /**
+     * Open the banner from the footer's Cookie Policy link
+     * @param {Event} event - Click event
+     */
+    function handleSettingsClick(event) {
+      const link = event.target.closest?.(SELECTORS.CONSENT_SETTINGS);
+      if (!link) return;
+
+      event.preventDefault();
+      show();
+    }
+
+    /**
+     * Build the banner
+     */
+    function createBanner() {
+      banner = document.createElement('div');
+      banner.className = 'consent-banner';
+      banner.setAttribute('role', 'region');
+      banner.setAttribute('aria-labelledby', 'consent-banner-title');
+      banner.hidden = true;
+
+      const title = document.createElement('p');
+      title.id = 'consent-banner-title';
+      title.className = 'consent-banner-title';
+      title.setAttribute('data-i18n', 'consent.title');
+      title.textContent = I18n.t('consent.title');
+
+      const text = document.createElement('p');
+      text.setAttribute('data-i18n', 'consent.text');
+      text.textContent = I18n.t('consent.text');
+
+      const actions = document.createElement('div');
+      actions.className = 'consent-banner-actions';
+
+      [
+        ['granted', 'consent.accept', 'btn-primary'],
+        ['denied', 'consent.decline', 'btn-secondary'],
+      ].forEach(([value, key, className]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.dataset.consent = value;
+        button.setAttribute('data-i18n', key);
+        button.textContent = I18n.t(key);
+        button.addEventListener('click', () => setStatus(value));
+        actions.appendChild(button);
+      });
+
+      banner.append(title, text, actions);
+      document.body.appendChild(banner);
+    }
+
+    /**
+     * Show the banner, marking the current choice
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.focus=true] - Move focus into the banner
+     */
+    function show({ focus = true } = {}) {
+      if (!banner) createBanner();
+
+      banner.querySelectorAll('[data-consent]').forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.consent === status));
+      });
+      banner.hidden = false;
+
+      if (focus) banner.querySelector('[data-consent]').focus();
+    }
+
+    /**
+     * Hide the banner
+     */
+    function hide() {
+      if (banner) banner.hidden = true;
+    }
+
+    /**
+     * Save a choice and notify listeners
+     * @param {string} value - "granted" or "denied"
+     */
+    function setStatus(value) {
+      if (!STATUSES.includes(value)) return;
+
+      status = value;
+      writeStorage(CONFIG.CONSENT_STORAGE_KEY, { status, updatedAt: Date.now() });
+      hide();
+
+      listeners.forEach(listener => {
+        try {
+          listener(status);
+        } catch (error) {
+          console.error('Consent listener failed:', error);
+        }
+      });
+    }
+
+    /**
+     * Get the current choice
+     * @returns {string|null} "granted", "denied", or null before the visitor chooses
+     */
+    function getStatus() {
+      return status;
+    }
+
+    /**
+     * Whether analytics may be collected
+     * @returns {boolean} True once the visitor has agreed
+     */
+    function isGranted() {
+      return status === 'granted';
+    }
+
+    /**
+     * Subscribe to consent changes
+     * @param {Function} listener - Called with the new status
+     * @returns {Function} Unsubscribe function
+     */
+    function onChange(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+
+    /**
+     * Add consent banner styles
+     */
+    function addConsentStyles() {
+      const styleId = 'consent-styles';
+      if (document.getElementById(styleId)) return;
+
+      const style = document.createElement('style');
+      style.id = styleId;
+      style.textContent = `
+        .consent-banner {
+          position: fixed;
+          right: var(--space-md);
+          bottom: var(--space-md);
+          left: var(--space-md);
+          z-index: var(--z-dropdown);
+          max-width: 36rem;
+          margin: 0 auto;
+          padding: var(--space-lg);
+          border: 1px solid var(--color-border);
+          border-radius: var(--radius-lg);
+          background-color: var(--color-background);
+          color: var(--color-text-primary);
+          box-shadow: var(--shadow-xl);
+        }
+
+        .consent-banner[hidden] {
+          display: none;
+        }
+
+        .consent-banner-title {
+          font-weight: var(--font-weight-semibold);
+          margin-bottom: var(--space-xs);
+        }
+
+        .consent-banner-actions {
+          display: flex;
+          flex-wrap: wrap;
+          gap: var(--space-sm);
+          margin-top: var(--space-md);
+        }
+
+        .consent-banner-actions [aria-pressed="true"] {
+          outline: 2px solid var(--color-primary-600);
+          outline-offset: 2px;
+        }
+      `;
+      document.head.appendChild(style);
+    }
+
+    return { init, destroy, show, setStatus, getStatus, isGranted, onChange };
+  })();
+
+  // ============================================
+  // Analytics Module
+  // ============================================
+
+  const Analytics = (function() {
+    // Per page view only, so visits cannot be linked together
+    const sessionId = createId();
+
+    const teardown = createTeardown();
+
+    let queue = [];
+    let timer = null;
+    let isPageHidden = false;
+
+    /**
+     * Forward bus events to CONFIG.ANALYTICS_ENDPOINT once the visitor consents
+     */
+    function init() {
+      teardown.add(EventBus.on('*', handleEvent));
+
+      teardown.add(Consent.onChange(status => {
+        if (status !== 'granted') discard();
+      }));
+
+      teardown.listen(document, 'visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flush();
+      });
+      // Events published later in the same pagehide, such as form_abandon, are sent at once
+      teardown.listen(window, 'pagehide', () => {
+        isPageHidden = true;
+        flush();
+      });
+      teardown.listen(window, 'pageshow', () => {
+        isPageHidden = false;
+      });
+    }
+
+    /**
+     * Send what is queued and stop listening for events
+     */
+    function destroy() {
+      flush();
+      teardown.run();
+      isPageHidden = false;
+    }
+
+    /**
+     * Queue an event, flushing when the batch is full or the page is going away
+     * @param {Object} event - Bus event
+     */
+    function handleEvent(event) {
+      if (!CONFIG.ANALYTICS_ENDPOINT || !Consent.isGranted()) return;
+
+      queue.push(event);
+
+      if (queue.length >= CONFIG.ANALYTICS_BATCH_SIZE || isPageHidden || document.visibilityState === 'hidden') {
+        flush();
+      } else if (!timer) {
+        timer = setTimeout(flush, CONFIG.ANALYTICS_FLUSH_INTERVAL);
+      }
+    }
+
+    /**
+     * Send queued events
+     */
+    function flush() {
+      clearTimeout(timer);
+      timer = null;
+      if (!queue.length) return;
+
+      sendBeacon(CONFIG.ANALYTICS_ENDPOINT, {
+        sessionId,
+        page: window.location.pathname,
+        locale: I18n.getLocale(),
+        events: queue,
+      });
+      queue = [];
+    }
+
+    /**
+     * Drop queued events, e.g. after consent is withdrawn
+     */
+    function discard() {
+      clearTimeout(timer);
+      timer = null;
+      queue = [];
+    }
+
+    return { init, destroy, flush };
+  })();
+
+  // ============================================
+  // Monitoring Module
+  // ============================================
+
+  const Monitoring = (function() {
+    const THRESHOLDS = Object.freeze({
+      LCP: [2500, 4000],
+      CLS: [0.1, 0.25],
+      INP: [200, 500],
+      TTFB: [800, 1800],
+    });
+    const BUFFER_LIMIT = 50;
+
+    // Identifies this page view's metrics so a collector can keep the latest value
+    const pageId = createId();
+
+    let transport = null;
+    let buffer = [];
+    let errorCount = 0;
+    const seenErrors = new Set();
+    const metrics = new Map();
+    const reported = new Map();
+    const teardown = createTeardown();
+
+    /**
+     * Start measuring Web Vitals and listening for runtime errors.
+     * Runs first so it also sees errors from the other modules' init.
+     */
+    function init() {
+      if (CONFIG.MONITORING_ENDPOINT && !transport) {
+        setTransport(createBeaconTransport(CONFIG.MONITORING_ENDPOINT));
+      }
+
+      teardown.listen(window, 'error', handleError);
+      teardown.listen(window, 'unhandledrejection', handleRejection);
+
+      observeLcp();
+      observeCls();
+      observeInp();
+      measureTtfb();
+
+      teardown.listen(document, 'visibilitychange', () => {
+        if (document.visibilityState === 'hidden') reportMetrics();
+      });
+      teardown.listen(window, 'pagehide', reportMetrics);
+    }
+
+    /**
+     * Report the metrics measured so far and stop observing. The transport
+     * stays set so report() keeps working for other modules.
+     */
+    function destroy() {
+      reportMetrics();
+      teardown.run();
+    }
+
+    /**
+     * Create a transport that POSTs each report to a collector
+     * @param {string} url - Collector endpoint, e.g. "http://localhost:9000/collect"
+     * @returns {Function} Transport
+     */
+    function createBeaconTransport(url) {
+      return report => sendBeacon(url, report);
+    }
+
+    /**
+     * Choose where reports go. Reports made before a transport is set are
+     * kept (up to a limit) and delivered once one is.
+     * @param {Function|null} nextTransport - Called with each report
+     */
+    function setTransport(nextTransport) {
+      transport = typeof nextTransport === 'function' ? nextTransport : null;
+      if (!transport) return;
+
+      const pending = buffer;
+      buffer = [];
+      pending.forEach(deliver);
+    }
+
+    /**
+     * Send a report through the transport
+     * @param {Object} report - Report
+     */
+    function deliver(report) {
+      try {
+        transport(report);
+      } catch (error) {
+        console.error('Monitoring transport failed:', error);
+      }
+    }
+
+    /**
+     * Queue or send a report, adding page context. Reports never include
+     * form values or anything else the visitor typed.
+     * @param {Object} data - Report with at least a "type"
+     */
+    function report(data) {
+      const entry = {
+        ...data,
+        page: window.location.pathname,
+        timestamp: Date.now(),
+      };
+
+      if (transport) {
+        deliver(entry);
+      } else if (buffer.length < BUFFER_LIMIT) {
+        buffer.push(entry);
+      }
+    }
+
+    /**
+     * Report an error once per distinct message and location
+     * @param {Error|*} error - Error or rejection reason
+     * @param {Object} [context] - Extra fields, e.g. {module: "Theme"}
+     */
+    function reportError(error, context = {}) {
+      const message = error instanceof Error ? error.message : String(error);
+      const key = `${context.module || ''}|${message}|${context.source || ''}:${context.line || ''}`;
+      if (seenErrors.has(key) || errorCount >= CONFIG.MONITORING_MAX_ERRORS) return;
+
+      seenErrors.add(key);
+      errorCount++;
+
+      report({
+        type: 'error',
+        name: error instanceof Error ? error.name : 'Error',
+        message,
+        stack: error instanceof Error ? error.stack : undefined,
+        ...context,
+      });
+    }
+
+    /**
+     * Handle uncaught errors (window.onerror)
+     * @param {ErrorEvent} event - Error event
+     */
+    function handleError(event) {
+      reportError(event.error || event.message, {
+        source: event.filename,
+        line: event.lineno,
+        column: event.colno,
+      });
+    }
+
+    /**
+     * Handle promise rejections nobody caught
+     * @param {PromiseRejectionEvent} event - Rejection event
+     */
+    function handleRejection(event) {
+      reportError(event.reason, { unhandledRejection: true });
+    }
+
+    /**
+     * Rate a metric value against the Core Web Vitals thresholds
+     * @param {string} name - Metric name
+     * @param {number} value - Metric value
+     * @returns {string} "good", "needs-improvement" or "poor"
+     */
+    function rate(name, value) {
+      const [good, poor] = THRESHOLDS[name];
+      if (value <= good) return 'good';
+      return value <= poor ? 'needs-improvement' : 'poor';
+    }
+
+    /**
+     * Record the latest value of a metric
+     * @param {string} name - Metric name
+     * @param {number} value - Metric value
+     * @param {Object} [attribution] - What caused the value
+     */
+    function setMetric(name, value, attribution = {}) {
+      metrics.set(name, { name, value, rating: rate(name, value), attribution });
+    }
+
+    /**
+     * Report metrics that changed since they were last reported
+     */
+    function reportMetrics() {
+      metrics.forEach((metric, name) => {
+        if (reported.get(name) === metric.value) return;
+
+        reported.set(name, metric.value);
+        report({ type: 'web-vital', id: pageId, ...metric });
+      });
+    }
+
+    /**
+     * Observe a performance entry type, ignoring browsers that lack it
+     * @param {string} type - Entry type
+     * @param {Function} callback - Called with the new entries
+     * @param {Object} [options] - Extra observe() options
+     * @returns {PerformanceObserver|null} Observer
+     */
+    function observe(type, callback, options = {}) {
+      if (!window.PerformanceObserver?.supportedEntryTypes?.includes(type)) return null;
+
+      try {
+        const observer = new PerformanceObserver(list => callback(list.getEntries()));
+        observer.observe({ type, buffered: true, ...options });
+        teardown.add(() => observer.disconnect());
+        return observer;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    /**
+     * Short description of an element, e.g. "img.hero-image"
+     * @param {Element|null} element - Element
+     * @returns {string|undefined} Description
+     */
+    function describeElement(element) {
+      if (!element) return undefined;
+
+      const id = element.id ? `#${element.id}` : '';
+      const className = element.classList?.[0] ? `.${element.classList[0]}` : '';
+      const parent = element.parentElement?.classList?.[0];
+      return `${parent ? `.${parent} > ` : ''}${element.localName}${id}${className}`;
+    }
+
+    /**
+     * Largest Contentful Paint. Stops at the first input, since later
+     * paints are caused by the visitor rather than the page load.
+     */
+    function observeLcp() {
+      const observer = observe('largest-contentful-paint', entries => {
+        const entry = entries[entries.length - 1];
+        if (!entry) return;
+
+        setMetric('LCP', entry.startTime, {
+          element: describeElement(entry.element),
+          url: entry.url || undefined,
+          highPriority: entry.element?.getAttribute?.('fetchpriority') === 'high',
+        });
+      });
+
+      if (!observer) return;
+
+      const stop = () => {
+        observer.takeRecords?.();
+        observer.disconnect();
+      };
+      ['keydown', 'pointerdown'].forEach(type => {
+        teardown.listen(window, type, stop, { once: true, capture: true });
+      });
+    }
+
+    /**
+     * Cumulative Layout Shift, as the largest session window of shifts
+     * (gaps under 1s, windows up to 5s) not caused by recent input
+     */
+    function observeCls() {
+      let sessionValue = 0;
+      let sessionEntries = [];
+      let largest = 0;
+
+      observe('layout-shift', entries => {
+        entries.forEach(entry => {
+          if (entry.hadRecentInput) return;
+
+          const first = sessionEntries[0];
+          const last = sessionEntries[sessionEntries.length - 1];
+          if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+            sessionValue += entry.value;
+            sessionEntries.push(entry);
+          } else {
+            sessionValue = entry.value;
+            sessionEntries = [entry];
+          }
+
+          if (sessionValue > largest) {
+            largest = sessionValue;
+            const source = entry.sources?.reduce((biggest, candidate) =>
+              !biggest || candidate.currentRect.height * candidate.currentRect.width >
+                biggest.currentRect.height * biggest.currentRect.width ? candidate : biggest, null);
+            setMetric('CLS', Number(largest.toFixed(4)), { element: describeElement(source?.node) });
+          }
+        });
+      });
+    }
+
+    /**
+     * Interaction to Next Paint: close to the 98th percentile of interaction
+     * latency, i.e. the worst one, ignoring one outlier per 50 interactions
+     */
+    function observeInp() {
+      const interactions = new Map();
+
+      const handleEntries = entries => {
+        entries.forEach(entry => {
+          if (!entry.interactionId) return;
+
+          const previous = interactions.get(entry.interactionId);
+          if (!previous || entry.duration > previous.duration) {
+            interactions.set(entry.interactionId, entry);
+          }
+        });
+
+        const sorted = Array.from(interactions.values()).sort((a, b) => b.duration - a.duration);
+        const candidate = sorted[Math.min(sorted.length - 1, Math.floor(interactions.size / 50))];
+        if (!candidate) return;
+
+        setMetric('INP', candidate.duration, {
+          event: candidate.name,
+          element: describeElement(candidate.target),
+        });
+      };
+
+      observe('event', handleEntries, { durationThreshold: 40 });
+      observe('first-input', handleEntries);
+    }
+
+    /**
+     * Time to First Byte, reported as soon as it is known
+     */
+    function measureTtfb() {
+      const [navigation] = performance.getEntriesByType?.('navigation') || [];
+      if (!navigation || navigation.responseStart <= 0) return;
+
+      const value = Math.max(navigation.responseStart - (navigation.activationStart || 0), 0);
+      setMetric('TTFB', value, { type: navigation.type });
+      reportMetrics();
+    }
+
+    return { init, destroy, report, reportError, setTransport, createBeaconTransport };
+  })();
+
+  // ============================================
+  // Mobile Navigation Module
+  // ============================================
+
+  const MobileNavigation = (function() {
+    const SWIPE_THRESHOLD = 50;
+
+    let isOpen = false;
+    let navToggle = null;
+    let navMenu = null;
+    let navLinks = [];
+    let inertElements = [];
+    let touchStart = null;
+    const teardown = createTeardown();
+
+    /**
+     * Initialize mobile navigation
+     */
+    function init() {
+      createMobileToggle();
+      navMenu = safeQuerySelector(SELECTORS.NAV_MENU);
+
+      if (!navToggle || !navMenu) {
+        console.warn('Mobile navigation elements not found');
+        return;
+      }
+
+      createDrawerActions();
+      navLinks = Array.from(navMenu.querySelectorAll('a[href]'));
+
+      attachEventListeners();
+      setupKeyboardNavigation();
+    }
+
+    /**
+     * Close the drawer and remove the toggle, drawer actions and listeners
+     */
+    function destroy() {
+      if (navToggle && navMenu) closeNav({ returnFocus: false });
+      teardown.run();
+      navToggle = null;
+      navMenu = null;
+      navLinks = [];
+    }
+
+    /**
+     * Copy the header "Sign In" / "Order Now" actions into the drawer so they
+     * stay reachable while focus is trapped inside it
+     */
+    function createDrawerActions() {
+      const headerActions = safeQuerySelector(SELECTORS.HEADER_ACTIONS);
+      if (!headerActions || navMenu.querySelector('.nav-drawer-actions')) return;
+
+      const drawerActions = document.createElement('div');
+      drawerActions.className = 'nav-drawer-actions';
+
+      Array.from(headerActions.children).forEach(action => {
+        drawerActions.appendChild(action.cloneNode(true));
+      });
+
+      navMenu.appendChild(drawerActions);
+      teardown.add(() => drawerActions.remove());
+    }
+
+    /**
+     * Create mobile navigation toggle button
+     */
+    function createMobileToggle() {
+      const header = safeQuerySelector(SELECTORS.HEADER);
+      if (!header) return;
+
+      const existingToggle = safeQuerySelector(SELECTORS.MOBILE_NAV_TOGGLE);
+      if (existingToggle) {
+        navToggle = existingToggle;
+        return;
+      }
+
+      navToggle = document.createElement('button');
+      navToggle.className = 'mobile-nav-toggle';
+      navToggle.setAttribute(ARIA.EXPANDED, 'false');
+      setToggleLabel('nav.toggle');
+      navToggle.innerHTML = `
+        <span class="hamburger-line"></span>
+        <span class="hamburger-line"></span>
+        <span class="hamburger-line"></span>
+      `;
+
+      const headerContainer = header.querySelector('.header-container');
+      if (headerContainer) {
+        headerContainer.insertBefore(navToggle, headerContainer.lastElementChild);
+      }
+
+      const createdToggle = navToggle;
+      teardown.add(() => createdToggle.remove());
+
+      addMobileStyles();
+    }
+
+    /**
+     * Add mobile navigation styles
+     */
+    function addMobileStyles() {
+      const styleId = 'mobile-nav-styles';
+      if (document.getElementById(styleId)) return;
+
+      const style = document.createElement('style');
+      style.id = styleId;
+      style.textContent = `
+        .mobile-nav-toggle {
+          display: flex;
+          flex-direction: column;
+          justify-content: space-around;
+          width: 40px;
+          height: 40px;
+          padding: 8px;
+          background: transparent;
+          border: none;
+          cursor: pointer;
+          z-index: 1000;
+        }
+
+        .hamburger-line {
+          width: 100%;
+          height: 3px;
+          background-color: var(--color-text-primary);
+          transition: all 0.3s ease;
+          border-radius: 2px;
+        }
+
+        .nav-open .hamburger-line:nth-child(1) {
+          transform: rotate(45deg) translate(8px, 8px);
+        }
+
+        .nav-open .hamburger-line:nth-child(2) {
+          opacity: 0;
+        }
+
+        .nav-open .hamburger-line:nth-child(3) {
+          transform: rotate(-45deg) translate(7px, -7px);
+        }
+
+        @media (min-width: 768px) {
+          .mobile-nav-toggle {
+            display: none;
+          }
+        }
+
+        .nav-drawer-actions {
+          display: none;
+        }
+
+        body.nav-scroll-locked {
+          overflow: hidden;
+        }
+
+        @media (max-width: 767px) {
+          header nav {
+            display: block;
+            position: fixed;
+            top: 0;
+            right: -100%;
+            width: 80%;
+            max-width: 300px;
+            height: 100vh;
+            overflow-y: auto;
+            overscroll-behavior: contain;
+            background-color: var(--color-background);
+            box-shadow: -2px 0 10px rgba(0, 0, 0, 0.1);
+            visibility: hidden;
+            transition: right 0.3s ease, visibility 0s linear 0.3s;
+            z-index: 999;
+            padding: 80px 20px 20px;
+          }
+
+          header nav.nav-open {
+            right: 0;
+            visibility: visible;
+            transition: right 0.3s ease;
+          }
+
+          .nav-drawer-actions {
+            display: flex;
+            flex-direction: column;
+            gap: var(--space-md);
+            margin-top: var(--space-xl);
+            padding-top: var(--space-lg);
+            border-top: 1px solid var(--color-border);
+          }
+
+          .nav-drawer-actions a {
+            text-align: center;
+          }
+
+          header nav ul {
+            flex-direction: column;
+            gap: var(--space-lg);
+          }
+
+          header nav a {
+            display: block;
+            padding: var(--space-md);
+            font-size: var(--font-size-lg);
+          }
+        }
+      `;
+      document.head.appendChild(style);
+    }
+
+    /**
+     * Attach event listeners
+     */
+    function attachEventListeners() {
+      teardown.listen(navToggle, 'click', toggleNav);
+      
+      navLinks.forEach(link => {
+        teardown.listen(link, 'click', handleNavLinkClick);
+      });
+
+      teardown.listen(document, 'click', handleOutsideClick);
+      teardown.listen(window, 'resize', debounce(handleResize, CONFIG.DEBOUNCE_DELAY));
+
+      teardown.listen(navMenu, 'touchstart', handleTouchStart, { passive: true });
+      teardown.listen(navMenu, 'touchend', handleTouchEnd, { passive: true });
+    }
+
+    /**
+     * Setup keyboard navigation
+     */
+    function setupKeyboardNavigation() {
+      teardown.listen(document, 'keydown', (event) => {
+        if (!isOpen) return;
+
+        if (event.key === 'Escape') {
+          closeNav();
+        } else if (event.key === 'Tab') {
+          trapFocus(event);
+        }
+      });
+    }
+
+    /**
+     * Keep Tab and Shift+Tab cycling between the drawer and its toggle
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    function trapFocus(event) {
+      const focusable = [
+        ...Array.from(navMenu.querySelectorAll(SELECTORS.FOCUSABLE)),
+        navToggle,
+      ].filter(element => element.getClientRects().length > 0 || element === navToggle);
+
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const active = document.activeElement;
+
+      if (!focusable.includes(active)) {
+        event.preventDefault();
+        (event.shiftKey ? last : first).focus();
+      } else if (event.shiftKey && active === first) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && active === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    }
+
+    /**
+     * Make everything outside the drawer and its toggle inert
+     */
+    function setBackgroundInert() {
+      const keep = [navMenu, navToggle];
+      const candidates = [];
+
+      for (let container = navMenu.parentElement; container; container = container.parentElement) {
+        candidates.push(...Array.from(container.children)
+          .filter(element => !keep.some(kept => element === kept || element.contains(kept))));
+        if (container === document.body) break;
+      }
+
+      inertElements = candidates.filter(element => !element.inert && element.tagName !== 'SCRIPT');
+      inertElements.forEach(element => {
+        element.inert = true;
+      });
+    }
+
+    /**
+     * Restore interactivity outside the drawer
+     */
+    function clearBackgroundInert() {
+      inertElements.forEach(element => {
+        element.inert = false;
+      });
+      inertElements = [];
+    }
+
+    /**
+     * Stop the page scrolling behind the drawer, padding the body by the
+     * scrollbar width so the layout doesn't shift
+     */
+    function lockScroll() {
+      const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+      if (scrollbarWidth > 0) {
+        document.body.style.paddingRight = `${scrollbarWidth}px`;
+      }
+      document.body.classList.add('nav-scroll-locked');
+    }
+
+    /**
+     * Let the page scroll again
+     */
+    function unlockScroll() {
+      document.body.classList.remove('nav-scroll-locked');
+      document.body.style.paddingRight = '';
+    }
+
+    /**
+     * Remember where a swipe on the drawer started
+     * @param {TouchEvent} event - Touchstart event
+     */
+    function handleTouchStart(event) {
+      if (!isOpen) return;
+      const touch = event.touches[0];
+      touchStart = { x: touch.clientX, y: touch.clientY };
+    }
+
+    /**
+     * Close the drawer on a horizontal swipe towards the edge it slides in from
+     * @param {TouchEvent} event - Touchend event
+     */
+    function handleTouchEnd(event) {
+      if (!touchStart) return;
+
+      const touch = event.changedTouches[0];
+      const deltaX = touch.clientX - touchStart.x;
+      const deltaY = touch.clientY - touchStart.y;
+      touchStart = null;
+
+      if (deltaX > SWIPE_THRESHOLD && Math.abs(deltaX) > Math.abs(deltaY)) {
+        closeNav();
+      }
+    }
+
+    /**
+     * Label the toggle, keeping the key so I18n relabels it on language change
+     * @param {string} key - Message key
+     */
+    function setToggleLabel(key) {
+      navToggle.setAttribute('data-i18n-attr', `aria-label: ${key}`);
+      navToggle.setAttribute('aria-label', I18n.t(key));
+    }
+
+    /**
+     * Toggle navigation menu
+     */
+    function toggleNav() {
+      isOpen ? closeNav() : openNav();
+    }
+
+    /**
+     * Open navigation menu
+     */
+    function openNav() {
+      isOpen = true;
+      document.body.classList.add(CLASSES.NAV_OPEN);
+      navMenu.classList.add(CLASSES.NAV_OPEN);
+      navToggle.setAttribute(ARIA.EXPANDED, 'true');
+      setToggleLabel('nav.close');
+
+      lockScroll();
+      setBackgroundInert();
+      EventBus.emit('menu_toggle', { open: true });
+
+      if (navLinks.length > 0) {
+        navLinks[0].focus();
+      }
+    }
+
+    /**
+     * Close navigation menu
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.returnFocus=true] - Move focus back to the toggle
+     */
+    function closeNav({ returnFocus = true } = {}) {
+      if (!isOpen) return;
+
+      isOpen = false;
+      document.body.classList.remove(CLASSES.NAV_OPEN);
+      navMenu.classList.remove(CLASSES.NAV_OPEN);
+      navToggle.setAttribute(ARIA.EXPANDED, 'false');
+      setToggleLabel('nav.open');
+
+      clearBackgroundInert();
+      unlockScroll();
+      EventBus.emit('menu_toggle', { open: false });
+
+      if (returnFocus) {
+        navToggle.focus();
+      }
+    }
+
+    /**
+     * Handle navigation link click
+     * @param {Event} event - Click event
+     */
+    function handleNavLinkClick(event) {
+      if (window.innerWidth < CONFIG.MOBILE_BREAKPOINT) {
+        // The link's target takes focus, so don't pull it back to the toggle
+        closeNav({ returnFocus: false });
+      }
+    }
+
+    /**
+     * Handle click outside navigation
+     * @param {Event} event - Click event
+     */
+    function handleOutsideClick(event) {
+      if (!isOpen) return;
+      
+      if (!navMenu.contains(event.target) && !navToggle.contains(event.target)) {
+        closeNav();
+      }
+    }
+
+    /**
+     * Handle window resize
+     */
+    function handleResize() {
+      if (window.innerWidth >= CONFIG.MOBILE_BREAKPOINT && isOpen) {
+        closeNav({ returnFocus: false });
+      }
+    }
+
+    return { init, destroy };
+  })();
+
+  // ============================================
+  // Smooth Scroll Module
+  // ============================================
+
+  const SmoothScroll = (function() {
+    const teardown = createTeardown();
+
+    /**
+     * Initialize smooth scrolling
+     */
+    function init() {
+      const links = safeQuerySelectorAll('a[href^="#"]');
+      links.forEach(link => {
+        teardown.listen(link, 'click', handleSmoothScroll);
+      });
+    }
+
+    /**
+     * Return in-page links to their default jump
+     */
+    function destroy() {
+      teardown.run();
+    }
+
+    /**
+     * Handle smooth scroll click
+     * @param {Event} event - Click event
+     */
+    function handleSmoothScroll(event) {
+      const href = event.currentTarget.getAttribute('href');
+      trackClick(event.currentTarget);
+      if (!href || href === '#' || !Router.resolves(href)) return;
+
+      event.preventDefault();
+      Router.navigate(href);
+    }
+
+    /**
+     * Publish a click on an in-page link: "cta_click" for buttons such as
+     * "Order Now", "nav_click" for plain links. Labels use the i18n key when
+     * there is one so events compare across languages.
+     * @param {HTMLAnchorElement} link - Clicked link
+     */
+    function trackClick(link) {
+      const region = link.closest('header, footer, section[id]');
+
+      EventBus.emit(link.matches(SELECTORS.CTA_LINKS) ? 'cta_click' : 'nav_click', {
+        label: link.dataset.i18n || link.textContent.trim(),
+        href: link.getAttribute('href'),
+        region: region?.id || region?.localName || 'page',
+      });
+    }
+
+    /**
+     * Scroll to an element, accounting for the sticky header, and focus it
+     * @param {HTMLElement} targetElement - Element to scroll to
+     * @param {Object} [options] - Options
+     * @param {string} [options.behavior='smooth'] - Scroll behavior
+     */
+    function scrollToElement(targetElement, { behavior = 'smooth' } = {}) {
+      const headerHeight = safeQuerySelector(SELECTORS.HEADER)?.offsetHeight || 0;
+      const targetPosition = targetElement.getBoundingClientRect().top + window.pageYOffset;
+      const offsetPosition = targetPosition - headerHeight - CONFIG.SCROLL_OFFSET;
+
+      window.scrollTo({
+        top: offsetPosition,
+        behavior
+      });
+
+      targetElement.setAttribute('tabindex', '-1');
+      targetElement.focus();
+    }
+
+    return { init, destroy, scrollToElement };
+  })();
+
+  // ============================================
+  // Router Module
+  // ============================================
+
+  const Router = (function() {
+    const handlers = new Map();
+    const teardown = createTeardown();
+    let navigationId = 0;
+    let isRunning = false;
+
+    /**
+     * Apply the initial route and restore routes on back/forward.
+     * Runs after the other modules so their route handlers are registered.
+     */
+    function init() {
+      isRunning = true;
+      teardown.listen(window, 'popstate', () => apply(parse(window.location.hash)));
+      apply(parse(window.location.hash), { initial: true });
+    }
+
+    /**
+     * Stop following back/forward. Registered handlers are kept; modules
+     * remove their own when they are destroyed.
+     */
+    function destroy() {
+      teardown.run();
+      navigationId++;
+      isRunning = false;
+    }
+
+    /**
+     * Parse a hash such as "#testimonials?area=downtown&slide=2"
+     * @param {string} hash - Location hash or href
+     * @returns {{path: string, params: Object<string, string>, hash: string}} Route
+     */
+    function parse(hash) {
+      const value = String(hash || '').replace(/^[^#]*#?/, '');
+      const [path, query = ''] = value.split('?');
+      const params = Object.fromEntries(new URLSearchParams(query));
+
+      return { path: decodePath(path), params, hash: format(path, params) };
+    }
+
+    /**
+     * Decode a percent-encoded path, keeping it as typed when it is malformed
+     * (e.g. "#%E0"), so a bad link can't break routing for the whole page
+     * @param {string} path - Encoded path
+     * @returns {string} Decoded path
+     */
+    function decodePath(path) {
+      try {
+        return decodeURIComponent(path);
+      } catch (error) {
+        return path;
+      }
+    }
+
+    /**
+     * Build a hash from a path and params, omitting empty values
+     * @param {string} path - Section id
+     * @param {Object} [params] - Query params
+     * @returns {string} Hash beginning with "#", or "" for the top of the page
+     */
+    function format(path, params = {}) {
+      const query = new URLSearchParams();
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '' && value !== false) {
+          query.set(key, value === true ? '1' : String(value));
+        }
+      });
+
+      const search = query.toString();
+      if (!path && !search) return '';
+      return `#${path}${search ? `?${search}` : ''}`;
+    }
+
+    /**
+     * Register a handler that restores module state for a section.
+     * The handler may return an element to scroll to instead of the section,
+     * false to skip scrolling, or a promise of either. A module that starts
+     * after the router gets the current route applied straight away.
+     * @param {string} path - Section id
+     * @param {Function} handler - Called with (route, { initial })
+     * @returns {Function} Unregister function
+     */
+    function register(path, handler) {
+      handlers.set(path, handler);
+
+      const route = parse(window.location.hash);
+      if (isRunning && route.path === path) apply(route, { initial: true });
+
+      return () => {
+        if (handlers.get(path) === handler) handlers.delete(path);
+      };
+    }
+
+    /**
+     * Whether a hash points at a registered route or an element on the page
+     * @param {string} hash - Hash or href
+     * @returns {boolean} True if the router can handle it
+     */
+    function resolves(hash) {
+      const { path } = parse(hash);
+      return Boolean(path) && (handlers.has(path) || Boolean(document.getElementById(path)));
+    }
+
+    /**
+     * Navigate to a route, adding a history entry
+     * @param {string} hash - Target hash
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.replace=false] - Replace the current entry instead
+     * @returns {Promise<void>} Resolves once the route is applied
+     */
+    function navigate(hash, { replace = false } = {}) {
+      const route = parse(hash);
+
+      if (replace) {
+        history.replaceState(null, '', route.hash || window.location.pathname + window.location.search);
+      } else if (route.hash !== parse(window.location.hash).hash) {
+        history.pushState(null, '', route.hash);
+      }
+
+      return apply(route);
+    }
+
+    /**
+     * Reflect module state in the URL without scrolling or adding a history entry
+     * @param {string} hash - Hash describing the current state
+     */
+    function update(hash) {
+      const route = parse(hash);
+      if (route.hash === parse(window.location.hash).hash) return;
+
+      history.replaceState(null, '', route.hash || window.location.pathname + window.location.search);
+    }
+
+    /**
+     * Restore module state for a route and scroll to it
+     * @param {Object} route - Parsed route
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.initial=false] - Whether this is the initial page load
+     * @returns {Promise<void>} Resolves once the route is applied
+     */
+    async function apply(route, { initial = false } = {}) {
+      const id = ++navigationId;
+      const handler = handlers.get(route.path);
+      let target;
+
+      if (handler) {
+        try {
+          target = await handler(route, { initial });
+        } catch (error) {
+          console.error(`Failed to restore route "${route.path}":`, error);
+        }
+      }
+
+      // A newer navigation started while the handler was loading
+      if (id !== navigationId || target === false) return;
+
+      const behavior = initial ? 'auto' : 'smooth';
+      const element = target instanceof Element ? target : route.path && document.getElementById(route.path);
+
+      if (element) {
+        SmoothScroll.scrollToElement(element, { behavior });
+      } else if (!route.path && !initial) {
+        window.scrollTo({ top: 0, behavior });
+      }
+    }
+
+    return { init, destroy, parse, format, register, resolves, navigate, update };
+  })();
+
+  // ============================================
+  // Scroll Spy Module
+  // ============================================
+
+  const ScrollSpy = (function() {
+    let header = null;
+    let progressBar = null;
+    let observer = null;
+    let sections = [];
+    let linksBySection = new Map();
+    let activeSection = null;
+    let frame = null;
+    const teardown = createTeardown();
+
+    /**
+     * Initialize nav highlighting and the reading progress bar
+     */
+    function init() {
+      header = safeQuerySelector(SELECTORS.HEADER);
+
+      safeQuerySelectorAll(SELECTORS.NAV_LINKS).forEach(link => {
+        const section = document.getElementById(link.getAttribute('href').substring(1));
+        if (!section) return;
+
+        if (!linksBySection.has(section)) linksBySection.set(section, []);
+        linksBySection.get(section).push(link);
+      });
+      sections = Array.from(linksBySection.keys());
+
+      addSpyStyles();
+      createProgressBar();
+      observe();
+
+      teardown.listen(window, 'scroll', scheduleUpdate, { passive: true });
+      teardown.listen(window, 'resize', debounce(() => {
+        observe();
+        scheduleUpdate();
+      }, CONFIG.DEBOUNCE_DELAY));
+
+      scheduleUpdate();
+    }
+
+    /**
+     * Remove the progress bar and link highlighting and stop observing
+     */
+    function destroy() {
+      teardown.run();
+      observer?.disconnect();
+      observer = null;
+      cancelAnimationFrame(frame);
+      frame = null;
+
+      setActive(null);
+      progressBar?.remove();
+      progressBar = null;
+      linksBySection = new Map();
+      sections = [];
+      header = null;
+    }
+
+    /**
+     * Distance from the top of the viewport at which a section counts as current.
+     * Matches where SmoothScroll lands a section: below the sticky header plus SCROLL_OFFSET.
+     * @returns {number} Offset in pixels
+     */
+    function getActivationOffset() {
+      return (header?.offsetHeight || 0) + CONFIG.SCROLL_OFFSET;
+    }
+
+    /**
+     * Observe sections crossing a one-pixel activation line, so even very short
+     * sections become current while they pass under the header
+     */
+    function observe() {
+      if (!sections.length || !('IntersectionObserver' in window)) return;
+
+      observer?.disconnect();
+
+      const top = getActivationOffset();
+      const bottom = Math.max(window.innerHeight - top - 1, 0);
+
+      observer = new IntersectionObserver(handleIntersection, {
+        root: null,
+        rootMargin: `-${top}px 0px -${bottom}px 0px`,
+        threshold: 0
+      });
+
+      sections.forEach(section => observer.observe(section));
+    }
+
+    /**
+     * Update the current section when one crosses the activation line
+     * @param {IntersectionObserverEntry[]} entries - Observed entries
+     */
+    function handleIntersection(entries) {
+      const crossing = entries.filter(entry => entry.isIntersecting);
+      if (crossing.length) {
+        setActive(crossing[crossing.length - 1].target);
+      } else if (sections.length && sections[0].getBoundingClientRect().top > getActivationOffset()) {
+        // Scrolled back above the first linked section, e.g. into the hero
+        setActive(null);
+      }
+    }
+
+    /**
+     * Batch scroll work into one animation frame
+     */
+    function scheduleUpdate() {
+      if (frame) return;
+
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        updateProgress();
+        activateAtPageEnd();
+      });
+    }
+
+    /**
+     * At the bottom of the page the last sections may never reach the activation
+     * line, so highlight the last one that is on screen instead
+     */
+    function activateAtPageEnd() {
+      const scrollBottom = window.pageYOffset + window.innerHeight;
+      if (scrollBottom < document.documentElement.scrollHeight - 2) return;
+
+      const visible = sections.filter(section => section.getBoundingClientRect().top < window.innerHeight);
+      if (visible.length) {
+        setActive(visible[visible.length - 1]);
+      }
+    }
+
+    /**
+     * Mark the nav link(s) for a section as the current location
+     * @param {HTMLElement|null} section - Current section, or null for none
+     */
+    function setActive(section) {
+      if (section === activeSection) return;
+      activeSection = section;
+
+      linksBySection.forEach((links, linkSection) => {
+        const isActive = linkSection === section;
+        links.forEach(link => {
+          link.classList.toggle(CLASSES.ACTIVE, isActive);
+          if (isActive) {
+            link.setAttribute('aria-current', 'location');
+          } else {
+            link.removeAttribute('aria-current');
+          }
+        });
+      });
+    }
+
+    /**
+     * Add the reading progress bar to the bottom edge of the header
+     */
+    function createProgressBar() {
+      if (!header) return;
+
+      progressBar = document.createElement('div');
+      progressBar.className = 'reading-progress';
+      progressBar.setAttribute(ARIA.HIDDEN, 'true');
+      header.appendChild(progressBar);
+    }
+
+    /**
+     * Scale the progress bar to how far the page has been scrolled
+     */
+    function updateProgress() {
+      if (!progressBar) return;
+
+      const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+      const progress = scrollable > 0 ? Math.min(Math.max(window.pageYOffset / scrollable, 0), 1) : 0;
+      progressBar.style.transform = `scaleX(${progress})`;
+    }
+
+    /**
+     * Get the current section
+     * @returns {HTMLElement|null} Section linked from the nav that is on screen
+     */
+    function getActive() {
+      return activeSection;
+    }
+
+    /**
+     * Add active link and progress bar styles
+     */
+    function addSpyStyles() {
+      const styleId = 'scroll-spy-styles';
+      if (document.getElementById(styleId)) return;
+
+      const style = document.createElement('style');
+      style.id = styleId;
+      style.textContent = `
+        header nav a.active {
+          color: var(--color-primary-600);
+          text-decoration: underline;
+          text-decoration-thickness: 2px;
+          text-underline-offset: 6px;
+        }
+
+        @media (max-width: 767px) {
+          header nav a.active {
+            text-decoration: none;
+            background-color: var(--color-primary-50);
+            border-radius: var(--radius-md);
+          }
+        }
+
+        .reading-progress {
+          position: absolute;
+          left: 0;
+          bottom: -1px;
+          width: 100%;
+          height: 3px;
+          background-color: var(--color-primary-600);
+          transform: scaleX(0);
+          transform-origin: left center;
+          pointer-events: none;
+        }
+
+        @media (prefers-reduced-motion: no-preference) {
+          .reading-progress {
+            transition: transform 0.1s linear;
+          }
+        }
+      `;
+      document.head.appendChild(style);
+    }
+
+    return { init, destroy, getActive };
+  })();
+
+  // ============================================
+  // Responsive Images Module
+  // ============================================
+
+  const ResponsiveImages = (function() {
+    const UNSPLASH_HOST = 'images.unsplash.com';
+    const DENSITIES = [1, 2, 3];
+    const SOCIAL_SIZE_META = 'meta[property="og:image:width"], meta[property="og:image:height"]';
+
+    // Attribute values before enhancement, to put back on destroy
+    const enhanced = new Map();
+    const socialContent = new Map();
+
+    /**
+     * Add srcset/sizes to lazy and deferred Unsplash images and size the social
+     * preview image. Eager above-the-fold images carry their srcset in the
+     * markup so the preload scanner can pick a size before this script runs.
+     */
+    function init() {
+      safeQuerySelectorAll(SELECTORS.RESPONSIVE_IMAGES).forEach(img => {
+        // Already downloaded; a srcset now would only fetch it again
+        if (img.complete && img.naturalWidth) return;
+        enhance(img);
+      });
+
+      updateSocialImages();
+    }
+
+    /**
+     * Put back the sources, srcset/sizes and social preview values the page
+     * was written with
+     */
+    function destroy() {
+      enhanced.forEach((record, img) => restoreImage(img, record));
+      enhanced.clear();
+
+      socialContent.forEach((content, meta) => {
+        content === null ? meta.removeAttribute('content') : meta.setAttribute('content', content);
+      });
+      socialContent.clear();
+    }
+
+    /**
+     * Restore an image's original attributes, unless something else has
+     * changed them since. Deferred sources may have been moved from data-*
+     * to src/srcset/sizes by LazyLoading.
+     * @param {HTMLImageElement} img - Image element
+     * @param {Object} record - Original and generated values by attribute name
+     */
+    function restoreImage(img, { original, generated }) {
+      Object.entries(generated).forEach(([name, value]) => {
+        const attribute = [`data-${name}`, name].find(candidate => img.getAttribute(candidate) === value);
+        if (!attribute) return;
+
+        if (original[name] === null) {
+          img.removeAttribute(attribute);
+        } else {
+          img.setAttribute(attribute, original[name]);
+        }
+      });
+    }
+
+    /**
+     * Parse a URL relative to the page
+     * @param {string} src - URL
+     * @returns {URL|null} Parsed URL, or null if invalid
+     */
+    function parseUrl(src) {
+      try {
+        return new URL(src, window.location.href);
+      } catch (error) {
+        return null;
+      }
+    }
+
+    /**
+     * Whether a URL is served by Unsplash's image CDN
+     * @param {string} src - Image URL
+     * @returns {boolean} True for Unsplash images
+     */
+    function isUnsplash(src) {
+      return Boolean(src) && parseUrl(src)?.hostname === UNSPLASH_HOST;
+    }
+
+    /**
+     * Read the width requested by a ?w= parameter
+     * @param {string} src - Image URL
+     * @returns {number|null} Width in pixels
+     */
+    function getRequestedWidth(src) {
+      const width = Number.parseInt(parseUrl(src)?.searchParams.get('w'), 10);
+      return width > 0 ? width : null;
+    }
+
+    /**
+     * Build an Unsplash URL for a given size
+     * @param {string} src - Original Unsplash URL
+     * @param {Object} options - Options
+     * @param {number} options.width - Width in pixels
+     * @param {number} [options.height] - Height in pixels; crops to fit
+     * @param {number} [options.quality] - JPEG/WebP quality, defaults to the original's
+     * @param {string} [options.format='auto'] - "auto" to negotiate WebP/AVIF, or a fixed format like "jpg"
+     * @param {number} [options.blur] - Blur radius
+     * @returns {string} Image URL
+     */
+    function getUnsplashUrl(src, { width, height, quality, format = 'auto', blur } = {}) {
+      const url = parseUrl(src);
+      if (!url) return src;
+
+      url.searchParams.set('w', String(width));
+      if (height) {
+        url.searchParams.set('h', String(height));
+        url.searchParams.set('fit', 'crop');
+      }
+      if (quality) url.searchParams.set('q', String(quality));
+      if (blur) url.searchParams.set('blur', String(blur));
+
+      if (format === 'auto') {
+        url.searchParams.set('auto', 'format');
+        url.searchParams.delete('fm');
+      } else {
+        url.searchParams.set('fm', format);
+        url.searchParams.delete('auto');
+      }
+
+      return url.toString();
+    }
+
+    /**
+     * Work out a sizes value from how the image is laid out. Images that fill
+     * their container are sized in vw; fixed-size images like avatars in px.
+     * @param {HTMLImageElement} img - Image element
+     * @param {number} maxWidth - Largest width the source provides
+     * @returns {{sizes: string, width: number, fixed: boolean}} Sizing details
+     */
+    function measure(img, maxWidth) {
+      const renderedWidth = Math.round(img.getBoundingClientRect().width);
+
+      if (!renderedWidth) {
+        // Not laid out yet (e.g. inside a hidden panel); trust a width attribute
+        // smaller than the source, otherwise assume the image fills its container
+        const attributeWidth = Number(img.getAttribute('width'));
+        if (attributeWidth && attributeWidth < maxWidth) {
+          return { sizes: `${attributeWidth}px`, width: attributeWidth, fixed: true };
+        }
+        return { sizes: `(max-width: ${maxWidth}px) 100vw, ${maxWidth}px`, width: maxWidth, fixed: false };
+      }
+
+      const parentWidth = img.parentElement?.getBoundingClientRect().width || 0;
+      const fixed = renderedWidth < parentWidth - 2;
+
+      if (fixed) {
+        return { sizes: `${renderedWidth}px`, width: renderedWidth, fixed };
+      }
+
+      const viewportWidth = document.documentElement.clientWidth || window.innerWidth;
+      const vw = Math.min(100, Math.ceil((renderedWidth / viewportWidth) * 100));
+      return { sizes: `${vw}vw`, width: renderedWidth, fixed };
+    }
+
+    /**
+     * Widths to offer in the srcset, never larger than the original request
+     * @param {Object} measurement - Result of measure()
+     * @param {number} maxWidth - Largest width the source provides
+     * @returns {number[]} Ascending widths
+     */
+    function getCandidateWidths(measurement, maxWidth) {
+      const widths = measurement.fixed
+        ? DENSITIES.map(density => measurement.width * density)
+        : CONFIG.RESPONSIVE_IMAGE_WIDTHS;
+      const largest = Math.min(maxWidth, Math.max(...widths));
+
+      return [...new Set([...widths.filter(width => width < largest), largest])]
+        .sort((a, b) => a - b);
+    }
+
+    /**
+     * Add srcset and sizes to a lazy or deferred Unsplash image. Deferred
+     * images (data-src) get data-srcset/data-sizes so LazyLoading can swap
+     * them in later. Eager images are left alone; by now they are downloading.
+     * @param {HTMLImageElement} img - Image element
+     */
+    function enhance(img) {
+      const deferred = Boolean(img.dataset.src);
+      const src = deferred ? img.dataset.src : img.getAttribute('src');
+
+      if (!deferred && img.getAttribute('loading') !== 'lazy') return;
+      if (!isUnsplash(src) || img.hasAttribute('srcset') || img.dataset.srcset) return;
+
+      const maxWidth = getRequestedWidth(src) || CONFIG.RESPONSIVE_IMAGE_WIDTHS[CONFIG.RESPONSIVE_IMAGE_WIDTHS.length - 1];
+      const measurement = measure(img, maxWidth);
+      const widths = getCandidateWidths(measurement, maxWidth);
+
+      const prefix = deferred ? 'data-' : '';
+      const generated = {
+        sizes: img.getAttribute(`${prefix}sizes`) || measurement.sizes,
+        srcset: widths.map(width => `${getUnsplashUrl(src, { width })} ${width}w`).join(', '),
+        src: getUnsplashUrl(src, { width: widths[widths.length - 1] }),
+      };
+      const original = {};
+
+      Object.entries(generated).forEach(([name, value]) => {
+        original[name] = img.getAttribute(prefix + name);
+        img.setAttribute(prefix + name, value);
+      });
+      enhanced.set(img, { original, generated });
+    }
+
+    /**
+     * Size the Open Graph / Twitter preview image to the recommended 1.91:1
+     * card. Uses a fixed JPEG since link-preview crawlers don't negotiate formats.
+     */
+    function updateSocialImages() {
+      const { width, height } = CONFIG.SOCIAL_IMAGE_SIZE;
+
+      safeQuerySelectorAll(SELECTORS.SOCIAL_IMAGES).forEach(meta => {
+        const content = meta.getAttribute('content');
+        if (isUnsplash(content)) {
+          setSocialContent(meta, getUnsplashUrl(content, { width, height, format: 'jpg' }));
+        }
+      });
+
+      safeQuerySelectorAll(SOCIAL_SIZE_META).forEach(meta => {
+        setSocialContent(meta, String(meta.matches('[property$="width"]') ? width : height));
+      });
+    }
+
+    /**
+     * Set a social meta tag's content, remembering the first original value
+     * @param {HTMLMetaElement} meta - Meta element
+     * @param {string} content - New content
+     */
+    function setSocialContent(meta, content) {
+      if (!socialContent.has(meta)) socialContent.set(meta, meta.getAttribute('content'));
+      meta.setAttribute('content', content);
+    }
+
+    return { init, destroy, enhance, isUnsplash, getUnsplashUrl, getRequestedWidth };
+  })();
+
+  // ============================================
+  // Lazy Loading Module
+  // ============================================
+
+  const LazyLoading = (function() {
+    const pending = new Set();
+    const retryTimers = new Set();
+    const teardown = createTeardown();
+
+    let states = new WeakMap();
+    let observer = null;
+    let priorityCount = 0;
+
+    /**
+     * Initialize lazy loading
+     */
+    function init() {
+      addLazyStyles();
+
+      if ('IntersectionObserver' in window) {
+        observer = new IntersectionObserver(handleIntersection, {
+          root: null,
+          rootMargin: CONFIG.LAZY_LOAD_MARGIN,
+          threshold: 0
+        });
+      }
+
+      teardown.add(() => {
+        retryTimers.forEach(clearTimeout);
+        retryTimers.clear();
+      });
+
+      observe(Array.from(safeQuerySelectorAll(SELECTORS.LAZY_IMAGES)));
+    }
+
+    /**
+     * Stop observing and load the images still waiting to scroll into view,
+     * so none are left showing a placeholder. Pending retries and load/error
+     * listeners are dropped, and images are tracked afresh on the next start.
+     */
+    function destroy() {
+      observer?.disconnect();
+      observer = null;
+
+      pending.forEach(loadImage);
+      pending.clear();
+      teardown.run();
+
+      // Nothing is listening for the real image any more to lift the blur
+      safeQuerySelectorAll(`.${CLASSES.PLACEHOLDER}`).forEach(img => {
+        if (states.has(img)) img.classList.remove(CLASSES.PLACEHOLDER);
+      });
+
+      states = new WeakMap();
+      priorityCount = 0;
+    }
+
+    /**
+     * Handle intersection observer callback
+     * @param {IntersectionObserverEntry[]} entries - Observed entries
+     */
+    function handleIntersection(entries) {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          pending.delete(entry.target);
+          loadImage(entry.target);
+          observer.unobserve(entry.target);
+        }
+      });
+    }
+
+    /**
+     * Lazy load images, including ones added after initialization.
+     * Images near the fold load straight away with a priority hint.
+     * @param {HTMLImageElement[]} images - Image elements
+     */
+    function observe(images) {
+      images.filter(Boolean).forEach(img => {
+        if (states.has(img)) return;
+
+        prepare(img);
+
+        if (!observer || isNearFold(img)) {
+          loadImage(img);
+        } else {
+          pending.add(img);
+          observer.observe(img);
+        }
+      });
+    }
+
+    /**
+     * Remember the image's real sources and show a placeholder until it loads
+     * @param {HTMLImageElement} img - Image element
+     */
+    function prepare(img) {
+      ResponsiveImages.enhance(img);
+
+      const deferred = Boolean(img.dataset.src || img.dataset.srcset);
+      const src = img.dataset.src || img.getAttribute('src') || '';
+      const srcset = img.dataset.srcset || img.getAttribute('srcset') || '';
+      let sizes = img.dataset.sizes || img.getAttribute('sizes') || '';
+
+      if (srcset && !sizes) {
+        const width = ResponsiveImages.getRequestedWidth(src);
+        if (width) sizes = `(max-width: ${width}px) 100vw, ${width}px`;
+      }
+
+      const placeholder = deferred
+        ? img.dataset.placeholder || getUnsplashPlaceholder(src)
+        : null;
+
+      states.set(img, { deferred, src, srcset, sizes, placeholder, attempts: 0 });
+
+      if (img.dataset.color) {
+        img.style.backgroundColor = img.dataset.color;
+      }
+
+      if (placeholder) {
+        img.classList.add(CLASSES.PLACEHOLDER);
+        img.setAttribute('src', placeholder);
+      }
+
+      teardown.listen(img, 'load', () => handleLoad(img));
+      teardown.listen(img, 'error', () => handleError(img));
+    }
+
+    /**
+     * Whether an image is rendered within the first viewport
+     * @param {HTMLImageElement} img - Image element
+     * @returns {boolean} True if the image is near the fold
+     */
+    function isNearFold(img) {
+      const rect = img.getBoundingClientRect();
+      if (!rect.width && !rect.height) return false;
+
+      return rect.top < window.innerHeight && rect.bottom > 0;
+    }
+
+    /**
+     * Load single image
+     * @param {HTMLImageElement} img - Image element
+     */
+    function loadImage(img) {
+      const state = states.get(img);
+      if (!state) return;
+
+      if (isNearFold(img) && priorityCount < CONFIG.LAZY_PRIORITY_LIMIT) {
+        priorityCount++;
+        img.setAttribute('fetchpriority', 'high');
+      }
+
+      if (img.loading === 'lazy') {
+        img.loading = 'eager';
+      }
+
+      if (state.deferred) {
+        applySources(img, state);
+        delete img.dataset.src;
+        delete img.dataset.srcset;
+        delete img.dataset.sizes;
+      } else if (img.complete && img.getAttribute('src')) {
+        // Natively loaded before we started listening
+        img.naturalWidth ? handleLoad(img) : handleError(img);
+      }
+    }
+
+    /**
+     * Point the image at its real sources
+     * @param {HTMLImageElement} img - Image element
+     * @param {Object} state - Remembered sources
+     */
+    function applySources(img, state) {
+      if (state.sizes) img.setAttribute('sizes', state.sizes);
+      if (state.srcset) img.setAttribute('srcset', state.srcset);
+      img.setAttribute('src', state.src);
+    }
+
+    /**
+     * Mark the image as loaded once its real source (not the placeholder) arrives
+     * @param {HTMLImageElement} img - Image element
+     */
+    function handleLoad(img) {
+      const state = states.get(img);
+      const src = img.getAttribute('src');
+      if (!state || src === state.placeholder || src === CONFIG.LAZY_FALLBACK_IMAGE) return;
+
+      img.classList.remove(CLASSES.PLACEHOLDER);
+      img.classList.add(CLASSES.LOADED);
+    }
+
+    /**
+     * Retry with backoff, then swap in the fallback image. The alt text is
+     * left alone so it keeps describing the intended image.
+     * @param {HTMLImageElement} img - Image element
+     */
+    function handleError(img) {
+      const state = states.get(img);
+      const src = img.getAttribute('src');
+      if (!state || src === CONFIG.LAZY_FALLBACK_IMAGE) return;
+
+      // A broken placeholder isn't worth retrying; wait for the real image
+      if (src === state.placeholder && img.dataset.src) return;
+
+      if (state.attempts < CONFIG.LAZY_RETRY_ATTEMPTS) {
+        const delay = CONFIG.LAZY_RETRY_DELAY * 2 ** state.attempts;
+        state.attempts++;
+        const timer = setTimeout(() => {
+          retryTimers.delete(timer);
+          applySources(img, state);
+        }, delay);
+        retryTimers.add(timer);
+        return;
+      }
+
+      console.error(`Failed to load image: ${state.src}`);
+      Monitoring.report({ type: 'resource-error', resource: state.src, attempts: state.attempts + 1 });
+      img.removeAttribute('srcset');
+      img.removeAttribute('sizes');
+      img.classList.remove(CLASSES.PLACEHOLDER);
+      img.classList.add(CLASSES.IMAGE_ERROR);
+      img.setAttribute('src', CONFIG.LAZY_FALLBACK_IMAGE);
+    }
+
+    /**
+     * Build a tiny, blurred Unsplash URL to show while the real image loads
+     * @param {string} src - Image URL
+     * @returns {string|null} Placeholder URL, or null for non-Unsplash images
+     */
+    function getUnsplashPlaceholder(src) {
+      if (!ResponsiveImages.isUnsplash(src)) return null;
+      return ResponsiveImages.getUnsplashUrl(src, { width: 32, quality: 30, blur: 50 });
+    }
+
+    /**
+     * Add placeholder, loaded and error styles
+     */
+    function addLazyStyles() {
+      const styleId = 'lazy-loading-styles';
+      if (document.getElementById(styleId)) return;
+
+      const style = document.createElement('style');
+      style.id = styleId;
+      style.textContent = `
+        img.lazy-placeholder {
+          filter: blur(12px);
+        }
+
+        img.loaded {
+          filter: none;
+        }
+
+        @media (prefers-reduced-motion: no-preference) {
+          img.loaded {
+            transition: filter 0.4s ease;
+          }
+        }
+
+        img.image-error {
+          object-fit: contain;
+          background-color: var(--color-neutral-100);
+        }
+      `;
+      document.head.appendChild(style);
+    }
+
+    return { init, destroy, observe };
+  })();
+
+  // ============================================
+  // Contact Outbox Module
+  // ============================================
+
+  const ContactOutbox = (function() {
+    let flushing = null;
+
+    /**
+     * Read queued entries, dropping any past their maximum age
+     * @returns {Object[]} Queued entries
+     */
+    function getEntries() {
+      const entries = readStorage(CONFIG.OUTBOX_STORAGE_KEY, []);
+      if (!Array.isArray(entries)) return [];
+
+      const cutoff = Date.now() - CONFIG.OUTBOX_MAX_AGE;
+      return entries.filter(entry => entry && entry.id && entry.queuedAt >= cutoff);
+    }
+
+    /**
+     * Persist queued entries
+     * @param {Object[]} entries - Entries to store
+     */
+    function saveEntries(entries) {
+      if (entries.length) {
+        writeStorage(CONFIG.OUTBOX_STORAGE_KEY, entries);
+      } else {
+        removeStorage(CONFIG.OUTBOX_STORAGE_KEY);
+      }
+    }
+
+    /**
+     * Queue a request for later delivery
+     * Entries with the same idempotency key or identical payload are stored once.
+     * @param {Object} entry - Entry with id, url and request {method, headers, body}
+     * @returns {boolean} True if the entry is in the outbox
+     */
+    function enqueue({ id, url, request }) {
+      const entries = getEntries();
+      const isDuplicate = entries.some(entry =>
+        entry.id === id || (entry.url === url && entry.request.body === request.body)
+      );
+
+      if (!isDuplicate) {
+        entries.push({ id, url, request, queuedAt: Date.now() });
+      }
+
+      return writeStorage(CONFIG.OUTBOX_STORAGE_KEY, entries);
+    }
+
+    /**
+     * Number of queued entries
+     * @returns {number} Queue size
+     */
+    function size() {
+      return getEntries().length;
+    }
+
+    /**
+     * Send queued entries in order
+     * Stops at the first network failure; entries rejected by the server with a
+     * 4xx status are dropped since resending would not help.
+     * @returns {Promise<number>} Number of entries delivered
+     */
+    function flush() {
+      if (flushing) return flushing;
+
+      flushing = (async () => {
+        let delivered = 0;
+
+        for (const entry of getEntries()) {
+          try {
+            await sendRequest(entry.url, entry.request);
+            delivered++;
+          } catch (error) {
+            if (error instanceof RequestError && error.isRetryable) break;
+            console.error('Dropping queued message rejected by the server:', error);
+          }
+
+          saveEntries(getEntries().filter(queued => queued.id !== entry.id));
+        }
+
+        return delivered;
+      })().finally(() => {
+        flushing = null;
+      });
+
+      return flushing;
+    }
+
+    return { enqueue, flush, size };
+  })();
+
+  // ============================================
+  // Phone Numbers Module
+  // ============================================
+
+  const PhoneNumbers = (function() {
+    /**
+     * Calling code metadata: national number lengths, trunk prefix and
+     * digit grouping used for display.
+     */
+    const COUNTRIES = Object.freeze({
+      US: { name: 'United States', code: '1', lengths: [10], trunk: '', groups: [3, 3, 4] },
+      CA: { name: 'Canada', code: '1', lengths: [10], trunk: '', groups: [3, 3, 4] },
+      MX: { name: 'Mexico', code: '52', lengths: [10], trunk: '', groups: [2, 4, 4] },
+      ES: { name: 'Spain', code: '34', lengths: [9], trunk: '', groups: [3, 2, 2, 2] },
+      CN: { name: 'China', code: '86', lengths: [10, 11], trunk: '0', groups: [3, 4, 4] },
+      HK: { name: 'Hong Kong', code: '852', lengths: [8], trunk: '', groups: [4, 4] },
+      TW: { name: 'Taiwan', code: '886', lengths: [9], trunk: '0', groups: [3, 3, 3] },
+      GB: { name: 'United Kingdom', code: '44', lengths: [10], trunk: '0', groups: [4, 6] },
+      FR: { name: 'France', code: '33', lengths: [9], trunk: '0', groups: [1, 2, 2, 2, 2] },
+      DE: { name: 'Germany', code: '49', lengths: [10, 11], trunk: '0', groups: [3, 8] },
+      IN: { name: 'India', code: '91', lengths: [10], trunk: '0', groups: [5, 5] },
+      PH: { name: 'Philippines', code: '63', lengths: [10], trunk: '0', groups: [3, 3, 4] },
+      VN: { name: 'Vietnam', code: '84', lengths: [9, 10], trunk: '0', groups: [3, 3, 4] },
+      KR: { name: 'South Korea', code: '82', lengths: [9, 10], trunk: '0', groups: [2, 4, 4] },
+      JP: { name: 'Japan', code: '81', lengths: [9, 10], trunk: '0', groups: [2, 4, 4] },
+    });
+
+    /**
+     * Guess the visitor's country from the browser locale
+     * @returns {string} ISO country code
+     */
+    function detectCountry() {
+      const locales = navigator.languages?.length ? navigator.languages : [navigator.language];
+
+      for (const locale of locales) {
+        const region = String(locale || '').split(/[-_]/).slice(1).find(part => /^[A-Za-z]{2}$/.test(part));
+        if (region && COUNTRIES[region.toUpperCase()]) return region.toUpperCase();
+      }
+
+      return CONFIG.DEFAULT_PHONE_COUNTRY;
+    }
+
+    /**
+     * Find the country for an international number's leading digits
+     * @param {string} digits - Digits after "+" or "00"
+     * @param {string} preferred - Country to prefer when a calling code is shared
+     * @returns {string|null} ISO country code
+     */
+    function matchCallingCode(digits, preferred) {
+      for (let length = 1; length <= 3; length++) {
+        const code = digits.slice(0, length);
+        const candidates = Object.keys(COUNTRIES).filter(country => COUNTRIES[country].code === code);
+        if (candidates.length) {
+          return candidates.includes(preferred) ? preferred : candidates[0];
+        }
+      }
+      return null;
+    }
+
+    /**
+     * Parse a phone number typed in national or international form
+     * @param {string} input - Phone number as typed
+     * @param {string} [defaultCountry] - Country for numbers without a calling code
+     * @returns {Object} country, nationalNumber, e164 and valid
+     */
+    function parse(input, defaultCountry = CONFIG.DEFAULT_PHONE_COUNTRY) {
+      const raw = String(input).trim();
+      const isInternational = /^(\+|00)/.test(raw);
+      const digits = raw.replace(/^00/, '').replace(/\D/g, '');
+
+      let country = COUNTRIES[defaultCountry] ? defaultCountry : CONFIG.DEFAULT_PHONE_COUNTRY;
+      let nationalNumber = digits;
+
+      if (isInternational) {
+        country = matchCallingCode(digits, country);
+        if (!country) {
+          return { country: null, nationalNumber: digits, e164: null, valid: false };
+        }
+        nationalNumber = digits.slice(COUNTRIES[country].code.length);
+      }
+
+      const metadata = COUNTRIES[country];
+      if (metadata.trunk && nationalNumber.startsWith(metadata.trunk)) {
+        nationalNumber = nationalNumber.slice(metadata.trunk.length);
+      }
+      if (!isInternational && metadata.code === '1' && nationalNumber.length === 11 && nationalNumber.startsWith('1')) {
+        nationalNumber = nationalNumber.slice(1);
+      }
+
+      const valid = metadata.lengths.includes(nationalNumber.length);
+      return {
+        country,
+        nationalNumber,
+        e164: valid ? `+${metadata.code}${nationalNumber}` : null,
+        valid,
+      };
+    }
+
+    /**
+     * Format a (possibly partial) number for display while typing
+     * @param {string} input - Phone number as typed
+     * @param {string} [defaultCountry] - Country for numbers without a calling code
+     * @returns {string} Formatted number, e.g. "+1 415 555 0123"
+     */
+    function format(input, defaultCountry) {
+      const parsed = parse(input, defaultCountry);
+      if (!parsed.country || !parsed.nationalNumber) return '';
+
+      const { code, groups } = COUNTRIES[parsed.country];
+      const parts = [];
+      let offset = 0;
+
+      groups.forEach((size, index) => {
+        const isLast = index === groups.length - 1;
+        const part = parsed.nationalNumber.slice(offset, isLast ? undefined : offset + size);
+        if (part) parts.push(part);
+        offset += size;
+      });
+
+      return `+${code} ${parts.join(' ')}`;
+    }
+
+    return { COUNTRIES, detectCountry, parse, format };
+  })();
+
+  // ============================================
+  // Phone Input Module
+  // ============================================
+
+  const PhoneInput = (function() {
+    const teardown = createTeardown();
+
+    /**
+     * Initialize country selectors and previews for phone fields
+     */
+    function init() {
+      const fields = safeQuerySelectorAll(SELECTORS.PHONE_INPUTS);
+      if (!fields.length) return;
+
+      addPhoneStyles();
+      fields.forEach(field => enhance(field));
+
+      teardown.add(I18n.onChange(() => {
+        document.querySelectorAll('.phone-country').forEach(select => renderOptions(select, select.value));
+      }));
+    }
+
+    /**
+     * Put phone fields back as plain inputs. The chosen country stays in
+     * data-country so normalize() still reads numbers correctly.
+     */
+    function destroy() {
+      teardown.run();
+    }
+
+    /**
+     * Fill a country select with localized country names, sorted for the current language
+     * @param {HTMLSelectElement} select - Country select
+     * @param {string} selected - Selected country code
+     */
+    function renderOptions(select, selected) {
+      const locale = I18n.getLocale();
+      const countries = Object.entries(PhoneNumbers.COUNTRIES)
+        .map(([country, { name, code }]) => ({ country, code, name: I18n.formatRegion(country, name) }))
+        .sort((a, b) => a.name.localeCompare(b.name, locale));
+
+      select.replaceChildren(...countries.map(({ country, code, name }) => {
+        const option = document.createElement('option');
+        option.value = country;
+        option.textContent = I18n.t('phone.option', { country: name, code });
+        option.selected = country === selected;
+        return option;
+      }));
+    }
+
+    /**
+     * Add a country selector and formatted preview to a phone field
+     * @param {HTMLInputElement} field - Phone input
+     */
+    function enhance(field) {
+      const formGroup = field.closest('.form-group');
+      if (!formGroup || formGroup.querySelector('.phone-country')) return;
+
+      field.dataset.country = field.dataset.country || PhoneNumbers.detectCountry();
+
+      const select = document.createElement('select');
+      select.className = 'phone-country';
+      select.setAttribute('data-i18n-attr', 'aria-label: phone.country');
+      select.setAttribute('aria-label', I18n.t('phone.country'));
+      renderOptions(select, field.dataset.country);
+
+      const wrapper = document.createElement('div');
+      wrapper.className = 'phone-input';
+      field.insertAdjacentElement('beforebegin', wrapper);
+      wrapper.append(select, field);
+
+      const preview = document.createElement('span');
+      preview.className = 'phone-preview';
+      preview.id = `${field.id || field.name}-preview`;
+      preview.setAttribute(ARIA.LIVE, 'polite');
+      wrapper.insertAdjacentElement('afterend', preview);
+      field.setAttribute('aria-describedby', preview.id);
+
+      const updatePreview = () => {
+        preview.textContent = field.value.trim() ? PhoneNumbers.format(field.value, field.dataset.country) : '';
+      };
+
+      teardown.listen(field, 'input', updatePreview);
+      teardown.listen(select, 'change', () => {
+        field.dataset.country = select.value;
+        field.dispatchEvent(new Event('input', { bubbles: true }));
+      });
+
+      teardown.add(() => {
+        wrapper.replaceWith(field);
+        preview.remove();
+        field.removeAttribute('aria-describedby');
+      });
+    }
+
+    /**
+     * Replace phone values with their E.164 form before a form is sent
+     * @param {HTMLFormElement} form - Form element
+     */
+    function normalize(form) {
+      form.querySelectorAll(SELECTORS.PHONE_INPUTS).forEach(field => {
+        const { e164 } = PhoneNumbers.parse(field.value, field.dataset.country);
+        if (e164) field.value = e164;
+      });
+    }
+
+    /**
+     * Add phone input styles
+     */
+    function addPhoneStyles() {
+      const styleId = 'phone-input-styles';
+      if (document.getElementById(styleId)) return;
+
+      const style = document.createElement('style');
+      style.id = styleId;
+      style.textContent = `
+        .phone-input {
+          display: flex;
+          gap: var(--space-sm);
+        }
+
+        .phone-input input {
+          flex: 1;
+          min-width: 0;
+        }
+
+        .phone-country {
+          max-width: 45%;
+          padding: var(--space-md) var(--space-sm);
+          border: 2px solid var(--color-border);
+          border-radius: var(--radius-md);
+          background-color: var(--color-background);
+          color: var(--color-text-primary);
+        }
+
+        .phone-preview {
+          min-height: 1.2em;
+          font-size: var(--font-size-sm);
+          color: var(--color-text-secondary);
+        }
+      `;
+      document.head.appendChild(style);
+    }
+
+    return { init, destroy, normalize };
+  })();
+
+  // ============================================
+  // Spam Protection Module
+  // ============================================
+
+  const SpamProtection = (function() {
+    const teardown = createTeardown();
+
+    let renderedAt = new WeakMap();
+
+    /**
+     * Initialize spam protection on protected forms
+     */
+    function init() {
+      const forms = safeQuerySelectorAll(SELECTORS.SPAM_PROTECTED_FORMS);
+      if (!forms.length) return;
+
+      addSpamStyles();
+      forms.forEach(form => protect(form));
+    }
+
+    /**
+     * Remove the honeypots and proof-of-work fields and stop checking forms
+     */
+    function destroy() {
+      teardown.run();
+      renderedAt = new WeakMap();
+    }
+
+    /**
+     * Add a honeypot field and start the time-to-submit clock
+     * @param {HTMLFormElement} form - Form element
+     */
+    function protect(form) {
+      renderedAt.set(form, Date.now());
+      if (form.elements[CONFIG.SPAM_HONEYPOT_FIELD]) return;
+
+      const wrapper = document.createElement('div');
+      wrapper.className = 'form-hp';
+      wrapper.setAttribute(ARIA.HIDDEN, 'true');
+
+      const label = document.createElement('label');
+      label.textContent = I18n.t('spam.honeypot');
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.name = CONFIG.SPAM_HONEYPOT_FIELD;
+      input.tabIndex = -1;
+      input.autocomplete = 'off';
+      input.setAttribute('data-no-draft', '');
+
+      label.appendChild(input);
+      wrapper.appendChild(label);
+      form.prepend(wrapper);
+      teardown.add(() => wrapper.remove());
+    }
+
+    /**
+     * Get the submission timestamps still inside the rate-limit window
+     * @returns {number[]} Timestamps
+     */
+    function getRecentSubmissions() {
+      const cutoff = Date.now() - CONFIG.SPAM_RATE_WINDOW;
+      const timestamps = readStorage(CONFIG.SPAM_RATE_STORAGE_KEY, []);
+      return Array.isArray(timestamps) ? timestamps.filter(time => time > cutoff) : [];
+    }
+
+    /**
+     * Decide whether a form may be submitted
+     * @param {HTMLFormElement} form - Form element
+     * @returns {{allowed: boolean, message?: string}} Verdict
+     */
+    function check(form) {
+      if (!renderedAt.has(form)) return { allowed: true };
+
+      const honeypot = form.elements[CONFIG.SPAM_HONEYPOT_FIELD];
+      if (honeypot && honeypot.value) {
+        return {
+          allowed: false,
+          message: I18n.t('spam.automated'),
+        };
+      }
+
+      if (Date.now() - renderedAt.get(form) < CONFIG.SPAM_MIN_SUBMIT_TIME) {
+        return {
+          allowed: false,
+          message: I18n.t('spam.tooFast'),
+        };
+      }
+
+      const recent = getRecentSubmissions();
+      if (recent.length >= CONFIG.SPAM_RATE_LIMIT) {
+        const waitMinutes = Math.ceil((recent[0] + CONFIG.SPAM_RATE_WINDOW - Date.now()) / 60000);
+        return {
+          allowed: false,
+          message: I18n.t('spam.rateLimited', { count: waitMinutes }),
+        };
+      }
+
+      return { allowed: true };
+    }
+
+    /**
+     * Record a successful submission for rate limiting
+     * @param {HTMLFormElement} form - Form element
+     */
+    function recordSubmission(form) {
+      if (!renderedAt.has(form)) return;
+
+      writeStorage(CONFIG.SPAM_RATE_STORAGE_KEY, [...getRecentSubmissions(), Date.now()]);
+      renderedAt.set(form, Date.now());
+    }
+
+    /**
+     * Count leading zero bits of a digest
+     * @param {Uint8Array} bytes - Digest bytes
+     * @returns {number} Leading zero bits
+     */
+    function countLeadingZeroBits(bytes) {
+      let bits = 0;
+      for (const byte of bytes) {
+        if (byte === 0) {
+          bits += 8;
+          continue;
+        }
+        bits += Math.clz32(byte) - 24;
+        break;
+      }
+      return bits;
+    }
+
+    /**
+     * Solve a proof-of-work challenge
+     * Finds a nonce so that SHA-256("<challenge>:<nonce>") starts with
+     * `difficulty` zero bits. The server recomputes one hash to verify it.
+     * @param {string} challenge - Challenge string ("<timestamp>:<random>")
+     * @param {number} difficulty - Required leading zero bits
+     * @returns {Promise<string>} Token "<challenge>:<nonce>"
+     */
+    async function solveProofOfWork(challenge, difficulty) {
+      const encoder = new TextEncoder();
+
+      for (let nonce = 0; ; nonce++) {
+        const digest = await window.crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`));
+        if (countLeadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+          return `${challenge}:${nonce}`;
+        }
+      }
+    }
+
+    /**
+     * Attach a proof-of-work token to the form when enabled
+     * @param {HTMLFormElement} form - Form element
+     * @returns {Promise<void>} Resolves once the token field is set
+     */
+    async function prepare(form) {
+      const difficulty = CONFIG.SPAM_POW_DIFFICULTY;
+      if (!renderedAt.has(form) || !difficulty || !window.crypto?.subtle) return;
+
+      const token = await solveProofOfWork(`${Date.now()}:${createId()}`, difficulty);
+
+      let field = form.elements[CONFIG.SPAM_POW_FIELD];
+      if (!field) {
+        field = document.createElement('input');
+        field.type = 'hidden';
+        field.name = CONFIG.SPAM_POW_FIELD;
+        form.appendChild(field);
+        teardown.add(() => field.remove());
+      }
+      field.value = token;
+    }
+
+    /**
+     * Add honeypot styles
+     */
+    function addSpamStyles() {
+      const styleId = 'spam-protection-styles';
+      if (document.getElementById(styleId)) return;
+
+      const style = document.createElement('style');
+      style.id = styleId;
+      style.textContent = `
+        .form-hp {
+          position: absolute;
+          left: -10000px;
+          width: 1px;
+          height: 1px;
+          overflow: hidden;
+        }
+      `;
+      document.head.appendChild(style);
+    }
+
+    return { init, destroy, protect, check, prepare, recordSubmission };
+  })();
+
+  // ============================================
+  // Validation Rules Module
+  // ============================================
+
+  const ValidationRules = (function() {
+    const factories = new Map();
+
+    /**
+     * Create a rule
+     * @param {string} name - Rule name, used for data-message-* overrides
+     * @param {Function} validate - (value, context) => boolean|Promise<boolean>
+     * @param {string|Function} message - Message shown when the rule fails, or a
+     *   function returning it so it follows the current language
+     * @param {string[]} [fields] - Other field names the rule reads
+     * @returns {Object} Rule
+     */
+    function createRule(name, validate, message, fields = []) {
+      return Object.freeze({ name, validate, message, fields });
+    }
+
+    /**
+     * Value must not be empty
+     * @param {string|Function} [message] - Error message
+     * @returns {Object} Rule
+     */
+    function required(message = () => I18n.t('validation.required')) {
+      return createRule('required', value => value.length > 0, message);
+    }
+
+    /**
+     * Value must have at least `length` characters
+     * @param {number} length - Minimum length
+     * @param {string|Function} [message] - Error message
+     * @returns {Object} Rule
+     */
+    function minLength(length, message = () => I18n.t('validation.minLength', { count: length })) {
+      return createRule('minLength', value => Array.from(value).length >= length, message);
+    }
+
+    /**
+     * Value must have at most `length` characters
+     * @param {number} length - Maximum length
+     * @param {string|Function} [message] - Error message
+     * @returns {Object} Rule
+     */
+    function maxLength(length, message = () => I18n.t('validation.maxLength', { count: length })) {
+      return createRule('maxLength', value => Array.from(value).length <= length, message);
+    }
+
+    /**
+     * Value must match a regular expression
+     * @param {RegExp|string} regex - Pattern (strings are anchored)
+     * @param {string|Function} [message] - Error message
+     * @returns {Object} Rule
+     */
+    function pattern(regex, message = () => I18n.t('validation.pattern')) {
+      const expression = regex instanceof RegExp ? regex : new RegExp(`^(?:${regex})$`, 'u');
+      return createRule('pattern', value => expression.test(value), message);
+    }
+
+    /**
+     * Value must look like an email address
+     * @param {string|Function} [message] - Error message
+     * @returns {Object} Rule
+     */
+    function email(message = () => I18n.t('validation.email')) {
+      return createRule('email', value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value), message);
+    }
+
+    /**
+     * Value must be a valid number for its country (see PhoneNumbers)
+     * @param {string|Function} [message] - Error message
+     * @returns {Object} Rule
+     */
+    function phone(message = () => I18n.t('validation.phone')) {
+      return createRule('phone', (value, { field }) => PhoneNumbers.parse(value, field?.dataset.country).valid, message);
+    }
+
+    /**
+     * Value must equal another field's value
+     * @param {string} otherField - Name of the field to compare with
+     * @param {string|Function} [message] - Error message
+     * @returns {Object} Rule
+     */
+    function matches(otherField, message = () => I18n.t('validation.matches')) {
+      return createRule(
+        'matches',
+        (value, { form }) => value === (form.elements[otherField]?.value || '').trim(),
+        message,
+        [otherField]
+      );
+    }
+
+    /**
+     * Value is required when another field has a value
+     * @param {string} otherField - Name of the field to check
+     * @param {string|Function} [message] - Error message
+     * @returns {Object} Rule
+     */
+    function requiredWith(otherField, message = () => I18n.t('validation.required')) {
+      return createRule(
+        'requiredWith',
+        (value, { form }) => value.length > 0 || !(form.elements[otherField]?.value || '').trim(),
+        message,
+        [otherField]
+      );
+    }
+
+    /**
+     * Custom rule, optionally async (e.g. a server-side availability check)
+     * @param {Function} validate - (value, context) => boolean|Promise<boolean>
+     * @param {string|Function} [message] - Error message
+     * @param {Object} [options] - name and fields for the rule
+     * @returns {Object} Rule
+     */
+    function custom(validate, message = () => I18n.t('validation.custom'), { name = 'custom', fields = [] } = {}) {
+      return createRule(name, validate, message, fields);
+    }
+
+    /**
+     * Register a rule factory for use in data-validate attributes
+     * @param {string} name - Rule name as written in markup
+     * @param {Function} factory - (argument) => Rule, argument being the text after ":"
+     */
+    function register(name, factory) {
+      factories.set(name.toLowerCase(), factory);
+    }
+
+    /**
+     * Build rules from a field's data-validate attribute
+     * Syntax: data-validate="required|minLength:2|matches:email". Messages can be
+     * overridden per rule with data-message-<rule> (e.g. data-message-minlength).
+     * @param {HTMLElement} field - Form field
+     * @returns {Object[]|null} Rules, or null if the field declares none
+     */
+    function fromAttributes(field) {
+      const declaration = field.dataset.validate;
+      if (declaration === undefined) return null;
+
+      return declaration
+        .split('|')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+          const separator = part.indexOf(':');
+          const name = separator === -1 ? part : part.slice(0, separator);
+          const argument = separator === -1 ? undefined : part.slice(separator + 1);
+          const factory = factories.get(name.toLowerCase());
+
+          if (!factory) {
+            console.warn(`Unknown validation rule "${name}" on field "${field.name}"`);
+            return null;
+          }
+
+          return factory(argument);
+        })
+        .filter(Boolean);
+    }
+
+    register('required', () => required());
+    register('minLength', argument => minLength(Number(argument)));
+    register('maxLength', argument => maxLength(Number(argument)));
+    register('pattern', argument => pattern(argument));
+    register('email', () => email());
+    register('phone', () => phone());
+    register('matches', argument => matches(argument));
+    register('requiredWith', argument => requiredWith(argument));
+
+    return {
+      required,
+      minLength,
+      maxLength,
+      pattern,
+      email,
+      phone,
+      matches,
+      requiredWith,
+      custom,
+      register,
+      fromAttributes,
+    };
+  })();
+
+  // ============================================
+  // Form Validation Module
+  // ============================================
+
+  const FormValidation = (function() {
+    const defaultRules = {
+      name: [ValidationRules.pattern(/^(?=.*\p{L})[\p{L}\p{M}\s'’.-]{2,50}$/u, () => I18n.t('validation.name'))],
+      email: [ValidationRules.email()],
+      phone: [ValidationRules.phone()],
+      subject: [ValidationRules.pattern(/^.{3,100}$/, () => I18n.t('validation.subject'))],
+      message: [ValidationRules.pattern(/^.{10,1000}$/s, () => I18n.t('validation.message'))],
+    };
+
+    const pendingValidations = new WeakMap();
+    const formActivity = new Map();
+    const teardown = createTeardown();
+
+    let formRules = new WeakMap();
+
+    /**
+     * Initialize form validation
+     */
+    function init() {
+      const forms = safeQuerySelectorAll(SELECTORS.VALIDATED_FORMS);
+      forms.forEach(form => attach(form));
+      teardown.listen(window, 'pagehide', reportAbandonedForms);
+
+      const form = safeQuerySelector(SELECTORS.CONTACT_FORM);
+      if (!form) return;
+
+      teardown.listen(window, 'online', () => resendQueued(form));
+      if (navigator.onLine !== false) {
+        resendQueued(form);
+      }
+    }
+
+    /**
+     * Detach every form, including ones attached through the public API, and
+     * remove pending draft notices. Saved drafts and queued messages are kept.
+     */
+    function destroy() {
+      teardown.run();
+      formRules = new WeakMap();
+      formActivity.clear();
+    }
+
+    /**
+     * Enable validation and submission on a form
+     * @param {HTMLFormElement} form - Form element
+     * @param {Object} [options] - Options
+     * @param {Object<string, Object[]>} [options.rules] - Rules keyed by field name
+     */
+    function attach(form, { rules = {} } = {}) {
+      if (formRules.has(form)) {
+        addRules(form, rules);
+        return;
+      }
+
+      formRules.set(form, { ...rules });
+      resetActivity(form);
+
+      const inputs = form.querySelectorAll(SELECTORS.FORM_INPUTS);
+      
+      inputs.forEach(input => {
+        teardown.listen(input, 'input', () => recordInput(input));
+        teardown.listen(input, 'blur', () => validateField(input));
+        teardown.listen(input, 'input', debounce(() => {
+          validateField(input);
+          revalidateDependents(input);
+        }, CONFIG.FORM_VALIDATION_DELAY));
+      });
+
+      teardown.listen(form, 'submit', handleFormSubmit);
+      setupDrafts(form);
+    }
+
+    /**
+     * Name a form for analytics events
+     * @param {HTMLFormElement} form - Form element
+     * @returns {string} Form name
+     */
+    function getFormName(form) {
+      return form.id || form.getAttribute('name') || form.classList[0] || 'form';
+    }
+
+    /**
+     * Start tracking which fields of a form have been used
+     * @param {HTMLFormElement} form - Form element
+     */
+    function resetActivity(form) {
+      formActivity.set(form, { fields: new Set(), lastField: null, errors: {} });
+    }
+
+    /**
+     * Note that a field was filled in. Only the field name is kept, never its value.
+     * @param {HTMLInputElement|HTMLTextAreaElement} field - Form field
+     */
+    function recordInput(field) {
+      const activity = formActivity.get(field.form);
+      if (!activity || !field.name || field.name === CONFIG.SPAM_HONEYPOT_FIELD) return;
+
+      activity.fields.add(field.name);
+      activity.lastField = field.name;
+    }
+
+    /**
+     * Count a field turning invalid
+     * @param {HTMLInputElement|HTMLTextAreaElement} field - Form field
+     */
+    function recordError(field) {
+      const activity = formActivity.get(field.form);
+      if (!activity || !field.name) return;
+
+      activity.errors[field.name] = (activity.errors[field.name] || 0) + 1;
+    }
+
+    /**
+     * Publish "form_abandon" for forms left with fields filled in but not sent
+     */
+    function reportAbandonedForms() {
+      formActivity.forEach((activity, form) => {
+        if (!activity.fields.size) return;
+
+        EventBus.emit('form_abandon', {
+          form: getFormName(form),
+          fields: [...activity.fields],
+          lastField: activity.lastField,
+          errors: activity.errors,
+        });
+        resetActivity(form);
+      });
+    }
+
+    /**
+     * Add or replace rules for fields of an attached form
+     * @param {HTMLFormElement} form - Form element
+     * @param {Object<string, Object[]>} rules - Rules keyed by field name
+     */
+    function addRules(form, rules) {
+      formRules.set(form, { ...(formRules.get(form) || {}), ...rules });
+    }
+
+    /**
+     * Deliver messages queued while offline
+     * @param {HTMLFormElement} form - Form element
+     */
+    async function resendQueued(form) {
+      if (!ContactOutbox.size()) return;
+
+      const delivered = await ContactOutbox.flush();
+      if (delivered) {
+        showFormSuccess(form, I18n.t('form.queuedSent', { count: delivered }));
+      }
+    }
+
+    /**
+     * Storage key for a form's draft
+     * @param {HTMLFormElement} form - Form element
+     * @returns {string} Storage key
+     */
+    function getDraftKey(form) {
+      return `${CONFIG.DRAFT_STORAGE_PREFIX}${form.id || form.getAttribute('action') || 'form'}`;
+    }
+
+    /**
+     * Whether a field may be stored in a draft
+     * Passwords, payment and one-time-code fields, and anything marked
+     * data-no-draft or listed in CONFIG.DRAFT_EXCLUDED_FIELDS are never stored.
+     * @param {HTMLInputElement|HTMLTextAreaElement} field - Form field
+     * @returns {boolean} True if the field can be saved
+     */
+    function isDraftable(field) {
+      const autocomplete = (field.getAttribute('autocomplete') || '').toLowerCase();
+
+      return Boolean(field.name) &&
+        !['password', 'hidden', 'file'].includes(field.type) &&
+        !autocomplete.startsWith('cc-') &&
+        !autocomplete.includes('one-time-code') &&
+        !autocomplete.includes('password') &&
+        !field.hasAttribute('data-no-draft') &&
+        !CONFIG.DRAFT_EXCLUDED_FIELDS.includes(field.name);
+    }
+
+    /**
+     * Save, restore and clear drafts for a form
+     * @param {HTMLFormElement} form - Form element
+     */
+    function setupDrafts(form) {
+      if (form.dataset.draft === 'off') return;
+
+      const saveDraft = debounce(() => {
+        const values = {};
+        form.querySelectorAll(SELECTORS.FORM_INPUTS).forEach(field => {
+          if (isDraftable(field) && field.value.trim()) {
+            values[field.name] = field.value;
+          }
+        });
+
+        if (Object.keys(values).length) {
+          writeStorage(getDraftKey(form), { savedAt: Date.now(), values });
+        } else {
+          clearDraft(form);
+        }
+      }, CONFIG.DRAFT_SAVE_DELAY);
+
+      const draft = readDraft(form);
+      if (draft) {
+        showDraftNotice(form, draft, () => teardown.listen(form, 'input', saveDraft));
+      } else {
+        teardown.listen(form, 'input', saveDraft);
+      }
+    }
+
+    /**
+     * Read a form's draft if it exists and has not expired
+     * @param {HTMLFormElement} form - Form element
+     * @returns {Object|null} Draft with savedAt and values
+     */
+    function readDraft(form) {
+      const draft = readStorage(getDraftKey(form));
+      if (!draft || !draft.values || typeof draft.savedAt !== 'number') return null;
+
+      if (Date.now() - draft.savedAt > CONFIG.DRAFT_TTL) {
+        clearDraft(form);
+        return null;
+      }
+
+      return draft;
+    }
+
+    /**
+     * Remove a form's draft
+     * @param {HTMLFormElement} form - Form element
+     */
+    function clearDraft(form) {
+      removeStorage(getDraftKey(form));
+    }
+
+    /**
+     * Offer to restore or discard a saved draft
+     * Typing before choosing counts as discarding the old draft.
+     * @param {HTMLFormElement} form - Form element
+     * @param {Object} draft - Saved draft
+     * @param {Function} onResolved - Called once the visitor has chosen
+     */
+    function showDraftNotice(form, draft, onResolved) {
+      const notice = document.createElement('div');
+      notice.className = 'form-message draft';
+      notice.setAttribute('role', 'status');
+      notice.setAttribute(ARIA.LIVE, 'polite');
+
+      const text = document.createElement('p');
+      text.textContent = I18n.t('form.draft', { time: I18n.formatRelativeTime(draft.savedAt) });
+
+      const restoreButton = document.createElement('button');
+      restoreButton.type = 'button';
+      restoreButton.className = 'btn-link';
+      restoreButton.textContent = I18n.t('form.restoreDraft');
+
+      const discardButton = document.createElement('button');
+      discardButton.type = 'button';
+      discardButton.className = 'btn-link';
+      discardButton.textContent = I18n.t('form.discardDraft');
+
+      const resolve = () => {
+        notice.remove();
+        form.removeEventListener('input', resolve);
+        onResolved();
+      };
+
+      restoreButton.addEventListener('click', () => {
+        resolve();
+        restoreDraft(form, draft);
+      });
+      discardButton.addEventListener('click', () => {
+        clearDraft(form);
+        resolve();
+      });
+      teardown.listen(form, 'input', resolve);
+      teardown.add(() => notice.remove());
+
+      notice.append(text, restoreButton, discardButton);
+      form.insertAdjacentElement('beforebegin', notice);
+    }
+
+    /**
+     * Fill a form from a draft
+     * @param {HTMLFormElement} form - Form element
+     * @param {Object} draft - Saved draft
+     */
+    function restoreDraft(form, draft) {
+      Object.entries(draft.values).forEach(([name, value]) => {
+        const field = form.elements[name];
+        if (!field || typeof field.closest !== 'function' || !isDraftable(field)) return;
+
+        field.value = value;
+        field.dispatchEvent(new Event('input', { bubbles: true }));
+      });
+
+      const firstField = form.querySelector(SELECTORS.FORM_INPUTS);
+      if (firstField) firstField.focus();
+    }
+
+    /**
+     * Build rules from native constraint attributes
+     * @param {HTMLInputElement|HTMLTextAreaElement} field - Form field
+     * @returns {Object[]} Rules
+     */
+    function getNativeRules(field) {
+      const rules = [];
+
+      if (field.type === 'email') rules.push(ValidationRules.email());
+      if (field.hasAttribute('minlength')) rules.push(ValidationRules.minLength(Number(field.getAttribute('minlength'))));
+      if (field.hasAttribute('maxlength')) rules.push(ValidationRules.maxLength(Number(field.getAttribute('maxlength'))));
+      if (field.hasAttribute('pattern')) rules.push(ValidationRules.pattern(field.getAttribute('pattern'), field.title || undefined));
+
+      return rules;
+    }
+
+    /**
+     * Resolve the rules for a field
+     * Markup (data-validate) wins over rules registered for the form, which win
+     * over the built-in defaults and finally native constraint attributes.
+     * @param {HTMLInputElement|HTMLTextAreaElement} field - Form field
+     * @returns {Object[]} Rules
+     */
+    function getRules(field) {
+      const registered = field.form ? formRules.get(field.form)?.[field.name] : undefined;
+      const rules = ValidationRules.fromAttributes(field) ||
+        registered ||
+        defaultRules[field.name] ||
+        getNativeRules(field);
+
+      if (field.hasAttribute('required') && !rules.some(rule => rule.name === 'required')) {
+        return [ValidationRules.required(), ...rules];
+      }
+
+      return rules;
+    }
+
+    /**
+     * Validate single field
+     * An empty optional field passes; an empty required field reports only
+     * "required"; otherwise every failing rule contributes a message.
+     * @param {HTMLInputElement|HTMLTextAreaElement} field - Form field
+     * @returns {Promise<boolean>} Validation result
+     */
+    async function validateField(field) {
+      const value = field.value.trim();
+      const context = { field, form: field.form };
+      const rules = getRules(field)
+        .filter(rule => value || ['required', 'requiredWith'].includes(rule.name));
+
+      const token = {};
+      pendingValidations.set(field, token);
+
+      const results = await Promise.all(rules.map(async rule => {
+        try {
+          return await rule.validate(value, context);
+        } catch (error) {
+          console.error(`Validation rule "${rule.name}" failed:`, error);
+          return false;
+        }
+      }));
+
+      if (pendingValidations.get(field) !== token) {
+        return field.getAttribute(ARIA.INVALID) !== 'true';
+      }
+
+      const wasInvalid = field.getAttribute(ARIA.INVALID) === 'true';
+      clearFieldError(field);
+
+      const messages = rules
+        .filter((rule, index) => !results[index])
+        .map(rule => field.dataset[ruleMessageKey(rule.name)] || resolveMessage(rule.message));
+
+      if (messages.length) {
+        if (!wasInvalid) recordError(field);
+        showFieldError(field, [...new Set(messages)]);
+        return false;
+      }
+
+      showFieldSuccess(field);
+      return true;
+    }
+
+    /**
+     * Resolve a rule message, which may be a function of the current language
+     * @param {string|Function} message - Message or message getter
+     * @returns {string} Message
+     */
+    function resolveMessage(message) {
+      return typeof message === 'function' ? message() : message;
+    }
+
+    /**
+     * Dataset key for a rule's message override (data-message-minlength -> messageMinlength)
+     * @param {string} ruleName - Rule name
+     * @returns {string} Dataset key
+     */
+    function ruleMessageKey(ruleName) {
+      const key = ruleName.toLowerCase();
+      return `message${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+    }
+
+    /**
+     * Re-run validation on fields whose rules read the changed field
+     * @param {HTMLInputElement|HTMLTextAreaElement} changedField - Field that changed
+     */
+    function revalidateDependents(changedField) {
+      const form = changedField.form;
+      if (!form) return;
+
+      form.querySelectorAll(SELECTORS.FORM_INPUTS).forEach(field => {
+        if (field === changedField || !field.hasAttribute(ARIA.INVALID)) return;
+
+        if (getRules(field).some(rule => rule.fields.includes(changedField.name))) {
+          validateField(field);
+        }
+      });
+    }
+
+    /**
+     * Validate every field of a form
+     * @param {HTMLFormElement} form - Form element
+     * @returns {Promise<boolean>} True if all fields are valid
+     */
+    async function validateForm(form) {
+      const inputs = Array.from(form.querySelectorAll(SELECTORS.FORM_INPUTS));
+      const results = await Promise.all(inputs.map(input => validateField(input)));
+      return results.every(Boolean);
+    }
+
+    /**
+     * Show field error
+     * @param {HTMLElement} field - Form field
+     * @param {string|string[]} message - Error message, or several
+     */
+    function showFieldError(field, message) {
+      const formGroup = field.closest('.form-group');
+      if (!formGroup) return;
+
+      formGroup.classList.add(CLASSES.ERROR);
+      formGroup.classList.remove(CLASSES.SUCCESS);
+      field.setAttribute(ARIA.INVALID, 'true');
+
+      let errorElement = formGroup.querySelector('.error-message');
+      if (!errorElement) {
+        errorElement = document.createElement('span');
+        errorElement.className = 'error-message';
+        errorElement.setAttribute('role', 'alert');
+        formGroup.appendChild(errorElement);
+      }
+
+      const messages = [].concat(message);
+      if (messages.length === 1) {
+        errorElement.textContent = messages[0];
+      } else {
+        errorElement.replaceChildren(...messages.map(text => {
+          const line = document.createElement('span');
+          line.className = 'error-message-line';
+          line.textContent = text;
+          return line;
+        }));
+      }
+    }
+
+    /**
+     * Show field success
+     * @param {HTMLElement} field - Form field
+     */
+    function showFieldSuccess(field) {
+      const formGroup = field.closest('.form-group');
+      if (!formGroup) return;
+
+      formGroup.classList.remove(CLASSES.ERROR);
+      formGroup.classList.add(CLASSES.SUCCESS);
+      field.setAttribute(ARIA.INVALID, 'false');
+    }
+
+    /**
+     * Clear field error
+     * @param {HTMLElement} field - Form field
+     */
+    function clearFieldError(field) {
+      const formGroup = field.closest('.form-group');
+      if (!formGroup) return;
+
+      formGroup.classList.remove(CLASSES.ERROR, CLASSES.SUCCESS);
+      field.removeAttribute(ARIA.INVALID);
+
+      const errorElement = formGroup.querySelector('.error-message');
+      if (errorElement) {
+        errorElement.remove();
+      }
+    }
+
+    /**
+     * Handle form submission
+     * @param {Event} event - Submit event
+     */
+    async function handleFormSubmit(event) {
+      event.preventDefault();
+
+      const form = event.target;
+      const isValid = await validateForm(form);
+
+      if (isValid) {
+        submitForm(form, event.submitter);
+      } else {
+        const invalidFields = Array.from(form.querySelectorAll(`[${ARIA.INVALID}="true"]`));
+        EventBus.emit('form_invalid', {
+          form: getFormName(form),
+          errorCount: invalidFields.length,
+          fields: invalidFields.map(field => field.name),
+        });
+
+        const firstError = form.querySelector(`.${CLASSES.ERROR} input, .${CLASSES.ERROR} textarea`);
+        if (firstError) {
+          firstError.focus();
+        }
+      }
+    }
+
+    /**
+     * Submit form
+     * @param {HTMLFormElement} form - Form element
+     * @param {HTMLElement|null} [submitter] - Button that submitted it; null when Enter was pressed
+     */
+    async function submitForm(form, submitter = null) {
+      const submitButton = submitter || form.querySelector(SELECTORS.SUBMIT_BUTTONS);
+      // <input type="submit"> shows its value rather than its text
+      const labelProperty = submitButton?.localName === 'input' ? 'value' : 'textContent';
+      const originalText = submitButton?.[labelProperty];
+
+      const verdict = SpamProtection.check(form);
+      if (!verdict.allowed) {
+        EventBus.emit('form_submit', { form: getFormName(form), status: 'blocked' });
+        showFormError(form, verdict.message);
+        return;
+      }
+
+      try {
+        if (submitButton) {
+          submitButton.disabled = true;
+          submitButton.classList.add(CLASSES.LOADING);
+          submitButton[labelProperty] = I18n.t('form.sending');
+        }
+
+        PhoneInput.normalize(form);
+        await SpamProtection.prepare(form);
+
+        const url = getEndpoint(form);
+        const request = buildRequest(form, createId());
+
+        try {
+          await sendRequest(url, request);
+        } catch (error) {
+          if (!isOfflineError(error)) throw error;
+
+          if (!ContactOutbox.enqueue({ id: request.headers['Idempotency-Key'], url, request })) throw error;
+          SpamProtection.recordSubmission(form);
+          EventBus.emit('form_submit', { form: getFormName(form), status: 'queued' });
+          showFormQueued(form);
+          resetForm(form);
+          return;
+        }
+
+        SpamProtection.recordSubmission(form);
+        EventBus.emit('form_submit', { form: getFormName(form), status: 'sent' });
+        showFormSuccess(form);
+        resetForm(form);
+
+      } catch (error) {
+        console.error('Form submission error:', error);
+        EventBus.emit('form_submit', { form: getFormName(form), status: 'failed' });
+
+        if (!applyServerErrors(form, error)) {
+          showFormError(form, getSubmissionErrorMessage(error));
+        }
+      } finally {
+        if (submitButton) {
+          submitButton.disabled = false;
+          submitButton.classList.remove(CLASSES.LOADING);
+          submitButton[labelProperty] = originalText;
+        }
+      }
+    }
+
+    /**
+     * Resolve the submission endpoint
+     * @param {HTMLFormElement} form - Form element
+     * @returns {string} Endpoint URL
+     */
+    function getEndpoint(form) {
+      return form.dataset.endpoint || CONFIG.CONTACT_ENDPOINT || form.getAttribute('action') || window.location.href;
+    }
+
+    /**
+     * Reset the form and clear validation state
+     * @param {HTMLFormElement} form - Form element
+     */
+    function resetForm(form) {
+      form.reset();
+      clearDraft(form);
+      resetActivity(form);
+
+      const inputs = form.querySelectorAll(SELECTORS.FORM_INPUTS);
+      inputs.forEach(input => clearFieldError(input));
+    }
+
+    /**
+     * Check whether a failed submission was caused by a lost connection.
+     * Other network failures (CORS, DNS, a server that is down) are not
+     * queued: no "online" event would ever come to resend them.
+     * @param {Error} error - Submission error
+     * @returns {boolean} True if the message should be queued
+     */
+    function isOfflineError(error) {
+      return error instanceof RequestError && error.status === 0 && navigator.onLine === false;
+    }
+
+    /**
+     * Build fetch options for a form, encoded as JSON or form-urlencoded
+     * The body is always a string so the request can be stored in the outbox.
+     * @param {HTMLFormElement} form - Form element
+     * @param {string} idempotencyKey - Key the server uses to discard duplicates
+     * @returns {Object} Request options
+     */
+    function buildRequest(form, idempotencyKey) {
+      const formData = new FormData(form);
+      const encoding = form.dataset.encoding || CONFIG.CONTACT_ENCODING;
+      const method = (form.getAttribute('method') || 'POST').toUpperCase();
+      const isFormEncoded = encoding === 'form';
+
+      return {
+        method,
+        headers: {
+          Accept: 'application/json',
+          'Content-Type': isFormEncoded ? 'application/x-www-form-urlencoded' : 'application/json',
+          'Idempotency-Key': idempotencyKey,
+        },
+        body: isFormEncoded
+          ? new URLSearchParams(formData).toString()
+          : JSON.stringify(Object.fromEntries(formData.entries())),
+      };
+    }
+
+    /**
+     * Show server-side field errors (e.g. {errors: {email: "..."}}) on their fields
+     * @param {HTMLFormElement} form - Form element
+     * @param {Error} error - Submission error
+     * @returns {boolean} True if at least one field error was shown
+     */
+    function applyServerErrors(form, error) {
+      const errors = error instanceof RequestError ? error.body?.errors : null;
+      if (!errors || typeof errors !== 'object') return false;
+
+      const fields = Object.entries(errors)
+        .map(([name, message]) => {
+          const field = form.elements[name];
+          if (!field || typeof field.closest !== 'function') return null;
+
+          showFieldError(field, Array.isArray(message) ? message.join(' ') : String(message));
+          return field;
+        })
+        .filter(Boolean);
+
+      if (!fields.length) return false;
+
+      const summary = typeof error.body.message === 'string' ? error.body.message : '';
+      showFormError(form, summary || I18n.t('form.fixFields'));
+      fields[0].focus();
+      return true;
+    }
+
+    /**
+     * Choose a user-facing message for a failed submission
+     * @param {Error} error - Submission error
+     * @returns {string} Error message
+     */
+    function getSubmissionErrorMessage(error) {
+      if (error instanceof RequestError) {
+        if (typeof error.body?.message === 'string') return error.body.message;
+        if (error.status === 0) return I18n.t('form.networkError');
+        if (error.status === 429) return I18n.t('form.rateLimited');
+      }
+
+      return I18n.t('form.failed');
+    }
+
+    /**
+     * Show form success message
+     * @param {HTMLFormElement} form - Form element
+     * @param {string} [text] - Success message
+     */
+    function showFormSuccess(form, text = I18n.t('form.success')) {
+      const message = document.createElement('div');
+      message.className = 'form-message success';
+      message.setAttribute('role', 'status');
+      message.setAttribute(ARIA.LIVE, 'polite');
+      message.textContent = text;
+      
+      form.insertAdjacentElement('beforebegin', message);
+      
+      setTimeout(() => message.remove(), 5000);
+    }
+
+    /**
+     * Show a message queued while offline
+     * @param {HTMLFormElement} form - Form element
+     */
+    function showFormQueued(form) {
+      const message = document.createElement('div');
+      message.className = 'form-message queued';
+      message.setAttribute('role', 'status');
+      message.setAttribute(ARIA.LIVE, 'polite');
+      message.textContent = I18n.t('form.queued');
+
+      form.insertAdjacentElement('beforebegin', message);
+
+      setTimeout(() => message.remove(), 8000);
+    }
+
+    /**
+     * Show form error message
+     * @param {HTMLFormElement} form - Form element
+     * @param {string} errorMessage - Error message
+     */
+    function showFormError(form, errorMessage) {
+      const message = document.createElement('div');
+      message.className = 'form-message error';
+      message.setAttribute('role', 'alert');
+      message.setAttribute(ARIA.LIVE, 'assertive');
+      message.textContent = errorMessage;
+      
+      form.insertAdjacentElement('beforebegin', message);
+      
+      setTimeout(() => message.remove(), 5000);
+    }
+
+    return { init, destroy, attach, addRules, validateField, validateForm };
+  })();
+
+  // ============================================
+  // Delivery Zones Module
+  // ============================================
+
+  const DeliveryZones = (function() {
+    const ABBREVIATIONS = {
+      st: 'street',
+      str: 'street',
+      ave: 'avenue',
+      av: 'avenue',
+      blvd: 'boulevard',
+      rd: 'road',
+      dr: 'drive',
+      ln: 'lane',
+      ct: 'court',
+      pl: 'place',
+      sq: 'square',
+      hts: 'heights',
+      n: 'north',
+      s: 'south',
+      e: 'east',
+      w: 'west',
+    };
+
+    const WEEK_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+    const teardown = createTeardown();
+
+    let zones = [];
+    let loadPromise = null;
+    let isActive = false;
+
+    /**
+     * Initialize delivery zones and render the areas list
+     */
+    function init() {
+      isActive = true;
+      load()
+        .then(() => {
+          if (!isActive) return;
+          renderList();
+          teardown.add(I18n.onChange(updateDetails));
+        })
+        .catch(error => {
+          console.error('Failed to load delivery zones:', error);
+          Monitoring.reportError(error, { module: 'DeliveryZones', phase: 'load' });
+        });
+    }
+
+    /**
+     * Put back the static areas list. Loaded zones stay cached for lookups.
+     */
+    function destroy() {
+      isActive = false;
+      teardown.run();
+    }
+
+    /**
+     * Load delivery zones once
+     * @returns {Promise<Object[]>} Normalized zones
+     */
+    function load() {
+      if (!loadPromise) {
+        loadPromise = fetch(CONFIG.DELIVERY_ZONES_URL, { headers: { Accept: 'application/json' } })
+          .then(response => {
+            if (!response.ok) {
+              throw new Error(`Unexpected response status ${response.status}`);
+            }
+            return response.json();
+          })
+          .then(collection => {
+            zones = parseZones(collection);
+            return zones;
+          })
+          .catch(error => {
+            loadPromise = null;
+            throw error;
+          });
+      }
+
+      return loadPromise;
+    }
+
+    /**
+     * Convert a GeoJSON FeatureCollection into zone objects
+     * @param {Object} collection - GeoJSON FeatureCollection
+     * @returns {Object[]} Frozen zone objects
+     */
+    function parseZones(collection) {
+      if (!collection || !Array.isArray(collection.features)) {
+        throw new Error('Delivery zones must be a GeoJSON FeatureCollection');
+      }
+
+      return collection.features
+        .filter(feature => feature.geometry &&
+          ['Polygon', 'MultiPolygon'].includes(feature.geometry.type))
+        .map(feature => {
+          const properties = feature.properties || {};
+          return Object.freeze({
+            id: String(feature.id ?? properties.id),
+            name: properties.name,
+            eta: Number(properties.eta),
+            deliveryFee: Number(properties.deliveryFee) || 0,
+            restaurants: Number(properties.restaurants),
+            hours: properties.hours || [],
+            specialHours: properties.specialHours || [],
+            timeZone: properties.timeZone || collection.timeZone || CONFIG.ZONE_TIMEZONE,
+            postalCodes: properties.postalCodes || [],
+            keywords: properties.keywords || [],
+            geometry: feature.geometry,
+          });
+        });
+    }
+
+    /**
+     * Get loaded zones
+     * @returns {Object[]} Zones (empty until loaded)
+     */
+    function getZones() {
+      return zones;
+    }
+
+    /**
+     * Ray-casting test for a point inside a linear ring
+     * @param {number[]} point - [lng, lat]
+     * @param {number[][]} ring - Closed ring of [lng, lat] positions
+     * @returns {boolean} True if the point is inside the ring
+     */
+    function isPointInRing(point, ring) {
+      const [x, y] = point;
+      let inside = false;
+
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        const intersects = ((yi > y) !== (yj > y)) &&
+          (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
+        if (intersects) inside = !inside;
+      }
+
+      return inside;
+    }
+
+    /**
+     * Point-in-polygon test honouring holes
+     * @param {number[]} point - [lng, lat]
+     * @param {number[][][]} rings - Outer ring followed by holes
+     * @returns {boolean} True if the point is inside the polygon
+     */
+    function isPointInPolygon(point, rings) {
+      const [outer, ...holes] = rings;
+      if (!outer || !isPointInRing(point, outer)) return false;
+      return !holes.some(hole => isPointInRing(point, hole));
+    }
+
+    /**
+     * Check whether a GeoJSON geometry contains a point
+     * @param {Object} geometry - Polygon or MultiPolygon geometry
+     * @param {number[]} point - [lng, lat]
+     * @returns {boolean} True if the geometry contains the point
+     */
+    function geometryContains(geometry, point) {
+      if (geometry.type === 'Polygon') {
+        return isPointInPolygon(point, geometry.coordinates);
+      }
+      return geometry.coordinates.some(polygon => isPointInPolygon(point, polygon));
+    }
+
+    /**
+     * Find the zone containing a coordinate
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {Object|null} Matching zone or null
+     */
+    function findZoneByPoint(lat, lng) {
+      return zones.find(zone => geometryContains(zone.geometry, [lng, lat])) || null;
+    }
+
+    /**
+     * Normalize a free-form address for matching
+     * @param {string} address - Address as typed by the user
+     * @returns {string} Lowercase, accent-free, abbreviation-expanded address
+     */
+    function normalizeAddress(address) {
+      return String(address)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(word => ABBREVIATIONS[word] || word)
+        .join(' ');
+    }
+
+    /**
+     * Parse a "lat, lng" string
+     * @param {string} input - User input
+     * @returns {{lat: number, lng: number}|null} Coordinate or null
+     */
+    function parseCoordinates(input) {
+      const match = String(input).trim()
+        .match(/^(-?\d{1,2}(?:\.\d+)?)\s*[,\s]\s*(-?\d{1,3}(?:\.\d+)?)$/);
+      if (!match) return null;
+
+      const lat = Number(match[1]);
+      const lng = Number(match[2]);
+      if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+
+      return { lat, lng };
+    }
+
+    /**
+     * Find the zone covering an address by postal code, then keyword
+     * @param {string} address - Address as typed by the user
+     * @returns {Object|null} Matching zone or null
+     */
+    function findZoneByAddress(address) {
+      const normalized = normalizeAddress(address);
+      if (!normalized) return null;
+
+      const postalCodes = normalized.match(/\b\d{5}\b/g) || [];
+      const byPostalCode = zones.find(zone =>
+        postalCodes.some(code => zone.postalCodes.includes(code))
+      );
+      if (byPostalCode) return byPostalCode;
+
+      const padded = ` ${normalized} `;
+      return zones.find(zone =>
+        zone.keywords.some(keyword => padded.includes(` ${keyword} `))
+      ) || null;
+    }
+
+    /**
+     * Look up the zone for user input, which may be an address or coordinates
+     * @param {string} input - Address or "lat, lng"
+     * @returns {{zone: Object|null, point: {lat: number, lng: number}|null}} Lookup result
+     */
+    function lookup(input) {
+      const point = parseCoordinates(input);
+      const zone = point ? findZoneByPoint(point.lat, point.lng) : findZoneByAddress(input);
+      return { zone, point };
+    }
+
+    /**
+     * Format a 24h "HH:MM" time for the current language, e.g. "9 AM" / "9:30 PM"
+     * @param {string} time - Time string
+     * @returns {string} Formatted time
+     */
+    function formatTime(time) {
+      return I18n.formatTime(time);
+    }
+
+    /**
+     * Short weekday name for a schema.org day such as "Monday"
+     * @param {string} day - English day name
+     * @returns {string} Localized short name
+     */
+    function formatDay(day) {
+      return I18n.formatWeekday((WEEK_DAYS.indexOf(day) + 1) % 7, 'short');
+    }
+
+    /**
+     * Describe opening hours in a short human-readable form
+     * @param {Object[]} hours - Opening hours specifications
+     * @returns {string} Hours label
+     */
+    function formatHours(hours) {
+      if (!hours.length) return '';
+
+      if (hours.length === 1 && WEEK_DAYS.every(day => hours[0].dayOfWeek.includes(day))) {
+        return I18n.t('zones.hoursDaily', { opens: formatTime(hours[0].opens), closes: formatTime(hours[0].closes) });
+      }
+
+      const ranges = hours.map(spec => {
+        const days = spec.dayOfWeek.map(formatDay);
+        const range = days.length > 1 ? `${days[0]}–${days[days.length - 1]}` : days[0];
+        return I18n.t('zones.hoursRange', { days: range, opens: formatTime(spec.opens), closes: formatTime(spec.closes) });
+      });
+
+      return I18n.t('zones.hours', { ranges: ranges.join(', ') });
+    }
+
+    /**
+     * Summarize a zone's delivery time, restaurants and hours
+     * @param {Object} zone - Delivery zone
+     * @returns {string} Details text
+     */
+    function describeZone(zone) {
+      return [
+        I18n.t('zones.eta', { minutes: zone.eta }),
+        I18n.t('zones.restaurants', { count: zone.restaurants }),
+        formatHours(zone.hours),
+      ].filter(Boolean).join(' • ');
+    }
+
+    /**
+     * Render the service areas list from loaded zones
+     */
+    function renderList() {
+      const list = safeQuerySelector(SELECTORS.AREAS_LIST);
+      if (!list || !zones.length) return;
+
+      const items = zones.map(zone => {
+        const item = document.createElement('li');
+        item.dataset.zoneId = zone.id;
+        item.tabIndex = 0;
+
+        const name = document.createElement('strong');
+        name.textContent = zone.name;
+
+        const details = document.createElement('span');
+        details.className = 'zone-details';
+        details.textContent = describeZone(zone);
+
+        item.append(name, details);
+        return item;
+      });
+
+      const original = Array.from(list.childNodes);
+      list.replaceChildren(...items);
+      teardown.add(() => list.replaceChildren(...original));
+    }
+
+    /**
+     * Re-translate the list details in place, keeping the ZoneHours badges
+     */
+    function updateDetails() {
+      zones.forEach(zone => {
+        const details = safeQuerySelector(`${SELECTORS.AREAS_LIST} [data-zone-id="${zone.id}"] .zone-details`);
+        if (details) details.textContent = describeZone(zone);
+      });
+    }
+
+    return {
+      init,
+      destroy,
+      load,
+      getZones,
+      lookup,
+      findZoneByPoint,
+      findZoneByAddress,
+      normalizeAddress,
+      formatTime,
+    };
+  })();
+
+  // ============================================
+  // Zone Hours Module
+  // ============================================
+
+  const ZoneHours = (function() {
+    const MINUTES_PER_DAY = 24 * 60;
+    const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+    const teardown = createTeardown();
+
+    let clock = () => new Date();
+    let timer = null;
+    let badges = [];
+    let isActive = false;
+
+    /**
+     * Initialize live open/closed badges for each zone
+     */
+    function init() {
+      isActive = true;
+      DeliveryZones.load()
+        .then(zones => {
+          if (!isActive) return;
+
+          badges = zones
+            .map(zone => createBadge(zone))
+            .filter(Boolean);
+
+          if (!badges.length) return;
+
+          addHoursStyles();
+          refresh();
+          timer = setInterval(refresh, CONFIG.ZONE_STATUS_INTERVAL);
+          teardown.add(I18n.onChange(refresh));
+        })
+        .catch(error => {
+          console.error('Zone hours unavailable:', error);
+          Monitoring.reportError(error, { module: 'ZoneHours', phase: 'load' });
+        });
+    }
+
+    /**
+     * Stop the refresh timer and remove the badges
+     */
+    function destroy() {
+      isActive = false;
+      clearInterval(timer);
+      timer = null;
+      teardown.run();
+      badges.forEach(badge => badge.element.remove());
+      badges = [];
+    }
+
+    /**
+     * Replace the clock used to evaluate hours (for testing)
+     * @param {Function} nextClock - Returns the current Date
+     */
+    function setClock(nextClock) {
+      clock = nextClock;
+    }
+
+    /**
+     * Parse a time such as "09:00", "9 AM" or "9:30 pm" into minutes after midnight
+     * @param {string} time - Time string
+     * @returns {number|null} Minutes after midnight, or null if unparseable
+     */
+    function parseTime(time) {
+      const match = String(time).trim().match(/^(\d{1,2})(?::(\d{2}))?(?::\d{2})?\s*([ap]\.?m\.?)?$/i);
+      if (!match) return null;
+
+      let hours = Number(match[1]);
+      const minutes = Number(match[2] || 0);
+      const period = match[3]?.toLowerCase().replace(/\./g, '');
+
+      if (period === 'pm' && hours < 12) hours += 12;
+      if (period === 'am' && hours === 12) hours = 0;
+      if (hours > 24 || minutes > 59) return null;
+
+      return hours * 60 + minutes;
+    }
+
+    /**
+     * Read opening hours from the page's FoodEstablishment JSON-LD
+     * @returns {Object[]} Opening hours specifications
+     */
+    function readStructuredDataHours() {
+      const scripts = safeQuerySelectorAll('script[type="application/ld+json"]');
+
+      for (const script of scripts) {
+        try {
+          const data = JSON.parse(script.textContent);
+          if (Array.isArray(data.openingHoursSpecification)) {
+            return data.openingHoursSpecification;
+          }
+        } catch (error) {
+          console.error('Invalid JSON-LD block:', error);
+        }
+      }
+
+      return [];
+    }
+
+    /**
+     * Get the wall-clock date and time in a timezone
+     * @param {Date} date - Instant to convert
+     * @param {string} timeZone - IANA timezone
+     * @returns {Object} year, month, day and minutes after midnight
+     */
+    function getZonedParts(date, timeZone) {
+      const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      }).formatToParts(date);
+
+      const values = Object.fromEntries(parts.map(part => [part.type, Number(part.value)]));
+      return {
+        year: values.year,
+        month: values.month,
+        day: values.day,
+        minutes: values.hour * 60 + values.minute + values.second / 60,
+      };
+    }
+
+    /**
+     * Get the calendar date and weekday a number of days from a local date
+     * @param {Object} parts - Zoned date parts
+     * @param {number} offset - Days to add
+     * @returns {{date: string, weekday: string}} ISO date and weekday name
+     */
+    function getCalendarDay(parts, offset) {
+      const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + offset));
+      return {
+        date: date.toISOString().slice(0, 10),
+        weekday: DAY_NAMES[date.getUTCDay()],
+      };
+    }
+
+    /**
+     * Build the open intervals that touch a calendar day
+     * Times are minutes relative to today's midnight; a closing time at or
+     * before the opening time runs past midnight into the next day.
+     * @param {Object[]} hours - Regular opening hours specifications
+     * @param {Object[]} specialHours - Date-specific overrides
+     * @param {Object} day - Calendar day from getCalendarDay
+     * @param {number} offset - Days from today
+     * @returns {Object[]} Intervals with start and end minutes
+     */
+    function getIntervals(hours, specialHours, day, offset) {
+      const overrides = specialHours.filter(spec => spec.date === day.date);
+      const specs = overrides.length
+        ? overrides.filter(spec => !spec.closed)
+        : hours.filter(spec => [].concat(spec.dayOfWeek).some(name => String(name).endsWith(day.weekday)));
+
+      return specs
+        .map(spec => {
+          const opens = parseTime(spec.opens);
+          const closes = parseTime(spec.closes);
+          if (opens === null || closes === null) return null;
+
+          const start = offset * MINUTES_PER_DAY + opens;
+          const end = offset * MINUTES_PER_DAY + (closes <= opens ? closes + MINUTES_PER_DAY : closes);
+          return { start, end, date: day.date, weekday: day.weekday, offset, opens: spec.opens };
+        })
+        .filter(Boolean);
+    }
+
+    /**
+     * Evaluate opening hours at a given instant
+     * @param {Object} options - Evaluation options
+     * @param {Object[]} options.hours - Regular opening hours specifications
+     * @param {Object[]} [options.specialHours] - Holiday overrides ({date, opens, closes} or {date, closed})
+     * @param {string} [options.timeZone] - IANA timezone of the zone
+     * @param {Date} [options.now] - Instant to evaluate (default: module clock)
+     * @returns {Object} Status with isOpen, minutesUntilClose, and the next opening
+     */
+    function getStatus({ hours, specialHours = [], timeZone = CONFIG.ZONE_TIMEZONE, now = clock() }) {
+      const parts = getZonedParts(now, timeZone);
+      const intervals = [];
+
+      for (let offset = -1; offset <= 7; offset++) {
+        intervals.push(...getIntervals(hours, specialHours, getCalendarDay(parts, offset), offset));
+      }
+
+      intervals.sort((a, b) => a.start - b.start);
+
+      const current = intervals.find(interval => interval.start <= parts.minutes && parts.minutes < interval.end);
+      if (current) {
+        let end = current.end;
+        intervals.forEach(interval => {
+          if (interval.start <= end && interval.end > end) end = interval.end;
+        });
+
+        return {
+          isOpen: true,
+          minutesUntilClose: Math.ceil(end - parts.minutes),
+          nextOpening: null,
+          isHoliday: specialHours.some(spec => spec.date === getCalendarDay(parts, 0).date),
+        };
+      }
+
+      return {
+        isOpen: false,
+        minutesUntilClose: null,
+        nextOpening: intervals.find(interval => interval.start > parts.minutes) || null,
+        isHoliday: specialHours.some(spec => spec.date === getCalendarDay(parts, 0).date),
+      };
+    }
+
+    /**
+     * Describe a status for display
+     * @param {Object} status - Result of getStatus
+     * @returns {string} Badge text
+     */
+    function formatStatus(status) {
+      if (status.isOpen) {
+        return I18n.t('hours.openNow', { duration: I18n.formatDuration(status.minutesUntilClose) });
+      }
+
+      const next = status.nextOpening;
+      if (!next) {
+        return I18n.t(status.isHoliday ? 'hours.closedHoliday' : 'hours.closed');
+      }
+
+      const time = DeliveryZones.formatTime(next.opens);
+      const weekday = I18n.formatWeekday(DAY_NAMES.indexOf(next.weekday));
+      let when = 'On';
+      if (next.offset === 0) when = 'Today';
+      if (next.offset === 1) when = 'Tomorrow';
+
+      return I18n.t(status.isHoliday ? `hours.holidayOpens${when}` : `hours.opens${when}`, { time, weekday });
+    }
+
+    /**
+     * Create the status badge for a rendered zone list item
+     * @param {Object} zone - Delivery zone
+     * @returns {Object|null} Badge record, or null if the zone has no list item or hours
+     */
+    function createBadge(zone) {
+      const item = safeQuerySelector(`${SELECTORS.AREAS_LIST} [data-zone-id="${zone.id}"]`);
+      const hours = zone.hours.length ? zone.hours : readStructuredDataHours();
+      if (!item || !hours.length) return null;
+
+      const element = document.createElement('span');
+      element.className = 'zone-status';
+      item.appendChild(element);
+
+      return {
+        element,
+        hours,
+        specialHours: zone.specialHours,
+        timeZone: zone.timeZone,
+      };
+    }
+
+    /**
+     * Re-evaluate every badge against the current clock
+     */
+    function refresh() {
+      const now = clock();
+
+      badges.forEach(badge => {
+        const status = getStatus({ ...badge, now });
+        badge.element.textContent = formatStatus(status);
+        badge.element.classList.toggle('open', status.isOpen);
+        badge.element.classList.toggle('closed', !status.isOpen);
+      });
+    }
+
+    /**
+     * Add zone status badge styles
+     */
+    function addHoursStyles() {
+      const styleId = 'zone-hours-styles';
+      if (document.getElementById(styleId)) return;
+
+      const style = document.createElement('style');
+      style.id = styleId;
+      style.textContent = `
+        .areas-list .zone-status {
+          align-self: flex-start;
+          padding: 2px var(--space-sm);
+          border-radius: var(--radius-full);
+          font-weight: var(--font-weight-semibold);
+          color: var(--color-text-primary);
+          background-color: var(--color-neutral-100);
+        }
+
+        .areas-list .zone-status.open {
+          color: hsl(142, 71%, 25%);
+          background-color: hsl(142, 71%, 92%);
+        }
+      `;
+      document.head.appendChild(style);
+    }
+
+    return { init, destroy, setClock, refresh, parseTime, getStatus, formatStatus };
+  })();
+
+  // ============================================
+  // Coverage Map Module
+  // ============================================
+
+  const CoverageMap = (function() {
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const MAP_WIDTH = 800;
+    const MAP_HEIGHT = 600;
+    const MAP_PADDING = 40;
+    const PAN_STEP = 0.1;
+    const ZOOM_STEP = 1.5;
+    // Pixels a press may move before it counts as a drag, so jitter still clicks
+    const DRAG_THRESHOLD = 4;
+
+    let container = null;
+    let svg = null;
+    let zoneLayer = null;
+    let markerLayer = null;
+    let project = null;
+    let viewBox = { x: 0, y: 0, width: MAP_WIDTH, height: MAP_HEIGHT };
+    let dragStart = null;
+    let suppressClick = false;
+    let isActive = false;
+    const teardown = createTeardown();
+
+    /**
+     * Initialize the coverage map
+     */
+    function init() {
+      container = safeQuerySelector(SELECTORS.AREAS_MAP);
+      if (!container) return;
+
+      isActive = true;
+      DeliveryZones.load()
+        .then(zones => {
+          if (!isActive || !zones.length) return;
+          render(zones);
+          attachListSync();
+          teardown.add(I18n.onChange(() => labelZones(zones)));
+        })
+        .catch(error => {
+          console.error('Coverage map unavailable:', error);
+          Monitoring.reportError(error, { module: 'CoverageMap', phase: 'load' });
+        });
+    }
+
+    /**
+     * Put the static map image back and reset the view
+     */
+    function destroy() {
+      isActive = false;
+      teardown.run();
+      highlightZone(null);
+
+      container = null;
+      svg = null;
+      zoneLayer = null;
+      markerLayer = null;
+      project = null;
+      viewBox = { x: 0, y: 0, width: MAP_WIDTH, height: MAP_HEIGHT };
+      dragStart = null;
+      suppressClick = false;
+    }
+
+    /**
+     * Create an SVG element with attributes
+     * @param {string} tag - SVG tag name
+     * @param {Object} attributes - Attributes to set
+     * @returns {SVGElement} Created element
+     */
+    function createSvgElement(tag, attributes = {}) {
+      const element = document.createElementNS(SVG_NS, tag);
+      Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+      return element;
+    }
+
+    /**
+     * Collect every outer ring of a zone geometry
+     * @param {Object} geometry - Polygon or MultiPolygon geometry
+     * @returns {number[][][]} Rings as arrays of [lng, lat]
+     */
+    function getRings(geometry) {
+      return geometry.type === 'Polygon'
+        ? geometry.coordinates
+        : geometry.coordinates.flat();
+    }
+
+    /**
+     * Build an equirectangular projection fitted to the zones
+     * Longitudes are scaled by cos(latitude) so shapes keep their proportions.
+     * @param {Object[]} zones - Delivery zones
+     * @returns {Function} Maps [lng, lat] to [x, y] in map units
+     */
+    function createProjection(zones) {
+      const positions = zones.flatMap(zone => getRings(zone.geometry).flat());
+      const lngs = positions.map(position => position[0]);
+      const lats = positions.map(position => position[1]);
+      const minLng = Math.min(...lngs);
+      const maxLng = Math.max(...lngs);
+      const minLat = Math.min(...lats);
+      const maxLat = Math.max(...lats);
+
+      const lngScale = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+      const spanX = (maxLng - minLng) * lngScale || 1;
+      const spanY = (maxLat - minLat) || 1;
+      const scale = Math.min(
+        (MAP_WIDTH - MAP_PADDING * 2) / spanX,
+        (MAP_HEIGHT - MAP_PADDING * 2) / spanY
+      );
+      const offsetX = (MAP_WIDTH - spanX * scale) / 2;
+      const offsetY = (MAP_HEIGHT - spanY * scale) / 2;
+
+      return ([lng, lat]) => [
+        offsetX + (lng - minLng) * lngScale * scale,
+        offsetY + (maxLat - lat) * scale,
+      ];
+    }
+
+    /**
+     * Convert a geometry to SVG path data
+     * @param {Object} geometry - Polygon or MultiPolygon geometry
+     * @returns {string} Path data
+     */
+    function toPathData(geometry) {
+      return getRings(geometry).map(ring =>
+        ring.map((position, index) => {
+          const [x, y] = project(position);
+          return `${index ? 'L' : 'M'}${x.toFixed(1)},${y.toFixed(1)}`;
+        }).join('') + 'Z'
+      ).join('');
+    }
+
+    /**
+     * Area-weighted centroid of a zone's first outer ring, in map units
+     * @param {Object} zone - Delivery zone
+     * @returns {number[]} [x, y]
+     */
+    function getCentroid(zone) {
+      const points = getRings(zone.geometry)[0].map(project);
+      let area = 0;
+      let cx = 0;
+      let cy = 0;
+
+      for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const cross = points[j][0] * points[i][1] - points[i][0] * points[j][1];
+        area += cross;
+        cx += (points[j][0] + points[i][0]) * cross;
+        cy += (points[j][1] + points[i][1]) * cross;
+      }
+
+      if (!area) return points[0];
+      return [cx / (3 * area), cy / (3 * area)];
+    }
+
+    /**
+     * Get a zone's bounding box in map units
+     * @param {Object} zone - Delivery zone
+     * @returns {Object} Box with x, y, width and height
+     */
+    function getBounds(zone) {
+      const points = getRings(zone.geometry).flat().map(project);
+      const xs = points.map(point => point[0]);
+      const ys = points.map(point => point[1]);
+      const x = Math.min(...xs);
+      const y = Math.min(...ys);
+      return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    }
+
+    /**
+     * Render the SVG map in place of the static image
+     * @param {Object[]} zones - Delivery zones
+     */
+    function render(zones) {
+      project = createProjection(zones);
+      addMapStyles();
+
+      const titleId = 'coverage-map-title';
+      const descriptionId = 'coverage-map-description';
+
+      svg = createSvgElement('svg', {
+        class: 'coverage-map',
+        viewBox: `0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`,
+        role: 'group',
+        tabindex: '0',
+        'aria-labelledby': titleId,
+        'aria-describedby': descriptionId,
+      });
+
+      const title = createSvgElement('title', { id: titleId, 'data-i18n': 'map.title' });
+      title.textContent = I18n.t('map.title');
+
+      zoneLayer = createSvgElement('g', { class: 'coverage-map-zones' });
+      markerLayer = createSvgElement('g', { class: 'coverage-map-markers' });
+
+      zones.forEach(zone => zoneLayer.appendChild(createZoneShape(zone)));
+      zones.forEach(zone => zoneLayer.appendChild(createZoneLabel(zone)));
+
+      svg.append(title, zoneLayer, markerLayer);
+
+      const description = document.createElement('p');
+      description.id = descriptionId;
+      description.className = 'sr-only';
+      description.setAttribute('data-i18n', 'map.instructions');
+      description.textContent = I18n.t('map.instructions');
+
+      const original = Array.from(container.childNodes);
+      const mapContainer = container;
+      container.replaceChildren(svg, description, createControls());
+      teardown.add(() => mapContainer.replaceChildren(...original));
+      attachMapListeners();
+    }
+
+    /**
+     * Create the focusable shape for a zone
+     * @param {Object} zone - Delivery zone
+     * @returns {SVGPathElement} Zone path
+     */
+    function createZoneShape(zone) {
+      const path = createSvgElement('path', {
+        class: 'coverage-map-zone',
+        d: toPathData(zone.geometry),
+        tabindex: '0',
+        role: 'button',
+        'aria-label': getZoneLabel(zone),
+        'data-zone-id': zone.id,
+      });
+
+      path.addEventListener('mouseenter', () => highlightZone(zone.id));
+      path.addEventListener('mouseleave', () => highlightZone(null));
+      path.addEventListener('focus', () => highlightZone(zone.id));
+      path.addEventListener('blur', () => highlightZone(null));
+      path.addEventListener('click', () => zoomToZone(zone));
+      path.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+          event.preventDefault();
+          zoomToZone(zone);
+        }
+      });
+
+      return path;
+    }
+
+    /**
+     * Accessible name for a zone shape
+     * @param {Object} zone - Delivery zone
+     * @returns {string} Label
+     */
+    function getZoneLabel(zone) {
+      return I18n.t('map.zone', { name: zone.name, eta: zone.eta, restaurants: zone.restaurants });
+    }
+
+    /**
+     * Re-translate zone shape labels after a language change
+     * @param {Object[]} zones - Delivery zones
+     */
+    function labelZones(zones) {
+      zones.forEach(zone => {
+        zoneLayer.querySelector(`.coverage-map-zone[data-zone-id="${zone.id}"]`)
+          ?.setAttribute('aria-label', getZoneLabel(zone));
+      });
+    }
+
+    /**
+     * Create the visible name label for a zone
+     * @param {Object} zone - Delivery zone
+     * @returns {SVGTextElement} Zone label
+     */
+    function createZoneLabel(zone) {
+      const [x, y] = getCentroid(zone);
+      const label = createSvgElement('text', {
+        class: 'coverage-map-label',
+        x: x.toFixed(1),
+        y: y.toFixed(1),
+        'text-anchor': 'middle',
+        'dominant-baseline': 'middle',
+        'aria-hidden': 'true',
+      });
+      label.textContent = zone.name;
+      return label;
+    }
+
+    /**
+     * Create zoom controls
+     * @returns {HTMLElement} Controls wrapper
+     */
+    function createControls() {
+      const controls = document.createElement('div');
+      controls.className = 'coverage-map-controls';
+
+      [
+        { label: 'map.zoomIn', text: '+', action: () => zoomBy(ZOOM_STEP) },
+        { label: 'map.zoomOut', text: '−', action: () => zoomBy(1 / ZOOM_STEP) },
+        { label: 'map.reset', text: '⟲', action: resetView },
+      ].forEach(({ label, text, action }) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'coverage-map-control';
+        button.setAttribute('data-i18n-attr', `aria-label: ${label}`);
+        button.setAttribute('aria-label', I18n.t(label));
+        button.textContent = text;
+        button.addEventListener('click', action);
+        controls.appendChild(button);
+      });
+
+      return controls;
+    }
+
+    /**
+     * Add coverage map styles
+     */
+    function addMapStyles() {
+      const styleId = 'coverage-map-styles';
+      if (document.getElementById(styleId)) return;
+
+      const style = document.createElement('style');
+      style.id = styleId;
+      style.textContent = `
+        .areas-map {
+          position: relative;
+        }
+
+        .coverage-map {
+          width: 100%;
+          height: auto;
+          background-color: var(--color-background);
+          border-radius: var(--radius-lg);
+          box-shadow: var(--shadow-lg);
+          touch-action: none;
+          cursor: grab;
+        }
+
+        .coverage-map.dragging {
+          cursor: grabbing;
+        }
+
+        .coverage-map-zone {
+          fill: var(--color-primary-100);
+          stroke: var(--color-primary-600);
+          stroke-width: 2;
+          vector-effect: non-scaling-stroke;
+          cursor: pointer;
+          transition: fill var(--transition-fast);
+        }
+
+        .coverage-map-zone.active {
+          fill: var(--color-primary-300);
+        }
+
+        .coverage-map-zone:focus {
+          outline: none;
+          stroke: var(--color-text-primary);
+          stroke-width: 3;
+        }
+
+        .coverage-map-label {
+          fill: var(--color-text-primary);
+          font-size: 16px;
+          font-weight: var(--font-weight-semibold);
+          pointer-events: none;
+        }
+
+        .coverage-map-marker {
+          fill: var(--color-error);
+          stroke: var(--color-background);
+          stroke-width: 2;
+          vector-effect: non-scaling-stroke;
+        }
+
+        .coverage-map-controls {
+          position: absolute;
+          top: var(--space-md);
+          right: var(--space-md);
+          display: flex;
+          flex-direction: column;
+          gap: var(--space-xs);
+        }
+
+        .coverage-map-control {
+          width: 36px;
+          height: 36px;
+          background-color: var(--color-background);
+          border: 1px solid var(--color-border);
+          border-radius: var(--radius-md);
+          box-shadow: var(--shadow-sm);
+          font-size: var(--font-size-lg);
+          line-height: 1;
+        }
+
+        .areas-list li.active {
+          box-shadow: var(--shadow-md);
+          border-left-color: var(--color-primary-800);
+        }
+      `;
+      document.head.appendChild(style);
+    }
+
+    /**
+     * Toggle highlight state on a zone and its list item
+     * @param {string|null} zoneId - Zone to highlight, or null to clear
+     */
+    function highlightZone(zoneId) {
+      safeQuerySelectorAll('[data-zone-id]').forEach(element => {
+        element.classList.toggle(CLASSES.ACTIVE, element.dataset.zoneId === zoneId);
+      });
+    }
+
+    /**
+     * Keep the areas list in sync with the map highlight
+     */
+    function attachListSync() {
+      const list = safeQuerySelector(SELECTORS.AREAS_LIST);
+      if (!list) return;
+
+      const handleEnter = (event) => {
+        const item = event.target.closest('[data-zone-id]');
+        if (item) highlightZone(item.dataset.zoneId);
+      };
+      const handleLeave = (event) => {
+        const item = event.target.closest('[data-zone-id]');
+        if (item && !item.contains(event.relatedTarget)) highlightZone(null);
+      };
+
+      teardown.listen(list, 'mouseover', handleEnter);
+      teardown.listen(list, 'mouseout', handleLeave);
+      teardown.listen(list, 'focusin', handleEnter);
+      teardown.listen(list, 'focusout', handleLeave);
+    }
+
+    /**
+     * Attach keyboard, wheel and drag listeners to the map
+     */
+    function attachMapListeners() {
+      svg.addEventListener('keydown', handleKeydown);
+      svg.addEventListener('wheel', handleWheel, { passive: false });
+      svg.addEventListener('pointerdown', handlePointerDown);
+      svg.addEventListener('pointermove', handlePointerMove);
+      svg.addEventListener('pointerup', handlePointerUp);
+      svg.addEventListener('pointercancel', handlePointerUp);
+      svg.addEventListener('click', handleClickAfterDrag, true);
+    }
+
+    /**
+     * Keyboard equivalents for zoom and pan
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    function handleKeydown(event) {
+      const actions = {
+        '+': () => zoomBy(ZOOM_STEP),
+        '=': () => zoomBy(ZOOM_STEP),
+        '-': () => zoomBy(1 / ZOOM_STEP),
+        '_': () => zoomBy(1 / ZOOM_STEP),
+        '0': resetView,
+        ArrowUp: () => panBy(0, -viewBox.height * PAN_STEP),
+        ArrowDown: () => panBy(0, viewBox.height * PAN_STEP),
+        ArrowLeft: () => panBy(-viewBox.width * PAN_STEP, 0),
+        ArrowRight: () => panBy(viewBox.width * PAN_STEP, 0),
+      };
+
+      const action = actions[event.key];
+      if (!action) return;
+
+      event.preventDefault();
+      action();
+    }
+
+    /**
+     * Zoom with ctrl/cmd + wheel so normal page scrolling is untouched
+     * @param {WheelEvent} event - Wheel event
+     */
+    function handleWheel(event) {
+      if (!event.ctrlKey && !event.metaKey) return;
+
+      event.preventDefault();
+      const factor = event.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+      zoomBy(factor, toMapPoint(event.clientX, event.clientY));
+    }
+
+    /**
+     * Note where a press starts. It only becomes a drag pan once it moves
+     * past DRAG_THRESHOLD; until then the zone under it gets the click.
+     * @param {PointerEvent} event - Pointer event
+     */
+    function handlePointerDown(event) {
+      if (event.button !== 0) return;
+
+      suppressClick = false;
+      dragStart = {
+        point: toMapPoint(event.clientX, event.clientY),
+        clientX: event.clientX,
+        clientY: event.clientY,
+        moved: false,
+      };
+    }
+
+    /**
+     * Pan while dragging. Pointer capture is taken only once the drag starts,
+     * as it retargets the click from the zone to the map.
+     * @param {PointerEvent} event - Pointer event
+     */
+    function handlePointerMove(event) {
+      if (!dragStart) return;
+
+      if (!dragStart.moved) {
+        const distance = Math.hypot(event.clientX - dragStart.clientX, event.clientY - dragStart.clientY);
+        if (distance < DRAG_THRESHOLD) return;
+
+        dragStart.moved = true;
+        svg.classList.add('dragging');
+        svg.setPointerCapture?.(event.pointerId);
+      }
+
+      const point = toMapPoint(event.clientX, event.clientY);
+      panBy(dragStart.point[0] - point[0], dragStart.point[1] - point[1]);
+    }
+
+    /**
+     * End a drag pan
+     * @param {PointerEvent} event - Pointer event
+     */
+    function handlePointerUp(event) {
+      if (!dragStart) return;
+
+      if (dragStart.moved) svg.releasePointerCapture?.(event.pointerId);
+      svg.classList.remove('dragging');
+      suppressClick = dragStart.moved;
+      dragStart = null;
+    }
+
+    /**
+     * Swallow the click that ends a drag, so releasing over a zone pans the
+     * map without also zooming to that zone
+     * @param {MouseEvent} event - Click event, in the capture phase
+     */
+    function handleClickAfterDrag(event) {
+      if (!suppressClick) return;
+
+      suppressClick = false;
+      event.stopPropagation();
+      event.preventDefault();
+    }
+
+    /**
+     * Convert client coordinates to map units
+     * @param {number} clientX - Client X
+     * @param {number} clientY - Client Y
+     * @returns {number[]} [x, y] in map units
+     */
+    function toMapPoint(clientX, clientY) {
+      const rect = svg.getBoundingClientRect();
+      if (!rect.width || !rect.height) {
+        return [viewBox.x + viewBox.width / 2, viewBox.y + viewBox.height / 2];
+      }
+
+      return [
+        viewBox.x + ((clientX - rect.left) / rect.width) * viewBox.width,
+        viewBox.y + ((clientY - rect.top) / rect.height) * viewBox.height,
+      ];
+    }
+
+    /**
+     * Apply a new view box, clamped to the allowed zoom range and map area
+     * @param {Object} nextViewBox - Desired view box
+     */
+    function setViewBox(nextViewBox) {
+      const minWidth = MAP_WIDTH / CONFIG.MAP_MAX_ZOOM;
+      const width = Math.min(MAP_WIDTH, Math.max(minWidth, nextViewBox.width));
+      const height = width * (MAP_HEIGHT / MAP_WIDTH);
+
+      viewBox = {
+        x: Math.min(MAP_WIDTH - width, Math.max(0, nextViewBox.x)),
+        y: Math.min(MAP_HEIGHT - height, Math.max(0, nextViewBox.y)),
+        width,
+        height,
+      };
+
+      svg.setAttribute('viewBox', `${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}`);
+      updateMarkerSize();
+    }
+
+    /**
+     * Zoom around a point
+     * @param {number} factor - Values above 1 zoom in
+     * @param {number[]} [center] - Zoom origin in map units (default: view centre)
+     */
+    function zoomBy(factor, center) {
+      const [cx, cy] = center || [viewBox.x + viewBox.width / 2, viewBox.y + viewBox.height / 2];
+      const width = viewBox.width / factor;
+      const height = viewBox.height / factor;
+
+      setViewBox({
+        x: cx - (cx - viewBox.x) / factor,
+        y: cy - (cy - viewBox.y) / factor,
+        width,
+        height,
+      });
+    }
+
+    /**
+     * Pan the view
+     * @param {number} dx - Horizontal distance in map units
+     * @param {number} dy - Vertical distance in map units
+     */
+    function panBy(dx, dy) {
+      setViewBox({ ...viewBox, x: viewBox.x + dx, y: viewBox.y + dy });
+    }
+
+    /**
+     * Fit the view to a zone
+     * @param {Object} zone - Delivery zone
+     */
+    function zoomToZone(zone) {
+      const bounds = getBounds(zone);
+      const width = Math.max(bounds.width, bounds.height * (MAP_WIDTH / MAP_HEIGHT)) + MAP_PADDING * 2;
+      const height = width * (MAP_HEIGHT / MAP_WIDTH);
+
+      setViewBox({
+        x: bounds.x + bounds.width / 2 - width / 2,
+        y: bounds.y + bounds.height / 2 - height / 2,
+        width,
+        height,
+      });
+    }
+
+    /**
+     * Reset zoom and pan
+     */
+    function resetView() {
+      setViewBox({ x: 0, y: 0, width: MAP_WIDTH, height: MAP_HEIGHT });
+    }
+
+    /**
+     * Keep markers the same on-screen size at every zoom level
+     */
+    function updateMarkerSize() {
+      const radius = 8 * (viewBox.width / MAP_WIDTH);
+      markerLayer.querySelectorAll('circle').forEach(circle => {
+        circle.setAttribute('r', radius.toFixed(2));
+      });
+    }
+
+    /**
+     * Mark a searched address on the map
+     * Uses the exact coordinate when known, otherwise the zone's centre.
+     * @param {Object} options - Marker options
+     * @param {{lat: number, lng: number}|null} options.point - Searched coordinate
+     * @param {Object|null} options.zone - Matching zone
+     * @param {string} options.label - Accessible marker label
+     */
+    function showMarker({ point, zone, label }) {
+      if (!svg) return;
+
+      let position = null;
+      if (point) {
+        position = project([point.lng, point.lat]);
+      } else if (zone) {
+        position = getCentroid(zone);
+      }
+
+      markerLayer.replaceChildren();
+      if (!position) return;
+
+      const marker = createSvgElement('circle', {
+        class: 'coverage-map-marker',
+        cx: position[0].toFixed(1),
+        cy: position[1].toFixed(1),
+        role: 'img',
+        'aria-label': label,
+      });
+      const title = createSvgElement('title');
+      title.textContent = label;
+      marker.appendChild(title);
+      markerLayer.appendChild(marker);
+      updateMarkerSize();
+
+      if (zone) highlightZone(zone.id);
+    }
+
+    return { init, destroy, showMarker, highlightZone };
+  })();
+
+  // ============================================
+  // Delivery Search Module
+  // ============================================
+
+  const DeliverySearch = (function() {
+    const teardown = createTeardown();
+
+    let searchInput = null;
+    let searchButton = null;
+    let resultElement = null;
+
+    /**
+     * Initialize delivery address search
+     */
+    function init() {
+      const searchContainer = safeQuerySelector(SELECTORS.HERO_SEARCH);
+      searchInput = safeQuerySelector(SELECTORS.HERO_SEARCH_INPUT);
+      searchButton = safeQuerySelector(SELECTORS.HERO_SEARCH_BUTTON);
+
+      if (!searchContainer || !searchInput || !searchButton) return;
+
+      const button = searchButton;
+      const originalType = button.getAttribute('type');
+      button.setAttribute('type', 'button');
+      teardown.add(() => {
+        if (originalType === null) {
+          button.removeAttribute('type');
+        } else {
+          button.setAttribute('type', originalType);
+        }
+      });
+
+      createResultElement(searchContainer);
+      addSearchStyles();
+
+      teardown.listen(searchButton, 'click', handleSearch);
+      teardown.listen(searchInput, 'keydown', (event) => {
+        if (event.key === 'Enter') {
+          event.preventDefault();
+          handleSearch();
+        }
+      });
+    }
+
+    /**
+     * Remove the result region and hand the button back to the page
+     */
+    function destroy() {
+      teardown.run();
+      searchInput = null;
+      searchButton = null;
+      resultElement = null;
+    }
+
+    /**
+     * Create the live region that announces search results
+     * @param {HTMLElement} searchContainer - Hero search wrapper
+     */
+    function createResultElement(searchContainer) {
+      resultElement = document.createElement('div');
+      resultElement.className = 'hero-search-result';
+      resultElement.id = 'hero-search-result';
+      resultElement.setAttribute('role', 'status');
+      resultElement.setAttribute(ARIA.LIVE, 'polite');
+      resultElement.hidden = true;
+
+      searchContainer.insertAdjacentElement('afterend', resultElement);
+      searchInput.setAttribute('aria-describedby', resultElement.id);
+
+      const input = searchInput;
+      const element = resultElement;
+      teardown.add(() => {
+        element.remove();
+        input.removeAttribute('aria-describedby');
+      });
+    }
+
+    /**
+     * Add search result styles
+     */
+    function addSearchStyles() {
+      const styleId = 'delivery-search-styles';
+      if (document.getElementById(styleId)) return;
+
+      const style = document.createElement('style');
+      style.id = styleId;
+      style.textContent = `
+        .hero-search-result {
+          padding: var(--space-md) var(--space-lg);
+          border-radius: var(--radius-md);
+          border-left: 4px solid var(--color-primary-600);
+          background-color: var(--color-primary-50);
+          color: var(--color-text-primary);
+        }
+
+        .hero-search-result.success {
+          border-left-color: var(--color-success);
+        }
+
+        .hero-search-result.error {
+          border-left-color: var(--color-error);
+        }
+
+        .hero-search-result p {
+          margin-bottom: 0;
+        }
+
+        .hero-search-result a {
+          color: var(--color-primary-600);
+          font-weight: var(--font-weight-semibold);
+          text-decoration: underline;
+        }
+      `;
+      document.head.appendChild(style);
+    }
+
+    /**
+     * Handle search button click or Enter key
+     */
+    async function handleSearch() {
+      const address = searchInput.value.trim();
+
+      if (!address) {
+        showMessage(CLASSES.ERROR, I18n.t('search.empty'));
+        searchInput.focus();
+        return;
+      }
+
+      try {
+        await DeliveryZones.load();
+      } catch (error) {
+        console.error('Delivery zones unavailable:', error);
+        showMessage(CLASSES.ERROR, I18n.t('search.unavailable'));
+        return;
+      }
+
+      // Destroyed while the zones were loading
+      if (!resultElement) return;
+
+      const { zone, point } = DeliveryZones.lookup(address);
+      CoverageMap.showMarker({ point, zone, label: I18n.t('map.searched', { address }) });
+      EventBus.emit('address_search', { covered: Boolean(zone), zone: zone?.id || null });
+
+      if (zone) {
+        showCovered(address, zone);
+      } else {
+        showNotCovered(address);
+      }
+    }
+
+    /**
+     * Show a plain message in the result region
+     * @param {string} state - Result state class
+     * @param {string} text - Message text
+     */
+    function showMessage(state, text) {
+      const paragraph = document.createElement('p');
+      paragraph.textContent = text;
+      renderResult(state, paragraph);
+    }
+
+    /**
+     * Show a covered address result
+     * @param {string} address - Searched address
+     * @param {Object} zone - Matching delivery zone
+     */
+    function showCovered(address, zone) {
+      const paragraph = document.createElement('p');
+      const zoneName = document.createElement('strong');
+      zoneName.textContent = zone.name;
+
+      paragraph.append(...I18n.tNodes('search.covered', {
+        zone: zoneName,
+        address,
+        eta: zone.eta,
+        restaurants: zone.restaurants,
+      }));
+
+      renderResult(CLASSES.SUCCESS, paragraph);
+    }
+
+    /**
+     * Show a not-covered result with a link to request the area
+     * @param {string} address - Searched address
+     */
+    function showNotCovered(address) {
+      const paragraph = document.createElement('p');
+      const link = document.createElement('a');
+      link.href = '#contact';
+      link.textContent = I18n.t('search.requestLink');
+      link.addEventListener('click', (event) => handleRequestArea(event, address));
+
+      paragraph.append(...I18n.tNodes('search.notCovered', { address, link }));
+      renderResult(CLASSES.ERROR, paragraph);
+    }
+
+    /**
+     * Replace the result region content
+     * @param {string} state - Result state class
+     * @param {HTMLElement} content - Result content
+     */
+    function renderResult(state, content) {
+      if (!resultElement) return;
+
+      resultElement.classList.remove(CLASSES.SUCCESS, CLASSES.ERROR);
+      resultElement.classList.add(state);
+      resultElement.replaceChildren(content);
+      resultElement.hidden = false;
+    }
+
+    /**
+     * Prefill the contact form with the uncovered address and scroll to it
+     * @param {Event} event - Click event
+     * @param {string} address - Searched address
+     */
+    function handleRequestArea(event, address) {
+      const form = safeQuerySelector(SELECTORS.CONTACT_FORM);
+      const contactSection = document.getElementById('contact');
+      if (!form || !contactSection) return;
+
+      event.preventDefault();
+
+      const { subject, message } = form.elements;
+      if (subject && !subject.value) {
+        subject.value = I18n.t('search.requestSubject');
+      }
+      if (message) {
+        message.value = I18n.t('search.requestMessage', { address });
+      }
+
+      Router.navigate('#contact');
+    }
+
+    return { init, destroy };
+  })();
+
+  // ============================================
+  // Testimonials Module
+  // ============================================
+
+  const Testimonials = (function() {
+    const STRUCTURED_DATA_ID = 'foodease-reviews-jsonld';
+
+    let carousel = null;
+    let section = null;
+    let reviews = [];
+    let filterGroup = null;
+    let activeArea = 'all';
+    let ready = Promise.resolve();
+    let isActive = false;
+    const teardown = createTeardown();
+
+    /**
+     * Initialize testimonials from the reviews feed
+     */
+    function init() {
+      carousel = safeQuerySelector(SELECTORS.TESTIMONIALS_CAROUSEL);
+      if (!carousel) return;
+
+      isActive = true;
+      section = carousel.closest('section[id]');
+      if (section) {
+        teardown.add(Router.register(section.id, handleRoute));
+        teardown.listen(carousel, 'carousel:select', syncRoute);
+      }
+
+      ready = Promise.all([load(), DeliveryZones.load().catch(() => [])])
+        .then(([feed, zones]) => {
+          if (!isActive) return;
+
+          reviews = feed.reviews;
+          if (!reviews.length) return;
+
+          addTestimonialStyles();
+          renderFilters(zones);
+          keepStaticCards();
+          render();
+          injectStructuredData(feed);
+          teardown.add(I18n.onChange(render));
+        })
+        .catch(error => {
+          console.error('Failed to load testimonials:', error);
+          Monitoring.reportError(error, { module: 'Testimonials', phase: 'load' });
+        });
+    }
+
+    /**
+     * Put the page's static cards and structured data back
+     */
+    function destroy() {
+      isActive = false;
+      teardown.run();
+
+      carousel = null;
+      section = null;
+      reviews = [];
+      filterGroup = null;
+      activeArea = 'all';
+      ready = Promise.resolve();
+    }
+
+    /**
+     * Remember the cards in the page markup so destroy() can restore them
+     */
+    function keepStaticCards() {
+      const staticCards = Array.from(carousel.querySelectorAll(SELECTORS.TESTIMONIAL_CARDS));
+      const container = staticCards[0]?.parentElement || carousel;
+
+      teardown.add(() => {
+        const cards = container.querySelectorAll(SELECTORS.TESTIMONIAL_CARDS);
+        cards.forEach(card => card.remove());
+        container.append(...staticCards);
+        TestimonialsCarousel.refresh();
+      });
+    }
+
+    /**
+     * Load the reviews feed
+     * @returns {Promise<Object>} Feed with reviews and aggregateRating
+     */
+    async function load() {
+      const response = await fetch(CONFIG.TESTIMONIALS_URL, { headers: { Accept: 'application/json' } });
+      if (!response.ok) {
+        throw new Error(`Unexpected response status ${response.status}`);
+      }
+
+      const feed = await response.json();
+      return {
+        aggregateRating: feed.aggregateRating || null,
+        reviews: Array.isArray(feed.reviews) ? feed.reviews : [],
+      };
+    }
+
+    /**
+     * Build an accessible star rating, supporting half stars
+     * @param {number} rating - Rating out of 5
+     * @returns {HTMLElement} Rating element
+     */
+    function createRating(rating) {
+      const value = Math.round(Math.min(5, Math.max(0, Number(rating))) * 2) / 2;
+      addTestimonialStyles();
+
+      const element = document.createElement('div');
+      element.className = 'testimonial-rating';
+      element.setAttribute('role', 'img');
+      element.setAttribute('aria-label', I18n.t('rating.label', { value }));
+
+      for (let star = 1; star <= 5; star++) {
+        const icon = document.createElement('span');
+        icon.className = 'star';
+        if (value >= star) {
+          icon.classList.add('star-full');
+        } else if (value >= star - 0.5) {
+          icon.classList.add('star-half');
+        }
+        icon.setAttribute(ARIA.HIDDEN, 'true');
+        icon.textContent = '★';
+        element.appendChild(icon);
+      }
+
+      return element;
+    }
+
+    /**
+     * Render a review card
+     * @param {Object} review - Review from the feed
+     * @returns {HTMLElement} Card element
+     */
+    function createCard(review) {
+      const card = document.createElement('article');
+      card.className = 'testimonial-card';
+      card.dataset.area = review.area;
+
+      const quote = document.createElement('blockquote');
+      const text = document.createElement('p');
+      text.textContent = `"${review.text}"`;
+      quote.appendChild(text);
+
+      const author = document.createElement('div');
+      author.className = 'testimonial-author';
+
+      if (review.avatar) {
+        const avatar = document.createElement('img');
+        avatar.dataset.src = review.avatar;
+        avatar.alt = I18n.t('testimonials.avatarAlt', { name: review.author });
+        avatar.loading = 'lazy';
+        avatar.width = 60;
+        avatar.height = 60;
+        author.appendChild(avatar);
+      }
+
+      const details = document.createElement('div');
+      const name = document.createElement('cite');
+      name.textContent = review.author;
+      const role = document.createElement('span');
+      role.textContent = review.role;
+      details.append(name, role);
+      author.appendChild(details);
+
+      card.append(createRating(review.rating), quote, author);
+      return card;
+    }
+
+    /**
+     * Render area filter buttons
+     * @param {Object[]} zones - Delivery zones, used for area names
+     */
+    function renderFilters(zones) {
+      const areas = [...new Set(reviews.map(review => review.area).filter(Boolean))];
+      if (areas.length < 2) return;
+
+      const names = Object.fromEntries(zones.map(zone => [zone.id, zone.name]));
+
+      filterGroup = document.createElement('div');
+      filterGroup.className = 'testimonial-filters';
+      filterGroup.setAttribute('role', 'group');
+      filterGroup.setAttribute('data-i18n-attr', 'aria-label: testimonials.filterLabel');
+      filterGroup.setAttribute('aria-label', I18n.t('testimonials.filterLabel'));
+
+      [['all', null], ...areas.map(area => [area, names[area] || area])].forEach(([area, label]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'testimonial-filter';
+        button.dataset.area = area;
+        if (label) {
+          button.textContent = label;
+        } else {
+          button.setAttribute('data-i18n', 'testimonials.allAreas');
+          button.textContent = I18n.t('testimonials.allAreas');
+        }
+        button.setAttribute('aria-pressed', String(area === activeArea));
+        button.addEventListener('click', () => {
+          filterByArea(area);
+          syncRoute();
+        });
+        filterGroup.appendChild(button);
+      });
+
+      carousel.insertAdjacentElement('beforebegin', filterGroup);
+      const group = filterGroup;
+      teardown.add(() => group.remove());
+    }
+
+    /**
+     * Show only reviews from one delivery area
+     * @param {string} area - Zone id, or "all"
+     */
+    function filterByArea(area) {
+      activeArea = area;
+
+      filterGroup?.querySelectorAll('.testimonial-filter').forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.area === area));
+      });
+
+      render();
+      TestimonialsCarousel.goTo(0, { announce: false });
+    }
+
+    /**
+     * Restore the area filter and slide from a route such as "#testimonials?area=downtown&slide=2"
+     * @param {Object} route - Parsed route
+     * @returns {Promise<void>} Resolves once the reviews are shown
+     */
+    function handleRoute(route) {
+      return ready.then(() => {
+        const area = route.params.area || 'all';
+        if (area !== activeArea && (area === 'all' || reviews.some(review => review.area === area))) {
+          filterByArea(area);
+        }
+
+        const slide = Number.parseInt(route.params.slide, 10);
+        TestimonialsCarousel.goTo(slide > 0 ? slide - 1 : 0, { announce: false });
+      });
+    }
+
+    /**
+     * Reflect the active area and slide in the URL
+     */
+    function syncRoute() {
+      if (!section) return;
+
+      const index = TestimonialsCarousel.getIndex();
+      Router.update(Router.format(section.id, {
+        area: activeArea !== 'all' ? activeArea : '',
+        slide: index > 0 ? index + 1 : '',
+      }));
+    }
+
+    /**
+     * Replace the cards with the reviews for the active area
+     */
+    function render() {
+      if (!carousel) return;
+
+      const visible = reviews.filter(review => activeArea === 'all' || review.area === activeArea);
+      const existingCards = carousel.querySelectorAll(SELECTORS.TESTIMONIAL_CARDS);
+      const container = existingCards[0]?.parentElement || carousel;
+
+      existingCards.forEach(card => card.remove());
+      const cards = visible.map(createCard);
+      container.append(...cards);
+      LazyLoading.observe(cards.map(card => card.querySelector('img')));
+
+      TestimonialsCarousel.refresh();
+    }
+
+    /**
+     * Add Review JSON-LD and keep the FoodEstablishment aggregate rating in sync
+     * @param {Object} feed - Reviews feed
+     */
+    function injectStructuredData(feed) {
+      const business = findBusinessData();
+      const aggregateRating = feed.aggregateRating ? {
+        '@type': 'AggregateRating',
+        ratingValue: String(feed.aggregateRating.ratingValue),
+        reviewCount: String(feed.aggregateRating.reviewCount),
+        bestRating: String(feed.aggregateRating.bestRating ?? 5),
+        worstRating: String(feed.aggregateRating.worstRating ?? 1),
+      } : null;
+
+      if (business && aggregateRating) {
+        const originalText = business.script.textContent;
+        business.data.aggregateRating = aggregateRating;
+        business.script.textContent = JSON.stringify(business.data, null, 2);
+        teardown.add(() => {
+          business.script.textContent = originalText;
+        });
+      }
+
+      const data = {
+        '@context': 'https://schema.org',
+        '@type': 'FoodEstablishment',
+        '@id': business?.data['@id'],
+        name: business?.data.name || 'FoodEase',
+        ...(aggregateRating ? { aggregateRating } : {}),
+        review: reviews.map(review => ({
+          '@type': 'Review',
+          author: { '@type': 'Person', name: review.author },
+          datePublished: review.date,
+          reviewBody: review.text,
+          reviewRating: {
+            '@type': 'Rating',
+            ratingValue: String(review.rating),
+            bestRating: '5',
+            worstRating: '1',
+          },
+        })),
+      };
+
+      let script = document.getElementById(STRUCTURED_DATA_ID);
+      if (!script) {
+        script = document.createElement('script');
+        script.type = 'application/ld+json';
+        script.id = STRUCTURED_DATA_ID;
+        (business?.script || document.head.lastElementChild).insertAdjacentElement('afterend', script);
+        teardown.add(() => script.remove());
+      }
+      script.textContent = JSON.stringify(data, null, 2);
+    }
+
+    /**
+     * Find the page's FoodEstablishment JSON-LD block
+     * @returns {{script: HTMLScriptElement, data: Object}|null} Block and parsed data
+     */
+    function findBusinessData() {
+      const scripts = safeQuerySelectorAll(`script[type="application/ld+json"]:not(#${STRUCTURED_DATA_ID})`);
+
+      for (const script of scripts) {
+        try {
+          const data = JSON.parse(script.textContent);
+          if (data['@type'] === 'FoodEstablishment') return { script, data };
+        } catch (error) {
+          console.error('Invalid JSON-LD block:', error);
+        }
+      }
+
+      return null;
+    }
+
+    /**
+     * Add rating and filter styles
+     */
+    function addTestimonialStyles() {
+      const styleId = 'testimonials-styles';
+      if (document.getElementById(styleId)) return;
+
+      const style = document.createElement('style');
+      style.id = styleId;
+      style.textContent = `
+        .testimonial-rating .star {
+          color: var(--color-neutral-300);
+        }
+
+        .testimonial-rating .star-full {
+          color: var(--color-warning);
+        }
+
+        .testimonial-rating .star-half {
+          background: linear-gradient(90deg, var(--color-warning) 50%, var(--color-neutral-300) 50%);
+          -webkit-background-clip: text;
+          background-clip: text;
+          color: transparent;
+        }
+
+        .testimonial-filters {
+          display: flex;
+          flex-wrap: wrap;
+          justify-content: center;
+          gap: var(--space-sm);
+          margin-bottom: var(--space-xl);
+        }
+
+        .testimonial-filter {
+          padding: var(--space-xs) var(--space-md);
+          border: 2px solid var(--color-primary-600);
+          border-radius: var(--radius-full);
+          color: var(--color-primary-600);
+          font-weight: var(--font-weight-medium);
+        }
+
+        .testimonial-filter[aria-pressed="true"] {
+          background-color: var(--color-primary-600);
+          color: var(--color-text-on-primary);
+        }
+      `;
+      document.head.appendChild(style);
+    }
+
+    return { init, destroy, filterByArea, createRating };
+  })();
+
+  // ============================================
+  // Restaurant Browser Module
+  // ============================================
+
+  const RestaurantBrowser = (function() {
+    const DEFAULT_FILTERS = Object.freeze({
+      type: '',
+      zone: '',
+      open: false,
+      rating: 0,
+      price: 0,
+      sort: 'eta',
+    });
+
+    let section = null;
+    let panel = null;
+    let form = null;
+    let results = null;
+    let summary = null;
+    let restaurants = [];
+    let zones = [];
+    let filters = { ...DEFAULT_FILTERS };
+    let loadPromise = null;
+    const teardown = createTeardown();
+
+    /**
+     * Register the cuisines route so browser state survives reloads and back/forward
+     */
+    function init() {
+      section = safeQuerySelector(SELECTORS.CUISINES_SECTION);
+      if (!section) return;
+
+      teardown.add(Router.register(section.id, handleRoute));
+      teardown.add(I18n.onChange(rebuild));
+    }
+
+    /**
+     * Remove the panel and the cuisines route. Loaded restaurants stay cached.
+     */
+    function destroy() {
+      teardown.run();
+      panel?.remove();
+
+      section = null;
+      panel = null;
+      form = null;
+      results = null;
+      summary = null;
+      filters = { ...DEFAULT_FILTERS };
+    }
+
+    /**
+     * Restore the browser from a route such as "#cuisines?type=italian&zone=midtown"
+     * @param {Object} route - Parsed route
+     * @returns {Promise<HTMLElement|undefined>|undefined} Panel to scroll to
+     */
+    function handleRoute(route) {
+      if (!Object.keys(route.params).length) {
+        if (panel) panel.hidden = true;
+        return undefined;
+      }
+
+      return open(parseParams(route.params)).then(() => panel || undefined);
+    }
+
+    /**
+     * Load restaurants and zones once
+     * @returns {Promise<void>} Resolves when data is ready
+     */
+    function load() {
+      if (!loadPromise) {
+        loadPromise = Promise.all([
+          fetch(CONFIG.RESTAURANTS_URL, { headers: { Accept: 'application/json' } })
+            .then(response => {
+              if (!response.ok) {
+                throw new Error(`Unexpected response status ${response.status}`);
+              }
+              return response.json();
+            }),
+          DeliveryZones.load().catch(() => []),
+        ]).then(([data, loadedZones]) => {
+          restaurants = Array.isArray(data.restaurants) ? data.restaurants : [];
+          zones = loadedZones;
+        }).catch(error => {
+          loadPromise = null;
+          throw error;
+        });
+      }
+
+      return loadPromise;
+    }
+
+    /**
+     * Convert route params to filters
+     * @param {Object<string, string>} params - Route params
+     * @returns {Object} Filters
+     */
+    function parseParams(params) {
+      return {
+        type: params.type || '',
+        zone: params.zone || '',
+        open: params.open === '1',
+        rating: Number(params.rating) || 0,
+        price: Number(params.price) || 0,
+        sort: params.sort === 'rating' ? 'rating' : 'eta',
+      };
+    }
+
+    /**
+     * Build the shareable hash for the current filters
+     * @returns {string} Hash beginning with "#"
+     */
+    function toHash() {
+      return Router.format(section.id, {
+        type: filters.type,
+        zone: filters.zone,
+        open: filters.open,
+        rating: filters.rating || '',
+        price: filters.price || '',
+        sort: filters.sort !== DEFAULT_FILTERS.sort ? filters.sort : '',
+      });
+    }
+
+    /**
+     * Show the browser with the given filters
+     * @param {Object} nextFilters - Filters to apply
+     * @returns {Promise<void>} Resolves once results are rendered
+     */
+    async function open(nextFilters) {
+      filters = { ...DEFAULT_FILTERS, ...nextFilters };
+
+      try {
+        await load();
+      } catch (error) {
+        console.error('Failed to load restaurants:', error);
+        return;
+      }
+
+      // Destroyed while loading
+      if (!section) return;
+
+      if (!panel) build();
+
+      panel.hidden = false;
+      syncForm();
+      renderResults();
+      trackOpen('route');
+    }
+
+    /**
+     * Publish "cuisine_open" with the cuisine and area being browsed
+     * @param {string} source - "route" for cuisine links, back/forward and
+     *   shared URLs, "filters" for changes made in the panel
+     */
+    function trackOpen(source) {
+      EventBus.emit('cuisine_open', {
+        cuisine: filters.type || null,
+        zone: filters.zone || null,
+        source,
+      });
+    }
+
+    /**
+     * Rebuild an open panel in the current language, keeping focus on the same control
+     */
+    function rebuild() {
+      if (!panel) return;
+
+      const focusedName = form.contains(document.activeElement) ? document.activeElement.name : null;
+      const wasHidden = panel.hidden;
+
+      panel.remove();
+      build();
+      panel.hidden = wasHidden;
+      syncForm();
+      renderResults();
+
+      if (focusedName) form.elements[focusedName]?.focus();
+    }
+
+    /**
+     * Hide the browser
+     */
+    function close() {
+      if (!panel) return;
+
+      panel.hidden = true;
+      Router.update(`#${section.id}`);
+
+      const firstLink = safeQuerySelector(SELECTORS.CUISINE_LINKS);
+      if (firstLink) firstLink.focus();
+    }
+
+    /**
+     * Create a labelled select
+     * @param {string} name - Filter name
+     * @param {string} labelText - Label text
+     * @param {Array<string[]>} options - [value, label] pairs
+     * @returns {HTMLElement} Label wrapping the select
+     */
+    function createSelect(name, labelText, options) {
+      const label = document.createElement('label');
+      label.className = 'restaurant-filter';
+      label.textContent = labelText;
+
+      const select = document.createElement('select');
+      select.name = name;
+      options.forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+      });
+
+      label.appendChild(select);
+      return label;
+    }
+
+    /**
+     * Build the browser panel
+     */
+    function build() {
+      addBrowserStyles();
+
+      const cuisines = [...new Set(restaurants.map(restaurant => restaurant.cuisine))].sort();
+
+      panel = document.createElement('div');
+      panel.className = 'restaurant-browser';
+      panel.setAttribute('role', 'region');
+      panel.setAttribute('aria-labelledby', 'restaurant-browser-title');
+
+      const header = document.createElement('div');
+      header.className = 'restaurant-browser-header';
+
+      const title = document.createElement('h3');
+      title.id = 'restaurant-browser-title';
+      title.textContent = I18n.t('restaurants.title');
+
+      const closeButton = document.createElement('button');
+      closeButton.type = 'button';
+      closeButton.className = 'btn-link';
+      closeButton.textContent = I18n.t('restaurants.close');
+      closeButton.setAttribute('aria-label', I18n.t('restaurants.closeLabel'));
+      closeButton.addEventListener('click', close);
+
+      header.append(title, closeButton);
+
+      form = document.createElement('form');
+      form.className = 'restaurant-filters';
+      form.setAttribute('aria-label', I18n.t('restaurants.filters'));
+      form.addEventListener('submit', event => event.preventDefault());
+
+      const openLabel = document.createElement('label');
+      openLabel.className = 'restaurant-filter restaurant-filter-checkbox';
+      const openInput = document.createElement('input');
+      openInput.type = 'checkbox';
+      openInput.name = 'open';
+      openLabel.append(openInput, ` ${I18n.t('restaurants.openNow')}`);
+
+      const ratingAtLeast = rating => I18n.t('restaurants.ratingAtLeast', { rating });
+      const priceAtMost = price => I18n.t('restaurants.priceAtMost', { price });
+
+      form.append(
+        createSelect('type', I18n.t('restaurants.cuisine'), [
+          ['', I18n.t('restaurants.allCuisines')],
+          ...cuisines.map(cuisine => [cuisine, formatCuisine(cuisine)]),
+        ]),
+        createSelect('zone', I18n.t('restaurants.zone'), [
+          ['', I18n.t('restaurants.allAreas')],
+          ...zones.map(zone => [zone.id, zone.name]),
+        ]),
+        createSelect('rating', I18n.t('restaurants.rating'), [
+          ['0', I18n.t('restaurants.anyRating')],
+          ['4.5', ratingAtLeast(4.5)],
+          ['4', ratingAtLeast(4)],
+          ['3.5', ratingAtLeast(3.5)],
+        ]),
+        createSelect('price', I18n.t('restaurants.price'), [
+          ['0', I18n.t('restaurants.anyPrice')],
+          ['1', '$'],
+          ['2', priceAtMost('$$')],
+          ['3', priceAtMost('$$$')],
+        ]),
+        createSelect('sort', I18n.t('restaurants.sort'), [
+          ['eta', I18n.t('restaurants.sortEta')],
+          ['rating', I18n.t('restaurants.sortRating')],
+        ]),
+        openLabel
+      );
+      form.addEventListener('change', handleFilterChange);
+
+      summary = document.createElement('p');
+      summary.className = 'restaurant-summary';
+      summary.setAttribute('role', 'status');
+      summary.setAttribute(ARIA.LIVE, 'polite');
+
+      results = document.createElement('ul');
+      results.className = 'restaurant-results';
+      results.setAttribute('role', 'list');
+
+      panel.append(header, form, summary, results);
+
+      const grid = safeQuerySelector(SELECTORS.CUISINES_GRID, section);
+      (grid || section.lastElementChild).insertAdjacentElement('afterend', panel);
+    }
+
+    /**
+     * Reflect the current filters in the form controls
+     */
+    function syncForm() {
+      form.elements.type.value = filters.type;
+      form.elements.zone.value = filters.zone;
+      form.elements.rating.value = String(filters.rating);
+      form.elements.price.value = String(filters.price);
+      form.elements.sort.value = filters.sort;
+      form.elements.open.checked = filters.open;
+    }
+
+    /**
+     * Apply filter changes and update the shareable URL
+     */
+    function handleFilterChange() {
+      filters = {
+        type: form.elements.type.value,
+        zone: form.elements.zone.value,
+        open: form.elements.open.checked,
+        rating: Number(form.elements.rating.value) || 0,
+        price: Number(form.elements.price.value) || 0,
+        sort: form.elements.sort.value,
+      };
+
+      Router.update(toHash());
+      renderResults();
+      trackOpen('filters');
+    }
+
+    /**
+     * Name a cuisine, capitalizing the id when it has no translation
+     * @param {string} cuisine - Cuisine id
+     * @returns {string} Cuisine name
+     */
+    function formatCuisine(cuisine) {
+      const key = `cuisine.${cuisine}`;
+      const name = I18n.t(key);
+      return name === key ? cuisine.charAt(0).toUpperCase() + cuisine.slice(1) : name;
+    }
+
+    /**
+     * Evaluate a restaurant's opening hours now
+     * @param {Object} restaurant - Restaurant
+     * @returns {Object} Status from ZoneHours.getStatus
+     */
+    function getOpenStatus(restaurant) {
+      const zone = zones.find(candidate => restaurant.zones.includes(candidate.id));
+      return ZoneHours.getStatus({
+        hours: restaurant.hours || [],
+        timeZone: zone?.timeZone || CONFIG.ZONE_TIMEZONE,
+      });
+    }
+
+    /**
+     * Restaurants matching the current filters, sorted
+     * @returns {Object[]} Matching restaurants
+     */
+    function getMatches() {
+      return restaurants
+        .filter(restaurant => !filters.type || restaurant.cuisine === filters.type)
+        .filter(restaurant => !filters.zone || restaurant.zones.includes(filters.zone))
+        .filter(restaurant => !filters.rating || restaurant.rating >= filters.rating)
+        .filter(restaurant => !filters.price || restaurant.priceTier <= filters.price)
+        .filter(restaurant => !filters.open || getOpenStatus(restaurant).isOpen)
+        .sort((a, b) => filters.sort === 'rating'
+          ? b.rating - a.rating || a.eta - b.eta
+          : a.eta - b.eta || b.rating - a.rating);
+    }
+
+    /**
+     * Render a restaurant result
+     * @param {Object} restaurant - Restaurant
+     * @returns {HTMLElement} List item
+     */
+    function createResult(restaurant) {
+      const item = document.createElement('li');
+      item.className = 'restaurant-card';
+
+      const image = document.createElement('img');
+      image.dataset.src = restaurant.image;
+      image.alt = I18n.t('restaurants.imageAlt', { name: restaurant.name, cuisine: formatCuisine(restaurant.cuisine) });
+      image.loading = 'lazy';
+      image.width = 800;
+      image.height = 600;
+
+      const body = document.createElement('div');
+      body.className = 'restaurant-card-body';
+
+      const name = document.createElement('h4');
+      name.textContent = restaurant.name;
+
+      const description = document.createElement('p');
+      description.textContent = restaurant.description;
+
+      const meta = document.createElement('p');
+      meta.className = 'restaurant-meta';
+      const price = '$'.repeat(restaurant.priceTier);
+      meta.textContent = [
+        formatCuisine(restaurant.cuisine),
+        price,
+        I18n.t('zones.eta', { minutes: restaurant.eta }),
+      ].join(' • ');
+
+      const status = document.createElement('span');
+      const openStatus = getOpenStatus(restaurant);
+      status.className = `restaurant-status ${openStatus.isOpen ? 'open' : 'closed'}`;
+      status.textContent = ZoneHours.formatStatus(openStatus);
+
+      body.append(name, Testimonials.createRating(restaurant.rating), meta, status, description);
+      item.append(image, body);
+      return item;
+    }
+
+    /**
+     * Render results for the current filters
+     */
+    function renderResults() {
+      const matches = getMatches();
+      const zone = zones.find(candidate => candidate.id === filters.zone);
+
+      if (!matches.length) {
+        summary.textContent = I18n.t('restaurants.none');
+      } else if (zone) {
+        summary.textContent = I18n.t('restaurants.summaryInZone', { count: matches.length, zone: zone.name });
+      } else {
+        summary.textContent = I18n.t('restaurants.summary', { count: matches.length });
+      }
+
+      const items = matches.map(createResult);
+      results.replaceChildren(...items);
+      LazyLoading.observe(items.map(item => item.querySelector('img')));
+    }
+
+    /**
+     * Add browser panel styles
+     */
+    function addBrowserStyles() {
+      const styleId = 'restaurant-browser-styles';
+      if (document.getElementById(styleId)) return;
+
+      const style = document.createElement('style');
+      style.id = styleId;
+      style.textContent = `
+        .restaurant-browser {
+          margin-top: var(--space-2xl);
+          padding: var(--space-lg);
+          border: 1px solid var(--color-border);
+          border-radius: var(--radius-lg);
+          background-color: var(--color-surface);
+        }
+
+        .restaurant-browser-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: var(--space-md);
+        }
+
+        .restaurant-filters {
+          display: flex;
+          flex-wrap: wrap;
+          gap: var(--space-md);
+          margin-bottom: var(--space-md);
+        }
+
+        .restaurant-filter {
+          display: flex;
+          flex-direction: column;
+          gap: var(--space-xs);
+          font-size: var(--font-size-sm);
+          font-weight: var(--font-weight-medium);
+        }
+
+        .restaurant-filter-checkbox {
+          flex-direction: row;
+          align-items: center;
+          align-self: flex-end;
+        }
+
+        .restaurant-filter select {
+          padding: var(--space-xs) var(--space-sm);
+          border: 1px solid var(--color-border);
+          border-radius: var(--radius-md);
+          background-color: var(--color-background);
+        }
+
+        .restaurant-summary {
+          color: var(--color-text-secondary);
+          margin-bottom: var(--space-md);
+        }
+
+        .restaurant-results {
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(260px, 1fr));
+          gap: var(--space-lg);
+          list-style: none;
+          padding: 0;
+        }
+
+        .restaurant-card {
+          overflow: hidden;
+          border-radius: var(--radius-md);
+          background-color: var(--color-background);
+          box-shadow: var(--shadow-sm);
+        }
+
+        .restaurant-card img {
+          width: 100%;
+          height: 160px;
+          object-fit: cover;
+        }
+
+        .restaurant-card-body {
+          display: flex;
+          flex-direction: column;
+          gap: var(--space-xs);
+          padding: var(--space-md);
+        }
+
+        .restaurant-meta {
+          font-size: var(--font-size-sm);
+          color: var(--color-text-secondary);
+        }
+
+        .restaurant-status {
+          align-self: flex-start;
+          padding: 2px var(--space-sm);
+          border-radius: var(--radius-full);
+          font-size: var(--font-size-sm);
+          font-weight: var(--font-weight-semibold);
+          background-color: var(--color-neutral-100);
+        }
+
+        .restaurant-status.open {
+          color: hsl(142, 71%, 25%);
+          background-color: hsl(142, 71%, 92%);
+        }
+      `;
+      document.head.appendChild(style);
+    }
+
+    /**
+     * Get the current filters
+     * @returns {Object} Filters
+     */
+    function getFilters() {
+      return { ...filters };
+    }
+
+    return { init, destroy, open, close, getFilters, formatCuisine };
+  })();
+
+  // ============================================
+  // Quick Order Module
+  // ============================================
+
+  const QuickOrder = (function() {
+    const ORDER_PATH = 'order';
+    const STEPS = ['zone', 'restaurant', 'menu', 'cart'];
+
+    let zones = [];
+    let restaurants = [];
+    let menus = {};
+    let loadPromise = null;
+    let cart = createCart();
+    let step = STEPS[0];
+    let confirmation = null;
+    let isActive = false;
+    let isOpen = false;
+    let isSubmitting = false;
+    let returnFocusTo = null;
+    let inertElements = [];
+    let lockedControls = [];
+    let modal = null;
+    let form = null;
+    let title = null;
+    let progress = null;
+    let body = null;
+    let status = null;
+    let backButton = null;
+    let nextButton = null;
+    const teardown = createTeardown();
+
+    /**
+     * Restore the saved cart, open the modal from "Order Now" buttons and
+     * register the "#order" route
+     */
+    function init() {
+      isActive = true;
+      cart = restoreCart();
+
+      safeQuerySelectorAll(SELECTORS.ORDER_BUTTONS).forEach(button => {
+        button.setAttribute('aria-haspopup', 'dialog');
+        teardown.add(() => button.removeAttribute('aria-haspopup'));
+      });
+
+      teardown.add(Router.register(ORDER_PATH, handleRoute));
+      teardown.listen(document, 'click', handleTriggerClick);
+      teardown.listen(document, 'keydown', handleKeydown);
+      teardown.listen(window, 'popstate', handlePopState);
+      teardown.listen(window, 'storage', handleStorage);
+      teardown.add(I18n.onChange(() => {
+        if (isOpen) renderStep();
+      }));
+    }
+
+    /**
+     * Close and remove the modal. The cart stays saved for the next visit.
+     */
+    function destroy() {
+      close({ returnFocus: false });
+      isActive = false;
+      teardown.run();
+
+      modal?.remove();
+      modal = null;
+      form = null;
+      title = null;
+      progress = null;
+      body = null;
+      status = null;
+      backButton = null;
+      nextButton = null;
+      confirmation = null;
+      returnFocusTo = null;
+    }
+
+    /**
+     * Open the modal for "#order" links, including on page load
+     * @returns {Promise<boolean>} False, as there is nothing to scroll to
+     */
+    function handleRoute() {
+      return open().then(() => false);
+    }
+
+    /**
+     * Remember which button opened the modal, and open it when SmoothScroll
+     * is not running to route the link
+     * @param {MouseEvent} event - Click event
+     */
+    function handleTriggerClick(event) {
+      const trigger = event.target.closest?.(SELECTORS.ORDER_BUTTONS);
+      if (!trigger) return;
+
+      returnFocusTo = trigger;
+      if (event.defaultPrevented) return;
+
+      event.preventDefault();
+      Router.navigate(`#${ORDER_PATH}`);
+    }
+
+    /**
+     * Close the modal when back/forward leaves the "#order" route
+     */
+    function handlePopState() {
+      if (isOpen && Router.parse(window.location.hash).path !== ORDER_PATH) {
+        requestClose();
+      }
+    }
+
+    /**
+     * Follow cart changes made in another tab
+     * @param {StorageEvent} event - Storage event
+     */
+    function handleStorage(event) {
+      if (event.key !== CONFIG.CART_STORAGE_KEY) return;
+
+      cart = restoreCart();
+      if (loadPromise) sanitizeCart();
+      if (!isOpen || isSubmitting || step === 'confirmation') return;
+
+      const furthest = getFurthestStep();
+      if (STEPS.indexOf(step) > STEPS.indexOf(furthest)) step = furthest;
+      renderStep();
+    }
+
+    /**
+     * Load zones, restaurants and menus once
+     * @returns {Promise<void>} Resolves when data is ready
+     */
+    function load() {
+      if (!loadPromise) {
+        loadPromise = Promise.all([
+          DeliveryZones.load(),
+          fetchJson(CONFIG.RESTAURANTS_URL),
+          fetchJson(CONFIG.MENUS_URL),
+        ]).then(([loadedZones, restaurantData, menuData]) => {
+          zones = loadedZones;
+          restaurants = Array.isArray(restaurantData.restaurants) ? restaurantData.restaurants : [];
+          menus = menuData.menus || {};
+          sanitizeCart();
+        }).catch(error => {
+          loadPromise = null;
+          throw error;
+        });
+      }
+
+      return loadPromise;
+    }
+
+    /**
+     * Fetch a local JSON file
+     * @param {string} url - File URL
+     * @returns {Promise<Object>} Parsed JSON
+     */
+    function fetchJson(url) {
+      return fetch(url, { headers: { Accept: 'application/json' } }).then(response => {
+        if (!response.ok) {
+          throw new Error(`Unexpected response status ${response.status}`);
+        }
+        return response.json();
+      });
+    }
+
+    // ----- Cart -----
+
+    /**
+     * Create an empty cart
+     * @param {string|null} [zone=null] - Delivery zone id to keep
+     * @returns {Object} Cart with zone, restaurant, items ({dishId: quantity}) and updatedAt
+     */
+    function createCart(zone = null) {
+      return { zone, restaurant: null, items: {}, updatedAt: 0 };
+    }
+
+    /**
+     * Read the saved cart, dropping it once CONFIG.CART_TTL has passed
+     * @returns {Object} Cart
+     */
+    function restoreCart() {
+      const saved = readStorage(CONFIG.CART_STORAGE_KEY);
+      if (!saved || typeof saved !== 'object') return createCart();
+
+      if (!(Date.now() - saved.updatedAt < CONFIG.CART_TTL)) {
+        removeStorage(CONFIG.CART_STORAGE_KEY);
+        return createCart();
+      }
+
+      return {
+        zone: typeof saved.zone === 'string' ? saved.zone : null,
+        restaurant: typeof saved.restaurant === 'string' ? saved.restaurant : null,
+        items: saved.items && typeof saved.items === 'object' ? { ...saved.items } : {},
+        updatedAt: saved.updatedAt,
+      };
+    }
+
+    /**
+     * Save the cart so it survives reloads
+     */
+    function saveCart() {
+      cart.updatedAt = Date.now();
+      writeStorage(CONFIG.CART_STORAGE_KEY, cart);
+    }
+
+    /**
+     * Drop saved choices that no longer match the loaded data, e.g. a dish
+     * taken off the menu or a restaurant that stopped serving the zone
+     */
+    function sanitizeCart() {
+      if (!getZone()) cart.zone = null;
+      if (!getRestaurant() || !getRestaurant().zones.includes(cart.zone)) cart.restaurant = null;
+
+      const dishes = getMenu();
+      cart.items = Object.fromEntries(Object.entries(cart.items)
+        .filter(([id, quantity]) => dishes.some(dish => dish.id === id) && Number.isInteger(quantity) && quantity > 0)
+        .map(([id, quantity]) => [id, Math.min(quantity, CONFIG.ORDER_MAX_QUANTITY)]));
+    }
+
+    /**
+     * Choose the delivery zone, emptying the cart if its restaurant doesn't deliver there
+     * @param {string} zoneId - Zone id
+     */
+    function selectZone(zoneId) {
+      if (cart.zone === zoneId) return;
+
+      cart.zone = zoneId;
+      if (cart.restaurant && !getRestaurant().zones.includes(zoneId)) {
+        cart.restaurant = null;
+        cart.items = {};
+      }
+      saveCart();
+    }
+
+    /**
+     * Choose the restaurant. A cart holds dishes from one restaurant only.
+     * @param {string} restaurantId - Restaurant id
+     */
+    function selectRestaurant(restaurantId) {
+      if (cart.restaurant === restaurantId) return;
+
+      cart.restaurant = restaurantId;
+      cart.items = {};
+      saveCart();
+    }
+
+    /**
+     * Change how many of a dish are in the cart
+     * @param {string} dishId - Dish id
+     * @param {number} delta - Amount to add, negative to remove
+     * @returns {number} New quantity
+     */
+    function changeQuantity(dishId, delta) {
+      const current = cart.items[dishId] || 0;
+      const quantity = Math.max(0, Math.min(CONFIG.ORDER_MAX_QUANTITY, current + delta));
+      if (quantity === current) return current;
+
+      if (quantity) {
+        cart.items[dishId] = quantity;
+      } else {
+        delete cart.items[dishId];
+      }
+      saveCart();
+
+      EventBus.emit('cart_update', {
+        action: quantity > current ? 'add' : 'remove',
+        restaurant: cart.restaurant,
+        dish: dishId,
+        quantity,
+      });
+
+      return quantity;
+    }
+
+    /**
+     * @returns {Object|undefined} Selected zone
+     */
+    function getZone() {
+      return zones.find(zone => zone.id === cart.zone);
+    }
+
+    /**
+     * @returns {Object|undefined} Selected restaurant
+     */
+    function getRestaurant() {
+      return restaurants.find(restaurant => restaurant.id === cart.restaurant);
+    }
+
+    /**
+     * @returns {Object[]} Dishes on the selected restaurant's menu
+     */
+    function getMenu() {
+      return Array.isArray(menus[cart.restaurant]) ? menus[cart.restaurant] : [];
+    }
+
+    /**
+     * Restaurants with a menu that deliver to the selected zone
+     * @returns {Object[]} Restaurants, fastest first
+     */
+    function getZoneRestaurants() {
+      return restaurants
+        .filter(restaurant => restaurant.zones.includes(cart.zone) && menus[restaurant.id]?.length)
+        .sort((a, b) => a.eta - b.eta);
+    }
+
+    /**
+     * Cart lines in menu order
+     * @returns {Object[]} Lines with dish, quantity and unit price in cents
+     */
+    function getLines() {
+      return getMenu()
+        .filter(dish => cart.items[dish.id])
+        .map(dish => ({ dish, quantity: cart.items[dish.id], price: toCents(dish.price) }));
+    }
+
+    /**
+     * Work out the order totals in cents. Tax applies to the food only.
+     * @returns {{count: number, subtotal: number, deliveryFee: number, tax: number, total: number}} Totals
+     */
+    function getTotals() {
+      const lines = getLines();
+      const count = lines.reduce((sum, line) => sum + line.quantity, 0);
+      const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+      const deliveryFee = count ? toCents(getZone()?.deliveryFee || 0) : 0;
+      const tax = Math.round(subtotal * CONFIG.ORDER_TAX_RATE);
+
+      return { count, subtotal, deliveryFee, tax, total: subtotal + deliveryFee + tax };
+    }
+
+    /**
+     * Convert a price from the data files to whole cents so totals add up exactly
+     * @param {number} price - Price, e.g. 14.5
+     * @returns {number} Cents
+     */
+    function toCents(price) {
+      return Math.round(Number(price) * 100) || 0;
+    }
+
+    /**
+     * Format cents in CONFIG.ORDER_CURRENCY for the current locale
+     * @param {number} cents - Amount in cents
+     * @returns {string} Price label
+     */
+    function formatPrice(cents) {
+      return I18n.formatNumber(cents / 100, { style: 'currency', currency: CONFIG.ORDER_CURRENCY });
+    }
+
+    /**
+     * Format an arrival time in the zone's timezone
+     * @param {number} timestamp - Arrival time
+     * @param {string} timeZone - IANA timezone
+     * @returns {string} Time label, e.g. "7:45 PM"
+     */
+    function formatArrival(timestamp, timeZone) {
+      return new Intl.DateTimeFormat(I18n.getLocale(), { hour: 'numeric', minute: '2-digit', timeZone }).format(timestamp);
+    }
+
+    // ----- Modal -----
+
+    /**
+     * Open the order modal, resuming where the saved cart left off, or
+     * offering to try again when the menu could not be loaded
+     * @returns {Promise<void>} Resolves once the modal is shown
+     */
+    async function open() {
+      if (!isOpen && returnFocusTo === null) returnFocusTo = document.activeElement;
+
+      let isLoaded = true;
+      try {
+        await load();
+      } catch (error) {
+        console.error('Failed to load the order menu:', error);
+        isLoaded = false;
+      }
+
+      // Destroyed while loading
+      if (!isActive || isOpen) return;
+
+      if (!modal) build();
+
+      step = isLoaded ? getResumeStep() : 'unavailable';
+      confirmation = null;
+      isOpen = true;
+      modal.hidden = false;
+
+      document.body.classList.add('order-scroll-locked');
+      setBackgroundInert();
+      renderStep();
+      title.focus();
+
+      EventBus.emit('order_open', { step });
+    }
+
+    /**
+     * Close the order modal
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.returnFocus=true] - Move focus back to the button that opened it
+     */
+    function close({ returnFocus = true } = {}) {
+      if (!isOpen) return;
+
+      isOpen = false;
+      modal.hidden = true;
+      clearBackgroundInert();
+      document.body.classList.remove('order-scroll-locked');
+
+      if (Router.parse(window.location.hash).path === ORDER_PATH) {
+        Router.update('');
+      }
+
+      EventBus.emit('order_close', { step });
+
+      const target = getReturnTarget();
+      returnFocusTo = null;
+      if (returnFocus) target?.focus();
+    }
+
+    /**
+     * Close at the visitor's request, unless an order is being placed
+     */
+    function requestClose() {
+      if (!isSubmitting) close();
+    }
+
+    /**
+     * First step that still needs input
+     * @returns {string} Step name
+     */
+    function getResumeStep() {
+      return getLines().length ? 'cart' : getFurthestStep();
+    }
+
+    /**
+     * Last step the cart's choices allow
+     * @returns {string} Step name
+     */
+    function getFurthestStep() {
+      if (cart.restaurant) return 'menu';
+      if (cart.zone) return 'restaurant';
+      return 'zone';
+    }
+
+    /**
+     * Where focus goes on close: the opening button, or the menu toggle when
+     * that button sits in the now-closed mobile drawer
+     * @returns {HTMLElement|null} Element to focus
+     */
+    function getReturnTarget() {
+      if (!returnFocusTo?.isConnected || returnFocusTo === document.body) {
+        return safeQuerySelector(SELECTORS.ORDER_BUTTONS);
+      }
+
+      const drawer = returnFocusTo.closest(SELECTORS.NAV_MENU);
+      if (drawer && !drawer.classList.contains(CLASSES.NAV_OPEN) && window.innerWidth < CONFIG.MOBILE_BREAKPOINT) {
+        return safeQuerySelector(SELECTORS.MOBILE_NAV_TOGGLE) || returnFocusTo;
+      }
+
+      return returnFocusTo;
+    }
+
+    /**
+     * Close on Escape and keep Tab inside the dialog
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    function handleKeydown(event) {
+      if (!isOpen) return;
+
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        requestClose();
+      } else if (event.key === 'Tab') {
+        trapFocus(event);
+      }
+    }
+
+    /**
+     * Keep Tab and Shift+Tab cycling through the dialog's controls
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    function trapFocus(event) {
+      const focusable = Array.from(modal.querySelectorAll(SELECTORS.FOCUSABLE))
+        .filter(element => !element.closest('[hidden]'));
+      if (!focusable.length) return;
+
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const active = document.activeElement;
+
+      if (!focusable.includes(active)) {
+        event.preventDefault();
+        (event.shiftKey ? last : first).focus();
+      } else if (event.shiftKey && active === first) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && active === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    }
+
+    /**
+     * Make the rest of the page inert while the dialog is open
+     */
+    function setBackgroundInert() {
+      inertElements = Array.from(document.body.children)
+        .filter(element => element !== modal && !element.inert && element.tagName !== 'SCRIPT');
+      inertElements.forEach(element => {
+        element.inert = true;
+      });
+    }
+
+    /**
+     * Restore interactivity outside the dialog
+     */
+    function clearBackgroundInert() {
+      inertElements.forEach(element => {
+        element.inert = false;
+      });
+      inertElements = [];
+    }
+
+    /**
+     * Build the modal shell. Steps render into its body.
+     */
+    function build() {
+      addOrderStyles();
+
+      modal = document.createElement('div');
+      modal.className = 'order-modal';
+      modal.hidden = true;
+
+      const backdrop = document.createElement('div');
+      backdrop.className = 'order-backdrop';
+      backdrop.addEventListener('click', requestClose);
+
+      const dialog = document.createElement('div');
+      dialog.className = 'order-dialog';
+      dialog.setAttribute('role', 'dialog');
+      dialog.setAttribute('aria-modal', 'true');
+      dialog.setAttribute('aria-labelledby', 'order-title');
+      dialog.setAttribute('aria-describedby', 'order-progress');
+
+      const header = document.createElement('div');
+      header.className = 'order-header';
+
+      title = document.createElement('h2');
+      title.id = 'order-title';
+      title.tabIndex = -1;
+
+      progress = document.createElement('p');
+      progress.id = 'order-progress';
+      progress.className = 'order-progress';
+
+      const closeButton = document.createElement('button');
+      closeButton.type = 'button';
+      closeButton.className = 'order-close';
+      closeButton.setAttribute('data-i18n-attr', 'aria-label: order.close');
+      closeButton.setAttribute('aria-label', I18n.t('order.close'));
+      closeButton.innerHTML = '<span aria-hidden="true">&times;</span>';
+      closeButton.addEventListener('click', requestClose);
+
+      header.append(title, progress, closeButton);
+
+      form = document.createElement('form');
+      form.className = 'order-form';
+      form.noValidate = true;
+      form.addEventListener('submit', event => {
+        event.preventDefault();
+        goNext();
+      });
+      form.addEventListener('click', handleQuantityClick);
+      form.addEventListener('change', handleChoiceChange);
+
+      body = document.createElement('div');
+      body.className = 'order-body';
+
+      status = document.createElement('p');
+      status.className = 'order-status';
+      status.setAttribute('role', 'status');
+      status.setAttribute(ARIA.LIVE, 'polite');
+
+      const footer = document.createElement('div');
+      footer.className = 'order-footer';
+
+      backButton = document.createElement('button');
+      backButton.type = 'button';
+      backButton.className = 'btn-secondary';
+      backButton.addEventListener('click', goBack);
+
+      nextButton = document.createElement('button');
+      nextButton.type = 'submit';
+      nextButton.className = 'btn-primary';
+
+      footer.append(backButton, nextButton);
+      form.append(body, status, footer);
+      dialog.append(header, form);
+      modal.append(backdrop, dialog);
+      document.body.appendChild(modal);
+    }
+
+    /**
+     * Move to a step and focus its heading
+     * @param {string} next - Step name
+     */
+    function go(next) {
+      step = next;
+      renderStep();
+      title.focus();
+      EventBus.emit('order_step', { step });
+    }
+
+    /**
+     * Continue from the current step
+     */
+    function goNext() {
+      if (step === 'zone' || step === 'restaurant') {
+        const choice = form.querySelector(`input[name="${step}"]:checked`)?.value;
+        if (!choice) {
+          showStatus(I18n.t(`order.choose.${step}`), true);
+          form.querySelector(`input[name="${step}"]`)?.focus();
+          return;
+        }
+
+        step === 'zone' ? selectZone(choice) : selectRestaurant(choice);
+        go(step === 'zone' ? 'restaurant' : 'menu');
+      } else if (step === 'menu') {
+        if (!getLines().length) {
+          showStatus(I18n.t('order.cartEmpty'), true);
+          return;
+        }
+        go('cart');
+      } else if (step === 'cart') {
+        checkout();
+      } else if (step === 'unavailable') {
+        retryLoad();
+      } else {
+        close();
+      }
+    }
+
+    /**
+     * Try loading the menu again after a failure
+     * @returns {Promise<void>} Resolves once loaded or failed again
+     */
+    async function retryLoad() {
+      nextButton.disabled = true;
+      showStatus(I18n.t('order.loading'));
+
+      try {
+        await load();
+      } catch (error) {
+        console.error('Failed to load the order menu:', error);
+        if (!isOpen) return;
+        nextButton.disabled = false;
+        showStatus(I18n.t('order.loadFailed'), true);
+        return;
+      }
+
+      if (!isOpen) return;
+      nextButton.disabled = false;
+      go(getResumeStep());
+    }
+
+    /**
+     * Return to the previous step
+     */
+    function goBack() {
+      const index = STEPS.indexOf(step);
+      if (index > 0) go(STEPS[index - 1]);
+    }
+
+    /**
+     * Render the current step and the dialog chrome around it
+     */
+    function renderStep() {
+      const index = STEPS.indexOf(step);
+
+      title.textContent = I18n.t(`order.title.${step}`);
+      progress.textContent = index >= 0 ? I18n.t('order.progress', { step: index + 1, total: STEPS.length }) : '';
+      progress.hidden = index < 0;
+      backButton.textContent = I18n.t('order.back');
+      backButton.hidden = index <= 0;
+      nextButton.textContent = getNextLabel();
+      showStatus('');
+
+      const renderers = {
+        zone: renderZoneStep,
+        restaurant: renderRestaurantStep,
+        menu: renderMenuStep,
+        cart: renderCartStep,
+        confirmation: renderConfirmation,
+        unavailable: renderUnavailable,
+      };
+      body.replaceChildren(...renderers[step]());
+    }
+
+    /**
+     * Label the primary button for the current step
+     * @returns {string} Button text
+     */
+    function getNextLabel() {
+      const totals = getTotals();
+
+      switch (step) {
+        case 'menu':
+          return I18n.t('order.viewCart', { count: totals.count });
+        case 'cart':
+          return I18n.t('order.placeOrder', { total: formatPrice(totals.total) });
+        case 'confirmation':
+          return I18n.t('order.done');
+        case 'unavailable':
+          return I18n.t('order.retry');
+        default:
+          return I18n.t('order.continue');
+      }
+    }
+
+    /**
+     * Announce a message in the dialog's live region
+     * @param {string} message - Message, or "" to clear
+     * @param {boolean} [isError=false] - Style as an error
+     */
+    function showStatus(message, isError = false) {
+      status.textContent = message;
+      status.classList.toggle(CLASSES.ERROR, isError);
+    }
+
+    /**
+     * Build a radio group
+     * @param {string} name - Input name
+     * @param {string} legendText - Group label
+     * @param {Object[]} choices - Choices with value, label, details and checked
+     * @returns {HTMLFieldSetElement} Fieldset
+     */
+    function createChoices(name, legendText, choices) {
+      const fieldset = document.createElement('fieldset');
+      fieldset.className = 'order-choices';
+
+      const legend = document.createElement('legend');
+      legend.className = 'sr-only';
+      legend.textContent = legendText;
+      fieldset.appendChild(legend);
+
+      choices.forEach(choice => {
+        const label = document.createElement('label');
+        label.className = 'order-choice';
+
+        const input = document.createElement('input');
+        input.type = 'radio';
+        input.name = name;
+        input.value = choice.value;
+        input.checked = choice.checked;
+
+        const text = document.createElement('span');
+        text.className = 'order-choice-text';
+
+        const strong = document.createElement('strong');
+        strong.textContent = choice.label;
+
+        const details = document.createElement('span');
+        details.className = 'order-choice-details';
+        details.textContent = choice.details.join(' • ');
+
+        text.append(strong, details);
+        label.append(input, text);
+        fieldset.appendChild(label);
+      });
+
+      return fieldset;
+    }
+
+    /**
+     * Clear a "please choose" error once a choice is made
+     * @param {Event} event - Change event
+     */
+    function handleChoiceChange(event) {
+      if (event.target.type === 'radio') showStatus('');
+    }
+
+    /**
+     * @returns {HTMLElement[]} Zone choices
+     */
+    function renderZoneStep() {
+      return [createChoices('zone', I18n.t('order.title.zone'), zones.map(zone => ({
+        value: zone.id,
+        label: zone.name,
+        details: [
+          I18n.t('zones.eta', { minutes: zone.eta }),
+          I18n.t('order.deliveryFeeLabel', { fee: formatPrice(toCents(zone.deliveryFee)) }),
+        ],
+        checked: zone.id === cart.zone,
+      })))];
+    }
+
+    /**
+     * @returns {HTMLElement[]} Restaurant choices for the selected zone
+     */
+    function renderRestaurantStep() {
+      const zone = getZone();
+      const available = getZoneRestaurants();
+
+      if (!available.length) {
+        const empty = document.createElement('p');
+        empty.textContent = I18n.t('order.noRestaurants', { zone: zone.name });
+        return [empty];
+      }
+
+      const elements = [createChoices('restaurant', I18n.t('order.title.restaurant'), available.map(restaurant => ({
+        value: restaurant.id,
+        label: restaurant.name,
+        details: [
+          RestaurantBrowser.formatCuisine(restaurant.cuisine),
+          '$'.repeat(restaurant.priceTier),
+          I18n.t('rating.label', { value: restaurant.rating }),
+          ZoneHours.formatStatus(ZoneHours.getStatus({ hours: restaurant.hours || [], timeZone: zone.timeZone })),
+        ],
+        checked: restaurant.id === cart.restaurant,
+      })))];
+
+      if (getLines().length) {
+        const note = document.createElement('p');
+        note.className = 'order-note';
+        note.textContent = I18n.t('order.replaceCart', { restaurant: getRestaurant().name });
+        elements.push(note);
+      }
+
+      return elements;
+    }
+
+    /**
+     * Build "−  quantity  +" controls for a dish
+     * @param {Object} dish - Dish
+     * @returns {HTMLElement} Stepper
+     */
+    function createStepper(dish) {
+      const quantity = cart.items[dish.id] || 0;
+
+      const stepper = document.createElement('div');
+      stepper.className = 'order-stepper';
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.dataset.dish = dish.id;
+      remove.dataset.change = '-1';
+      remove.disabled = !quantity;
+      remove.setAttribute('aria-label', I18n.t('order.removeOne', { dish: dish.name }));
+      remove.textContent = '−';
+
+      const count = document.createElement('span');
+      count.className = 'order-quantity';
+      count.textContent = I18n.formatNumber(quantity);
+
+      const add = document.createElement('button');
+      add.type = 'button';
+      add.dataset.dish = dish.id;
+      add.dataset.change = '1';
+      add.disabled = quantity >= CONFIG.ORDER_MAX_QUANTITY;
+      add.setAttribute('aria-label', I18n.t('order.addOne', { dish: dish.name }));
+      add.textContent = '+';
+
+      stepper.append(remove, count, add);
+      return stepper;
+    }
+
+    /**
+     * @returns {HTMLElement[]} The selected restaurant's menu
+     */
+    function renderMenuStep() {
+      const list = document.createElement('ul');
+      list.className = 'order-menu';
+      list.setAttribute('role', 'list');
+      list.setAttribute('aria-label', I18n.t('order.menuLabel', { restaurant: getRestaurant().name }));
+
+      getMenu().forEach(dish => {
+        const item = document.createElement('li');
+        item.className = 'order-dish';
+
+        const info = document.createElement('div');
+        info.className = 'order-dish-info';
+
+        const name = document.createElement('h3');
+        name.textContent = dish.name;
+
+        const description = document.createElement('p');
+        description.textContent = dish.description;
+
+        const price = document.createElement('span');
+        price.className = 'order-price';
+        price.textContent = formatPrice(toCents(dish.price));
+
+        info.append(name, description, price);
+        item.append(info, createStepper(dish));
+        list.appendChild(item);
+      });
+
+      return [list];
+    }
+
+    /**
+     * @returns {HTMLElement[]} Cart lines, totals and delivery estimate
+     */
+    function renderCartStep() {
+      const lines = getLines();
+      if (!lines.length) {
+        const empty = document.createElement('p');
+        empty.textContent = I18n.t('order.cartEmpty');
+        return [empty];
+      }
+
+      const zone = getZone();
+      const totals = getTotals();
+
+      const restaurant = document.createElement('p');
+      restaurant.className = 'order-note';
+      restaurant.textContent = I18n.t('order.from', { restaurant: getRestaurant().name, zone: zone.name });
+
+      const list = document.createElement('ul');
+      list.className = 'order-cart';
+      list.setAttribute('role', 'list');
+
+      lines.forEach(line => {
+        const item = document.createElement('li');
+        item.className = 'order-line';
+
+        const name = document.createElement('span');
+        name.className = 'order-line-name';
+        name.textContent = line.dish.name;
+
+        const total = document.createElement('span');
+        total.className = 'order-price';
+        total.textContent = formatPrice(line.price * line.quantity);
+
+        item.append(name, createStepper(line.dish), total);
+        list.appendChild(item);
+      });
+
+      const summary = document.createElement('dl');
+      summary.className = 'order-totals';
+      const rate = I18n.formatNumber(CONFIG.ORDER_TAX_RATE, { style: 'percent', maximumFractionDigits: 3 });
+      [
+        [I18n.t('order.subtotal'), totals.subtotal],
+        [I18n.t('order.deliveryFee'), totals.deliveryFee],
+        [I18n.t('order.tax', { rate }), totals.tax],
+        [I18n.t('order.total'), totals.total],
+      ].forEach(([label, cents]) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const value = document.createElement('dd');
+        value.textContent = formatPrice(cents);
+        summary.append(term, value);
+      });
+
+      const eta = document.createElement('p');
+      eta.className = 'order-eta';
+      eta.textContent = I18n.t('order.eta', {
+        duration: I18n.formatDuration(zone.eta),
+        time: formatArrival(Date.now() + zone.eta * 60000, zone.timeZone),
+      });
+
+      return [restaurant, list, summary, eta];
+    }
+
+    /**
+     * @returns {HTMLElement[]} Order confirmation
+     */
+    function renderConfirmation() {
+      const placed = document.createElement('p');
+      placed.textContent = I18n.t('order.placed', { id: confirmation.id, restaurant: confirmation.restaurant });
+
+      const eta = document.createElement('p');
+      eta.className = 'order-eta';
+      eta.textContent = I18n.t('order.arrives', {
+        duration: I18n.formatDuration(confirmation.eta),
+        time: formatArrival(confirmation.placedAt + confirmation.eta * 60000, confirmation.timeZone),
+      });
+
+      const total = document.createElement('p');
+      total.textContent = I18n.t('order.charged', { total: formatPrice(confirmation.total) });
+
+      return [placed, eta, total];
+    }
+
+    /**
+     * @returns {HTMLElement[]} Explanation shown when the menu could not be loaded
+     */
+    function renderUnavailable() {
+      const message = document.createElement('p');
+      message.textContent = I18n.t('order.loadFailed');
+      return [message];
+    }
+
+    /**
+     * Handle the quantity buttons on the menu and cart steps
+     * @param {MouseEvent} event - Click event
+     */
+    function handleQuantityClick(event) {
+      const button = event.target.closest('button[data-dish]');
+      if (!button) return;
+
+      const dishId = button.dataset.dish;
+      const dish = getMenu().find(candidate => candidate.id === dishId);
+      // Another tab may have switched the cart to a different restaurant
+      if (!dish) return;
+
+      const quantity = changeQuantity(dishId, Number(button.dataset.change));
+
+      renderStep();
+      showStatus(quantity
+        ? I18n.t('order.inCart', { dish: dish.name, count: quantity })
+        : I18n.t('order.removed', { dish: dish.name }));
+
+      // Keep focus on the same control, or the nearest one if it was disabled or its line removed
+      const buttons = Array.from(body.querySelectorAll('button[data-dish]:not([disabled])'));
+      const target = buttons.find(candidate => candidate.dataset.dish === dishId && candidate.dataset.change === button.dataset.change) ||
+        buttons.find(candidate => candidate.dataset.dish === dishId) ||
+        buttons[0] ||
+        title;
+      target.focus();
+    }
+
+    // ----- Checkout -----
+
+    /**
+     * Place the order and show the confirmation
+     * @returns {Promise<void>} Resolves once the order is placed or has failed
+     */
+    async function checkout() {
+      if (isSubmitting) return;
+
+      const lines = getLines();
+      if (!lines.length) {
+        showStatus(I18n.t('order.cartEmpty'), true);
+        return;
+      }
+
+      const zone = getZone();
+      const restaurant = getRestaurant();
+      const totals = getTotals();
+      const order = {
+        zone: zone.id,
+        restaurant: restaurant.id,
+        items: lines.map(line => ({ dish: line.dish.id, quantity: line.quantity })),
+        currency: CONFIG.ORDER_CURRENCY,
+        subtotal: totals.subtotal / 100,
+        deliveryFee: totals.deliveryFee / 100,
+        tax: totals.tax / 100,
+        total: totals.total / 100,
+      };
+
+      setBusy(true);
+      showStatus(I18n.t('order.placing'));
+
+      try {
+        const result = await submitOrder(order);
+
+        removeOrderedItems(order);
+        EventBus.emit('order_submit', { status: 'placed', items: totals.count, total: order.total });
+
+        // Destroyed while the request was in flight
+        if (!isActive) return;
+
+        confirmation = {
+          id: String(result?.orderId || ''),
+          restaurant: restaurant.name,
+          eta: Number(result?.eta) || zone.eta,
+          placedAt: Date.now(),
+          timeZone: zone.timeZone,
+          total: totals.total,
+        };
+        setBusy(false);
+        go('confirmation');
+      } catch (error) {
+        console.error('Failed to place order:', error);
+        EventBus.emit('order_submit', { status: 'failed', httpStatus: error.status || 0 });
+        if (!isActive) return;
+
+        setBusy(false);
+        showStatus(I18n.t(error.status ? 'order.failed' : 'order.networkError'), true);
+        nextButton.focus();
+      } finally {
+        isSubmitting = false;
+      }
+    }
+
+    /**
+     * Disable every control in the dialog, including close, while an order
+     * is being placed so the cart on screen stays the cart that was sent
+     * @param {boolean} busy - Whether an order is in flight
+     */
+    function setBusy(busy) {
+      isSubmitting = busy;
+      form.setAttribute('aria-busy', String(busy));
+      nextButton.classList.toggle(CLASSES.LOADING, busy);
+
+      if (busy) {
+        lockedControls = Array.from(modal.querySelectorAll('button, input')).filter(control => !control.disabled);
+        lockedControls.forEach(control => {
+          control.disabled = true;
+        });
+      } else {
+        lockedControls.forEach(control => {
+          control.disabled = false;
+        });
+        lockedControls = [];
+      }
+    }
+
+    /**
+     * Take the dishes that were ordered out of the cart, keeping anything
+     * added since, e.g. from another tab
+     * @param {Object} order - Order payload that was placed
+     */
+    function removeOrderedItems(order) {
+      if (cart.restaurant === order.restaurant) {
+        order.items.forEach(({ dish, quantity }) => {
+          const remaining = (cart.items[dish] || 0) - quantity;
+          if (remaining > 0) {
+            cart.items[dish] = remaining;
+          } else {
+            delete cart.items[dish];
+          }
+        });
+      }
+
+      if (!Object.keys(cart.items).length) cart.restaurant = null;
+      saveCart();
+    }
+
+    /**
+     * POST the order to CONFIG.ORDER_ENDPOINT, or to the mock backend while there is none
+     * @param {Object} order - Order payload
+     * @returns {Promise<Object>} Response with orderId and optional eta in minutes
+     */
+    function submitOrder(order) {
+      if (!CONFIG.ORDER_ENDPOINT) return mockCheckout(order);
+
+      return sendRequest(CONFIG.ORDER_ENDPOINT, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+        },
+        body: JSON.stringify(order),
+      });
+    }
+
+    /**
+     * Stand-in for the order API: answers after CONFIG.ORDER_MOCK_DELAY and
+     * fails like the real one would when offline or sent an empty order
+     * @param {Object} order - Order payload
+     * @returns {Promise<Object>} Response with orderId and eta
+     */
+    function mockCheckout(order) {
+      return new Promise((resolve, reject) => {
+        setTimeout(() => {
+          if (!navigator.onLine) {
+            reject(new RequestError('Network request failed'));
+          } else if (!order.items.length) {
+            reject(new RequestError('Request failed with status 422', { status: 422, body: { error: 'empty_order' } }));
+          } else {
+            resolve({
+              orderId: createId().slice(0, 8).toUpperCase(),
+              eta: zones.find(zone => zone.id === order.zone)?.eta,
+            });
+          }
+        }, CONFIG.ORDER_MOCK_DELAY);
+      });
+    }
+
+    /**
+     * Add order modal styles
+     */
+    function addOrderStyles() {
+      const styleId = 'order-modal-styles';
+      if (document.getElementById(styleId)) return;
+
+      const style = document.createElement('style');
+      style.id = styleId;
+      style.textContent = `
+        body.order-scroll-locked {
+          overflow: hidden;
+        }
+
+        .order-modal {
+          position: fixed;
+          inset: 0;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          padding: var(--space-md);
+          z-index: 1100;
+        }
+
+        .order-modal[hidden] {
+          display: none;
+        }
+
+        .order-backdrop {
+          position: absolute;
+          inset: 0;
+          background-color: rgba(0, 0, 0, 0.5);
+        }
+
+        .order-dialog {
+          position: relative;
+          display: flex;
+          flex-direction: column;
+          width: 100%;
+          max-width: 560px;
+          max-height: calc(100vh - 2 * var(--space-md));
+          border-radius: var(--radius-lg);
+          background-color: var(--color-background);
+          box-shadow: var(--shadow-lg);
+        }
+
+        .order-header {
+          display: grid;
+          grid-template-columns: 1fr auto;
+          gap: 0 var(--space-md);
+          padding: var(--space-lg) var(--space-lg) var(--space-sm);
+        }
+
+        .order-header h2 {
+          font-size: var(--font-size-xl);
+        }
+
+        .order-progress {
+          grid-row: 2;
+          font-size: var(--font-size-sm);
+          color: var(--color-text-secondary);
+        }
+
+        .order-close {
+          grid-row: 1 / span 2;
+          grid-column: 2;
+          align-self: start;
+          width: 40px;
+          height: 40px;
+          border: none;
+          border-radius: var(--radius-full);
+          background: transparent;
+          font-size: var(--font-size-2xl);
+          line-height: 1;
+          cursor: pointer;
+        }
+
+        .order-form {
+          display: flex;
+          flex-direction: column;
+          min-height: 0;
+        }
+
+        .order-body {
+          overflow-y: auto;
+          padding: var(--space-sm) var(--space-lg);
+        }
+
+        .order-choices {
+          display: flex;
+          flex-direction: column;
+          gap: var(--space-sm);
+          border: none;
+          padding: 0;
+          margin: 0;
+        }
+
+        .order-choice {
+          display: flex;
+          align-items: flex-start;
+          gap: var(--space-sm);
+          padding: var(--space-md);
+          border: 1px solid var(--color-border);
+          border-radius: var(--radius-md);
+          cursor: pointer;
+        }
+
+        .order-choice:has(input:checked) {
+          border-color: var(--color-primary-500);
+          background-color: var(--color-primary-50);
+        }
+
+        .order-choice-text {
+          display: flex;
+          flex-direction: column;
+        }
+
+        .order-choice-details,
+        .order-note,
+        .order-dish-info p {
+          font-size: var(--font-size-sm);
+          color: var(--color-text-secondary);
+        }
+
+        .order-menu,
+        .order-cart {
+          list-style: none;
+          padding: 0;
+        }
+
+        .order-dish,
+        .order-line {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: var(--space-md);
+          padding: var(--space-sm) 0;
+          border-bottom: 1px solid var(--color-border);
+        }
+
+        .order-dish h3 {
+          font-size: var(--font-size-base);
+        }
+
+        .order-line-name {
+          flex: 1;
+        }
+
+        .order-price {
+          font-weight: var(--font-weight-semibold);
+        }
+
+        .order-stepper {
+          display: flex;
+          align-items: center;
+          gap: var(--space-xs);
+        }
+
+        .order-stepper button {
+          width: 32px;
+          height: 32px;
+          border: 1px solid var(--color-border);
+          border-radius: var(--radius-full);
+          background-color: var(--color-background);
+          cursor: pointer;
+        }
+
+        .order-stepper button:disabled {
+          opacity: 0.4;
+          cursor: not-allowed;
+        }
+
+        .order-quantity {
+          min-width: 2ch;
+          text-align: center;
         }
 
-        .hamburger-line {
-          width: 100%;
-          height: 3px;
-          background-color: var(--color-text-primary);
-          transition: all 0.3s ease;
-          border-radius: 2px;
+        .order-totals {
+          display: grid;
+          grid-template-columns: 1fr auto;
+          gap: var(--space-xs) var(--space-md);
+          margin: var(--space-md) 0;
         }
 
-        .nav-open .hamburger-line:nth-child(1) {
-          transform: rotate(45deg) translate(8px, 8px);
+        .order-totals dd {
+          margin: 0;
+          text-align: right;
         }
 
-        .nav-open .hamburger-line:nth-child(2) {
-          opacity: 0;
+        .order-totals dt:last-of-type,
+        .order-totals dd:last-of-type {
+          font-weight: var(--font-weight-bold);
         }
 
-        .nav-open .hamburger-line:nth-child(3) {
-          transform: rotate(-45deg) translate(7px, -7px);
+        .order-eta {
+          font-weight: var(--font-weight-medium);
         }
 
-        @media (min-width: 768px) {
-          .mobile-nav-toggle {
-            display: none;
-          }
+        .order-status {
+          padding: 0 var(--space-lg);
+          font-size: var(--font-size-sm);
         }
 
-        @media (max-width: 767px) {
-          header nav {
-            position: fixed;
-            top: 0;
-            right: -100%;
-            width: 80%;
-            max-width: 300px;
-            height: 100vh;
-            background-color: var(--color-background);
-            box-shadow: -2px 0 10px rgba(0, 0, 0, 0.1);
-            transition: right 0.3s ease;
-            z-index: 999;
-            padding: 80px 20px 20px;
-          }
+        .order-status:empty {
+          display: none;
+        }
 
-          header nav.nav-open {
-            right: 0;
-          }
+        .order-status.error {
+          color: var(--color-error);
+        }
 
-          header nav ul {
-            flex-direction: column;
-            gap: var(--space-lg);
+        .order-footer {
+          display: flex;
+          justify-content: flex-end;
+          gap: var(--space-sm);
+          padding: var(--space-md) var(--space-lg) var(--space-lg);
+        }
+
+        .order-footer [hidden] {
+          display: none;
+        }
+
+        @media (max-width: 480px) {
+          .order-modal {
+            padding: 0;
           }
 
-          header nav a {
-            display: block;
-            padding: var(--space-md);
-            font-size: var(--font-size-lg);
+          .order-dialog {
+            max-width: none;
+            height: 100%;
+            max-height: none;
+            border-radius: 0;
           }
         }
       `;
@@ -279,449 +8771,426 @@
     }
 
     /**
-     * Attach event listeners
+     * Get a copy of the cart
+     * @returns {Object} Cart with zone, restaurant and items
      */
-    function attachEventListeners() {
-      navToggle.addEventListener('click', toggleNav);
-      
-      navLinks.forEach(link => {
-        link.addEventListener('click', handleNavLinkClick);
-      });
-
-      document.addEventListener('click', handleOutsideClick);
-      window.addEventListener('resize', debounce(handleResize, CONFIG.DEBOUNCE_DELAY));
+    function getCart() {
+      return { zone: cart.zone, restaurant: cart.restaurant, items: { ...cart.items } };
     }
 
-    /**
-     * Setup keyboard navigation
-     */
-    function setupKeyboardNavigation() {
-      document.addEventListener('keydown', (event) => {
-        if (event.key === 'Escape' && isOpen) {
-          closeNav();
-        }
-      });
+    return { init, destroy, open, close, getCart, getTotals };
+  })();
 
-      navLinks.forEach((link, index) => {
-        link.addEventListener('keydown', (event) => {
-          if (event.key === 'Tab' && !event.shiftKey && index === navLinks.length - 1) {
-            closeNav();
-          }
-        });
-      });
-    }
+  // ============================================
+  // Testimonials Carousel Module
+  // ============================================
 
-    /**
-     * Toggle navigation menu
-     */
-    function toggleNav() {
-      isOpen ? closeNav() : openNav();
-    }
+  const TestimonialsCarousel = (function() {
+    const SWIPE_THRESHOLD = 50;
 
-    /**
-     * Open navigation menu
-     */
-    function openNav() {
-      isOpen = true;
-      document.body.classList.add(CLASSES.NAV_OPEN);
-      navMenu.classList.add(CLASSES.NAV_OPEN);
-      navToggle.setAttribute(ARIA.EXPANDED, 'true');
-      navToggle.setAttribute('aria-label', 'Close navigation menu');
-      
-      if (navLinks.length > 0) {
-        navLinks[0].focus();
-      }
-    }
+    let carousel = null;
+    let track = null;
+    let slides = [];
+    let dots = [];
+    let playButton = null;
+    let currentIndex = 0;
+    let timer = null;
+    let isPlaying = false;
+    let isPausedByUser = false;
+    let isInteracting = false;
+    let touchStartX = null;
+    let reducedMotion = null;
+    const teardown = createTeardown();
 
     /**
-     * Close navigation menu
+     * Initialize the testimonials carousel
      */
-    function closeNav() {
-      isOpen = false;
-      document.body.classList.remove(CLASSES.NAV_OPEN);
-      navMenu.classList.remove(CLASSES.NAV_OPEN);
-      navToggle.setAttribute(ARIA.EXPANDED, 'false');
-      navToggle.setAttribute('aria-label', 'Open navigation menu');
-    }
+    function init() {
+      carousel = safeQuerySelector(SELECTORS.TESTIMONIALS_CAROUSEL);
+      if (!carousel) return;
 
-    /**
-     * Handle navigation link click
-     * @param {Event} event - Click event
-     */
-    function handleNavLinkClick(event) {
-      if (window.innerWidth < CONFIG.MOBILE_BREAKPOINT) {
-        closeNav();
-      }
-    }
+      reducedMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)');
+      addCarouselStyles();
+      build();
+      attachEventListeners();
 
-    /**
-     * Handle click outside navigation
-     * @param {Event} event - Click event
-     */
-    function handleOutsideClick(event) {
-      if (!isOpen) return;
-      
-      if (!navMenu.contains(event.target) && !navToggle.contains(event.target)) {
-        closeNav();
-      }
+      isPausedByUser = Boolean(reducedMotion?.matches);
+      updatePlayback();
+
+      teardown.add(I18n.onChange(() => {
+        refresh();
+        updatePlayback();
+      }));
     }
 
     /**
-     * Handle window resize
+     * Stop autoplay and turn the carousel back into the static card grid
      */
-    function handleResize() {
-      if (window.innerWidth >= CONFIG.MOBILE_BREAKPOINT && isOpen) {
-        closeNav();
-      }
-    }
+    function destroy() {
+      clearInterval(timer);
+      timer = null;
+      teardown.run();
 
-    return { init };
-  })();
-
-  // ============================================
-  // Smooth Scroll Module
-  // ============================================
+      carousel = null;
+      track = null;
+      slides = [];
+      dots = [];
+      playButton = null;
+      currentIndex = 0;
+      isPlaying = false;
+      isPausedByUser = false;
+      isInteracting = false;
+      reducedMotion = null;
+    }
 
-  const SmoothScroll = (function() {
     /**
-     * Initialize smooth scrolling
+     * Move the cards out of the track and remove what build() added
      */
-    function init() {
-      const links = safeQuerySelectorAll('a[href^="#"]');
-      links.forEach(link => {
-        link.addEventListener('click', handleSmoothScroll);
+    function unbuild() {
+      const cards = Array.from(track.querySelectorAll(SELECTORS.TESTIMONIAL_CARDS));
+      cards.forEach(card => {
+        card.classList.remove('carousel-slide', CLASSES.ACTIVE);
+        ['role', 'aria-roledescription', 'aria-label', ARIA.HIDDEN].forEach(name => card.removeAttribute(name));
+        card.inert = false;
       });
+
+      track.replaceWith(...cards);
+      carousel.querySelector('.carousel-controls')?.remove();
+
+      carousel.classList.remove('carousel-enhanced', 'carousel-single');
+      ['role', 'aria-roledescription', 'data-i18n-attr', 'aria-label'].forEach(name => carousel.removeAttribute(name));
     }
 
     /**
-     * Handle smooth scroll click
-     * @param {Event} event - Click event
+     * Turn the static card grid into a carousel
      */
-    function handleSmoothScroll(event) {
-      const href = event.currentTarget.getAttribute('href');
-      if (!href || href === '#') return;
+    function build() {
+      carousel.classList.add('carousel-enhanced');
+      carousel.setAttribute('role', 'region');
+      carousel.setAttribute('aria-roledescription', 'carousel');
+      carousel.setAttribute('data-i18n-attr', 'aria-label: carousel.label');
+      carousel.setAttribute('aria-label', I18n.t('carousel.label'));
 
-      const targetId = href.substring(1);
-      const targetElement = document.getElementById(targetId);
+      track = document.createElement('div');
+      track.className = 'carousel-track';
+      track.id = 'testimonials-carousel-track';
+      track.setAttribute(ARIA.LIVE, 'polite');
 
-      if (!targetElement) return;
+      const controls = document.createElement('div');
+      controls.className = 'carousel-controls';
 
-      event.preventDefault();
+      playButton = createButton('carousel-play', '', toggleAutoplay);
+      const prevButton = createButton('carousel-prev', I18n.t('carousel.previous'), previous, '‹');
+      const nextButton = createButton('carousel-next', I18n.t('carousel.next'), next, '›');
+      prevButton.setAttribute('data-i18n-attr', 'aria-label: carousel.previous');
+      nextButton.setAttribute('data-i18n-attr', 'aria-label: carousel.next');
+      prevButton.setAttribute('aria-controls', track.id);
+      nextButton.setAttribute('aria-controls', track.id);
 
-      const headerHeight = safeQuerySelector(SELECTORS.HEADER)?.offsetHeight || 0;
-      const targetPosition = targetElement.getBoundingClientRect().top + window.pageYOffset;
-      const offsetPosition = targetPosition - headerHeight - CONFIG.SCROLL_OFFSET;
+      const pagination = document.createElement('div');
+      pagination.className = 'carousel-dots';
+      pagination.setAttribute('role', 'group');
+      pagination.setAttribute('data-i18n-attr', 'aria-label: carousel.choose');
+      pagination.setAttribute('aria-label', I18n.t('carousel.choose'));
 
-      window.scrollTo({
-        top: offsetPosition,
-        behavior: 'smooth'
-      });
+      controls.append(playButton, prevButton, pagination, nextButton);
+      carousel.prepend(controls);
+      carousel.appendChild(track);
+      teardown.add(unbuild);
 
-      targetElement.setAttribute('tabindex', '-1');
-      targetElement.focus();
-      
-      history.pushState(null, '', href);
+      refresh();
     }
 
-    return { init };
-  })();
-
-  // ============================================
-  // Lazy Loading Module
-  // ============================================
-
-  const LazyLoading = (function() {
-    let observer = null;
-
     /**
-     * Initialize lazy loading
+     * Re-read slides from the container, e.g. after cards are re-rendered
      */
-    function init() {
-      if (!('IntersectionObserver' in window)) {
-        loadAllImages();
-        return;
-      }
+    function refresh() {
+      if (!carousel || !track) return;
 
-      observer = new IntersectionObserver(handleIntersection, {
-        root: null,
-        rootMargin: CONFIG.LAZY_LOAD_MARGIN,
-        threshold: 0
+      slides = Array.from(carousel.querySelectorAll(SELECTORS.TESTIMONIAL_CARDS));
+      slides.forEach((slide, index) => {
+        if (slide.parentElement !== track) track.appendChild(slide);
+        slide.classList.add('carousel-slide');
+        slide.setAttribute('role', 'group');
+        slide.setAttribute('aria-roledescription', 'slide');
+        slide.setAttribute('aria-label', I18n.t('carousel.slide', { number: index + 1, total: slides.length }));
       });
 
-      const lazyImages = safeQuerySelectorAll(SELECTORS.LAZY_IMAGES);
-      lazyImages.forEach(img => observer.observe(img));
+      const pagination = carousel.querySelector('.carousel-dots');
+      dots = slides.map((slide, index) => {
+        const dot = createButton('carousel-dot', I18n.t('carousel.show', { number: index + 1 }), () => select(index));
+        dot.setAttribute('aria-controls', track.id);
+        return dot;
+      });
+      pagination.replaceChildren(...dots);
+
+      carousel.classList.toggle('carousel-single', slides.length < 2);
+      goTo(Math.min(currentIndex, Math.max(slides.length - 1, 0)), { announce: false });
     }
 
     /**
-     * Handle intersection observer callback
-     * @param {IntersectionObserverEntry[]} entries - Observed entries
+     * Create a carousel control button
+     * @param {string} className - Button class
+     * @param {string} label - Accessible label
+     * @param {Function} onClick - Click handler
+     * @param {string} [text] - Visible text
+     * @returns {HTMLButtonElement} Button
      */
-    function handleIntersection(entries) {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          loadImage(entry.target);
-          observer.unobserve(entry.target);
-        }
-      });
+    function createButton(className, label, onClick, text = '') {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = className;
+      button.textContent = text;
+      if (label) button.setAttribute('aria-label', label);
+      button.addEventListener('click', onClick);
+      return button;
     }
 
     /**
-     * Load single image
-     * @param {HTMLImageElement} img - Image element
+     * Attach interaction listeners
      */
-    function loadImage(img) {
-      const src = img.getAttribute('src');
-      if (!src) return;
+    function attachEventListeners() {
+      teardown.listen(carousel, 'keydown', handleKeydown);
 
-      img.addEventListener('load', () => {
-        img.classList.add(CLASSES.LOADED);
+      teardown.listen(carousel, 'mouseenter', () => setInteracting(true));
+      teardown.listen(carousel, 'mouseleave', () => setInteracting(carousel.contains(document.activeElement)));
+      teardown.listen(carousel, 'focusin', () => setInteracting(true));
+      teardown.listen(carousel, 'focusout', (event) => {
+        if (!carousel.contains(event.relatedTarget)) setInteracting(false);
       });
 
-      img.addEventListener('error', () => {
-        console.error(`Failed to load image: ${src}`);
-        img.alt = 'Image failed to load';
+      teardown.listen(track, 'touchstart', (event) => {
+        touchStartX = event.touches[0].clientX;
+      }, { passive: true });
+      teardown.listen(track, 'touchend', handleTouchEnd, { passive: true });
+
+      teardown.listen(reducedMotion, 'change', (event) => {
+        if (event.matches) {
+          isPausedByUser = true;
+          updatePlayback();
+        }
       });
+
+      teardown.listen(document, 'visibilitychange', updatePlayback);
     }
 
     /**
-     * Load all images (fallback for no IntersectionObserver)
+     * Arrow, Home and End keys move between slides
+     * @param {KeyboardEvent} event - Keydown event
      */
-    function loadAllImages() {
-      const lazyImages = safeQuerySelectorAll(SELECTORS.LAZY_IMAGES);
-      lazyImages.forEach(img => {
-        img.removeAttribute('loading');
-        loadImage(img);
-      });
-    }
+    function handleKeydown(event) {
+      if (event.target.closest('input, textarea, select')) return;
 
-    return { init };
-  })();
+      const actions = {
+        ArrowLeft: previous,
+        ArrowRight: next,
+        Home: () => select(0),
+        End: () => select(slides.length - 1),
+      };
 
-  // ============================================
-  // Form Validation Module
-  // ============================================
+      const action = actions[event.key];
+      if (!action) return;
 
-  const FormValidation = (function() {
-    const validators = {
-      name: {
-        pattern: /^[a-zA-Z\s'-]{2,50}$/,
-        message: 'Please enter a valid name (2-50 characters)'
-      },
-      email: {
-        pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-        message: 'Please enter a valid email address'
-      },
-      phone: {
-        pattern: /^[\d\s\-\+\(\)]{10,}$/,
-        message: 'Please enter a valid phone number'
-      },
-      subject: {
-        pattern: /^.{3,100}$/,
-        message: 'Subject must be between 3 and 100 characters'
-      },
-      message: {
-        pattern: /^.{10,1000}$/,
-        message: 'Message must be between 10 and 1000 characters'
-      }
-    };
+      event.preventDefault();
+      action();
+    }
 
     /**
-     * Initialize form validation
+     * Swipe left/right to change slides
+     * @param {TouchEvent} event - Touchend event
      */
-    function init() {
-      const form = safeQuerySelector(SELECTORS.CONTACT_FORM);
-      if (!form) return;
+    function handleTouchEnd(event) {
+      if (touchStartX === null) return;
 
-      const inputs = form.querySelectorAll(SELECTORS.FORM_INPUTS);
-      
-      inputs.forEach(input => {
-        input.addEventListener('blur', () => validateField(input));
-        input.addEventListener('input', debounce(() => validateField(input), CONFIG.FORM_VALIDATION_DELAY));
-      });
+      const deltaX = event.changedTouches[0].clientX - touchStartX;
+      touchStartX = null;
 
-      form.addEventListener('submit', handleFormSubmit);
+      if (Math.abs(deltaX) < SWIPE_THRESHOLD) return;
+      deltaX < 0 ? next() : previous();
     }
 
     /**
-     * Validate single field
-     * @param {HTMLInputElement|HTMLTextAreaElement} field - Form field
-     * @returns {boolean} Validation result
+     * Show a slide
+     * @param {number} index - Slide index (wraps around)
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.announce=true] - Announce the change to screen readers
      */
-    function validateField(field) {
-      const fieldName = field.name;
-      const value = field.value.trim();
-      const isRequired = field.hasAttribute('required');
+    function goTo(index, { announce = true } = {}) {
+      if (!slides.length) return;
 
-      clearFieldError(field);
+      currentIndex = (index + slides.length) % slides.length;
+      track.style.transform = `translateX(-${currentIndex * 100}%)`;
+      track.setAttribute(ARIA.LIVE, announce && !isPlaying ? 'polite' : 'off');
 
-      if (isRequired && !value) {
-        showFieldError(field, 'This field is required');
-        return false;
-      }
+      slides.forEach((slide, slideIndex) => {
+        const isActive = slideIndex === currentIndex;
+        slide.classList.toggle(CLASSES.ACTIVE, isActive);
+        slide.setAttribute(ARIA.HIDDEN, String(!isActive));
+        slide.inert = !isActive;
+      });
 
-      if (value && validators[fieldName]) {
-        const validator = validators[fieldName];
-        if (!validator.pattern.test(value)) {
-          showFieldError(field, validator.message);
-          return false;
+      dots.forEach((dot, dotIndex) => {
+        if (dotIndex === currentIndex) {
+          dot.setAttribute('aria-current', 'true');
+        } else {
+          dot.removeAttribute('aria-current');
         }
-      }
-
-      showFieldSuccess(field);
-      return true;
+      });
     }
 
     /**
-     * Show field error
-     * @param {HTMLElement} field - Form field
-     * @param {string} message - Error message
+     * Show a slide chosen by the visitor and notify listeners, e.g. to update the URL
+     * @param {number} index - Slide index (wraps around)
      */
-    function showFieldError(field, message) {
-      const formGroup = field.closest('.form-group');
-      if (!formGroup) return;
-
-      formGroup.classList.add(CLASSES.ERROR);
-      formGroup.classList.remove(CLASSES.SUCCESS);
-      field.setAttribute(ARIA.INVALID, 'true');
-
-      let errorElement = formGroup.querySelector('.error-message');
-      if (!errorElement) {
-        errorElement = document.createElement('span');
-        errorElement.className = 'error-message';
-        errorElement.setAttribute('role', 'alert');
-        formGroup.appendChild(errorElement);
-      }
+    function select(index) {
+      goTo(index);
+      carousel.dispatchEvent(new CustomEvent('carousel:select', { detail: { index: currentIndex } }));
+    }
 
-      errorElement.textContent = message;
+    /**
+     * Show the next slide
+     */
+    function next() {
+      select(currentIndex + 1);
     }
 
     /**
-     * Show field success
-     * @param {HTMLElement} field - Form field
+     * Show the previous slide
      */
-    function showFieldSuccess(field) {
-      const formGroup = field.closest('.form-group');
-      if (!formGroup) return;
+    function previous() {
+      select(currentIndex - 1);
+    }
 
-      formGroup.classList.remove(CLASSES.ERROR);
-      formGroup.classList.add(CLASSES.SUCCESS);
-      field.setAttribute(ARIA.INVALID, 'false');
+    /**
+     * Get the index of the visible slide
+     * @returns {number} Slide index
+     */
+    function getIndex() {
+      return currentIndex;
+    }
+
+    /**
+     * Toggle autoplay from the play/pause button
+     */
+    function toggleAutoplay() {
+      isPausedByUser = !isPausedByUser;
+      updatePlayback();
     }
 
     /**
-     * Clear field error
-     * @param {HTMLElement} field - Form field
+     * Pause while the visitor hovers or focuses the carousel
+     * @param {boolean} value - Whether the visitor is interacting
      */
-    function clearFieldError(field) {
-      const formGroup = field.closest('.form-group');
-      if (!formGroup) return;
+    function setInteracting(value) {
+      isInteracting = value;
+      updatePlayback();
+    }
 
-      formGroup.classList.remove(CLASSES.ERROR, CLASSES.SUCCESS);
-      field.removeAttribute(ARIA.INVALID);
+    /**
+     * Start or stop autoplay based on user, hover/focus and page visibility state
+     */
+    function updatePlayback() {
+      const shouldPlay = !isPausedByUser && !isInteracting && !document.hidden && slides.length > 1;
 
-      const errorElement = formGroup.querySelector('.error-message');
-      if (errorElement) {
-        errorElement.remove();
+      if (shouldPlay && !timer) {
+        timer = setInterval(() => goTo(currentIndex + 1, { announce: false }), CONFIG.CAROUSEL_INTERVAL);
+      } else if (!shouldPlay && timer) {
+        clearInterval(timer);
+        timer = null;
       }
+
+      isPlaying = shouldPlay;
+      track.setAttribute(ARIA.LIVE, isPlaying ? 'off' : 'polite');
+
+      playButton.textContent = isPausedByUser ? '▶' : '❚❚';
+      playButton.setAttribute('aria-label', I18n.t(isPausedByUser ? 'carousel.play' : 'carousel.pause'));
     }
 
     /**
-     * Handle form submission
-     * @param {Event} event - Submit event
+     * Add carousel styles
      */
-    function handleFormSubmit(event) {
-      event.preventDefault();
-
-      const form = event.target;
-      const inputs = form.querySelectorAll(SELECTORS.FORM_INPUTS);
-      let isValid = true;
+    function addCarouselStyles() {
+      const styleId = 'testimonials-carousel-styles';
+      if (document.getElementById(styleId)) return;
 
-      inputs.forEach(input => {
-        if (!validateField(input)) {
-          isValid = false;
+      const style = document.createElement('style');
+      style.id = styleId;
+      style.textContent = `
+        .testimonials-carousel.carousel-enhanced {
+          display: flex;
+          flex-direction: column;
+          gap: var(--space-lg);
+          overflow: hidden;
         }
-      });
 
-      if (isValid) {
-        submitForm(form);
-      } else {
-        const firstError = form.querySelector(`.${CLASSES.ERROR} input, .${CLASSES.ERROR} textarea`);
-        if (firstError) {
-          firstError.focus();
+        .carousel-enhanced .carousel-track {
+          display: flex;
+          transition: transform var(--transition-slow);
         }
-      }
-    }
 
-    /**
-     * Submit form
-     * @param {HTMLFormElement} form - Form element
-     */
-    async function submitForm(form) {
-      const submitButton = form.querySelector('button[type="submit"]');
-      const originalText = submitButton.textContent;
+        .carousel-enhanced .carousel-slide {
+          flex: 0 0 100%;
+          min-width: 0;
+        }
 
-      try {
-        submitButton.disabled = true;
-        submitButton.classList.add(CLASSES.LOADING);
-        submitButton.textContent = 'Sending...';
+        .carousel-controls {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          gap: var(--space-sm);
+          order: 1;
+        }
 
-        const formData = new FormData(form);
-        const data = Object.fromEntries(formData.entries());
+        .carousel-single .carousel-controls {
+          display: none;
+        }
 
-        console.log('Form submitted:', data);
+        .carousel-play,
+        .carousel-prev,
+        .carousel-next {
+          width: 40px;
+          height: 40px;
+          border-radius: var(--radius-full);
+          background-color: var(--color-background);
+          border: 1px solid var(--color-border);
+          color: var(--color-text-primary);
+          font-size: var(--font-size-lg);
+          line-height: 1;
+        }
 
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        .carousel-dots {
+          display: flex;
+          gap: var(--space-xs);
+        }
 
-        showFormSuccess(form);
-        form.reset();
-        
-        const inputs = form.querySelectorAll(SELECTORS.FORM_INPUTS);
-        inputs.forEach(input => clearFieldError(input));
+        .carousel-dot {
+          width: 24px;
+          height: 24px;
+          position: relative;
+        }
 
-      } catch (error) {
-        console.error('Form submission error:', error);
-        showFormError(form, 'Failed to send message. Please try again.');
-      } finally {
-        submitButton.disabled = false;
-        submitButton.classList.remove(CLASSES.LOADING);
-        submitButton.textContent = originalText;
-      }
-    }
+        .carousel-dot::before {
+          content: '';
+          position: absolute;
+          inset: 7px;
+          border-radius: var(--radius-full);
+          background-color: var(--color-neutral-300);
+        }
 
-    /**
-     * Show form success message
-     * @param {HTMLFormElement} form - Form element
-     */
-    function showFormSuccess(form) {
-      const message = document.createElement('div');
-      message.className = 'form-message success';
-      message.setAttribute('role', 'status');
-      message.setAttribute(ARIA.LIVE, 'polite');
-      message.textContent = 'Thank you! Your message has been sent successfully.';
-      
-      form.insertAdjacentElement('beforebegin', message);
-      
-      setTimeout(() => message.remove(), 5000);
-    }
+        .carousel-dot[aria-current="true"]::before {
+          background-color: var(--color-primary-600);
+        }
 
-    /**
-     * Show form error message
-     * @param {HTMLFormElement} form - Form element
-     * @param {string} errorMessage - Error message
-     */
-    function showFormError(form, errorMessage) {
-      const message = document.createElement('div');
-      message.className = 'form-message error';
-      message.setAttribute('role', 'alert');
-      message.setAttribute(ARIA.LIVE, 'assertive');
-      message.textContent = errorMessage;
-      
-      form.insertAdjacentElement('beforebegin', message);
-      
-      setTimeout(() => message.remove(), 5000);
+        @media (prefers-reduced-motion: reduce) {
+          .carousel-enhanced .carousel-track {
+            transition: none;
+          }
+        }
+      `;
+      document.head.appendChild(style);
     }
 
-    return { init };
+    return { init, destroy, refresh, goTo, getIndex };
   })();
 
   // ============================================
@@ -730,6 +9199,8 @@
 
   const ScrollAnimations = (function() {
     let observer = null;
+    let sectionObserver = null;
+    let animatedElements = [];
 
     /**
      * Initialize scroll animations
@@ -748,11 +9219,42 @@
         threshold: CONFIG.ANIMATION_THRESHOLD
       });
 
-      const elements = safeQuerySelectorAll(SELECTORS.ANIMATE_ON_SCROLL);
-      elements.forEach(element => {
+      animatedElements = Array.from(safeQuerySelectorAll(SELECTORS.ANIMATE_ON_SCROLL));
+      animatedElements.forEach(element => {
         element.classList.add('animate-on-scroll');
         observer.observe(element);
       });
+
+      observeSections();
+    }
+
+    /**
+     * Stop observing and show every element, including ones not yet scrolled to
+     */
+    function destroy() {
+      observer?.disconnect();
+      sectionObserver?.disconnect();
+      observer = null;
+      sectionObserver = null;
+
+      animatedElements.forEach(element => element.classList.remove('animate-on-scroll', CLASSES.VISIBLE));
+      animatedElements = [];
+    }
+
+    /**
+     * Publish a "section_view" event the first time each section reaches
+     * the upper half of the viewport
+     */
+    function observeSections() {
+      sectionObserver = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          if (!entry.isIntersecting) return;
+          EventBus.emit('section_view', { section: entry.target.id });
+          sectionObserver.unobserve(entry.target);
+        });
+      }, { rootMargin: '0px 0px -50% 0px' });
+
+      safeQuerySelectorAll(SELECTORS.TRACKED_SECTIONS).forEach(section => sectionObserver.observe(section));
     }
 
     /**
@@ -801,6 +9303,26 @@
           color: white;
         }
 
+        .form-message.queued {
+          background-color: var(--color-warning);
+          color: var(--color-neutral-900);
+        }
+
+        .form-message.draft {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: var(--space-md);
+          background-color: var(--color-primary-50);
+          color: var(--color-text-primary);
+          border-left: 4px solid var(--color-primary-600);
+        }
+
+        .form-message.draft p {
+          flex-basis: 100%;
+          margin-bottom: 0;
+        }
+
         .form-group.error input,
         .form-group.error textarea {
           border-color: var(--color-error);
@@ -817,6 +9339,10 @@
           font-size: var(--font-size-sm);
           margin-top: var(--space-xs);
         }
+
+        .error-message-line {
+          display: block;
+        }
       `;
       document.head.appendChild(style);
     }
@@ -845,7 +9371,315 @@
       });
     }
 
-    return { init };
+    return { init, destroy };
+  })();
+
+  // ============================================
+  // App Kernel
+  // ============================================
+
+  const App = (function() {
+    const registry = new Map();
+
+    let isStarted = false;
+    let queue = Promise.resolve();
+
+    /**
+     * Run kernel operations one at a time, so enabling a module while the
+     * app is still starting cannot initialize it twice
+     * @param {Function} task - Async operation
+     * @returns {Promise<*>} Task result
+     */
+    function run(task) {
+      const result = queue.then(task);
+      queue = result.catch(() => {});
+      return result;
+    }
+
+    /**
+     * Look up a registered module
+     * @param {string} name - Module name
+     * @returns {Object} Registry entry
+     */
+    function getEntry(name) {
+      const entry = registry.get(name);
+      if (!entry) {
+        throw new Error(`Unknown module "${name}"`);
+      }
+      return entry;
+    }
+
+    /**
+     * Check that an object can be used as a module
+     * @param {string} name - Module name
+     * @param {Object} module - Module
+     */
+    function assertModule(name, module) {
+      if (typeof module?.init !== 'function') {
+        throw new TypeError(`Module "${name}" must have an init() function`);
+      }
+    }
+
+    /**
+     * Register a module. Modules start in registration order, after the
+     * modules they depend on; one whose dependency failed or is disabled is
+     * skipped. Registering after start() initializes the module straight away.
+     * @param {string} name - Module name, e.g. "Theme"
+     * @param {Object} module - Object with init() and, to support teardown, destroy()
+     * @param {Object} [options] - Options
+     * @param {string[]} [options.dependencies=[]] - Modules that must be running first
+     * @param {boolean} [options.enabled=true] - Whether the module starts
+     * @returns {Promise<void>} Resolves once any resulting initialization is done
+     */
+    function register(name, module, { dependencies = [], enabled = true } = {}) {
+      if (registry.has(name)) {
+        throw new Error(`Module "${name}" is already registered; use override() to replace it`);
+      }
+      assertModule(name, module);
+
+      registry.set(name, { name, module, dependencies: [...dependencies], enabled, state: 'registered' });
+      return run(() => isStarted ? startPending() : undefined);
+    }
+
+    /**
+     * Replace a module's implementation, e.g. with a page-specific version.
+     * A running module is destroyed and its replacement started.
+     * @param {string} name - Module name; registers a new module if unknown
+     * @param {Object} module - Replacement with init() and destroy()
+     * @param {Object} [options] - Options
+     * @param {string[]} [options.dependencies] - New dependencies; defaults to the existing ones
+     * @returns {Promise<void>} Resolves once the replacement is running
+     */
+    function override(name, module, { dependencies } = {}) {
+      if (!registry.has(name)) return register(name, module, { dependencies });
+      assertModule(name, module);
+
+      const entry = registry.get(name);
+      return run(async () => {
+        await stopModule(entry);
+        entry.module = module;
+        if (dependencies) entry.dependencies = [...dependencies];
+        entry.state = 'registered';
+        if (isStarted) await startPending();
+      });
+    }
+
+    /**
+     * Enable a module, starting it (and dependents skipped without it) if the app is running
+     * @param {string} name - Module name
+     * @returns {Promise<void>} Resolves once started
+     */
+    function enable(name) {
+      const entry = getEntry(name);
+      return run(async () => {
+        entry.enabled = true;
+        if (isStarted) await startPending();
+      });
+    }
+
+    /**
+     * Disable a module, destroying it and its dependents if they are running
+     * @param {string} name - Module name
+     * @returns {Promise<void>} Resolves once torn down
+     */
+    function disable(name) {
+      const entry = getEntry(name);
+      return run(async () => {
+        entry.enabled = false;
+        await stopModule(entry);
+        entry.state = 'disabled';
+      });
+    }
+
+    /**
+     * Order modules so each comes after its dependencies, otherwise keeping
+     * registration order. Unknown dependencies and cycles are left for
+     * startModule() to report as unmet.
+     * @returns {Object[]} Registry entries
+     */
+    function getOrder() {
+      const order = [];
+      const visiting = new Set();
+
+      const visit = entry => {
+        if (order.includes(entry) || visiting.has(entry)) return;
+
+        visiting.add(entry);
+        entry.dependencies.forEach(dependency => {
+          if (registry.has(dependency)) visit(registry.get(dependency));
+        });
+        visiting.delete(entry);
+        order.push(entry);
+      };
+
+      registry.forEach(visit);
+      return order;
+    }
+
+    /**
+     * Call a module's destroy(), reporting a failure without stopping the others
+     * @param {Object} entry - Registry entry
+     * @returns {Promise<void>} Resolves once torn down
+     */
+    async function callDestroy(entry) {
+      try {
+        await entry.module.destroy?.();
+      } catch (error) {
+        console.error(`${entry.name} failed to tear down:`, error);
+        Monitoring.reportError(error, { module: entry.name, phase: 'destroy' });
+      }
+    }
+
+    /**
+     * Initialize one module, isolating and reporting a failure
+     * @param {Object} entry - Registry entry
+     * @returns {Promise<void>} Resolves once the module has started, failed or been skipped
+     */
+    async function startModule(entry) {
+      if (!entry.enabled) {
+        entry.state = 'disabled';
+        return;
+      }
+
+      const unmet = entry.dependencies.filter(dependency => registry.get(dependency)?.state !== 'running');
+      if (unmet.length) {
+        if (entry.state !== 'skipped') {
+          console.warn(`${entry.name} skipped: requires ${unmet.join(', ')}`);
+        }
+        entry.state = 'skipped';
+        return;
+      }
+
+      try {
+        await entry.module.init();
+        entry.state = 'running';
+      } catch (error) {
+        entry.state = 'failed';
+        console.error(`${entry.name} failed to initialize:`, error);
+        Monitoring.reportError(error, { module: entry.name });
+        // Undo whatever init() set up before it threw
+        await callDestroy(entry);
+      }
+    }
+
+    /**
+     * Destroy a running module, destroying its dependents first. Dependents
+     * are marked skipped so they start again along with the module.
+     * @param {Object} entry - Registry entry
+     * @returns {Promise<void>} Resolves once torn down
+     */
+    async function stopModule(entry) {
+      if (entry.state !== 'running') return;
+
+      const dependents = getOrder().filter(other => other.dependencies.includes(entry.name)).reverse();
+      for (const dependent of dependents) {
+        if (dependent.state !== 'running') continue;
+        await stopModule(dependent);
+        dependent.state = 'skipped';
+      }
+
+      await callDestroy(entry);
+      entry.state = 'registered';
+    }
+
+    /**
+     * Start every module that is not running yet, except ones that failed
+     * @returns {Promise<void>} Resolves once done
+     */
+    async function startPending() {
+      for (const entry of getOrder()) {
+        if (['registered', 'skipped', 'disabled'].includes(entry.state)) {
+          await startModule(entry);
+        }
+      }
+    }
+
+    /**
+     * Initialize all enabled modules
+     * @returns {Promise<Object<string, string>>} Module states, see getStatus()
+     */
+    function start() {
+      return run(async () => {
+        isStarted = true;
+        await startPending();
+
+        const missing = getOrder()
+          .filter(entry => entry.state === 'failed' || entry.state === 'skipped')
+          .map(entry => entry.name);
+
+        if (missing.length) {
+          console.warn(`FoodEase initialized without: ${missing.join(', ')}`);
+        } else {
+          console.log('FoodEase interactive features initialized successfully');
+        }
+
+        return getStatus();
+      });
+    }
+
+    /**
+     * Destroy every running module, newest first. start() initializes them
+     * again, retrying ones that failed.
+     * @returns {Promise<void>} Resolves once torn down
+     */
+    function destroy() {
+      return run(async () => {
+        for (const entry of getOrder().reverse()) {
+          await stopModule(entry);
+          entry.state = entry.enabled ? 'registered' : 'disabled';
+        }
+        isStarted = false;
+      });
+    }
+
+    /**
+     * Copy known keys onto CONFIG or SELECTORS
+     * @param {Object} target - CONFIG or SELECTORS
+     * @param {Object} values - Replacement values
+     * @param {string} label - Name for warnings
+     */
+    function assign(target, values, label) {
+      Object.entries(values).forEach(([key, value]) => {
+        if (!(key in target)) {
+          console.warn(`Unknown ${label} key "${key}" ignored`);
+          return;
+        }
+        target[key] = value;
+      });
+    }
+
+    /**
+     * Change CONFIG and SELECTORS values. Modules read most values when
+     * they initialize, so configure before start() or re-enable the
+     * modules affected.
+     * @param {Object} [options] - Options
+     * @param {Object} [options.CONFIG] - CONFIG values, e.g. {ANALYTICS_ENDPOINT: "/collect"}
+     * @param {Object} [options.SELECTORS] - SELECTORS values, e.g. {CONTACT_FORM: "#support-form"}
+     */
+    function configure({ CONFIG: config = {}, SELECTORS: selectors = {} } = {}) {
+      assign(CONFIG, config, 'CONFIG');
+      assign(SELECTORS, selectors, 'SELECTORS');
+    }
+
+    /**
+     * Get a registered module
+     * @param {string} name - Module name
+     * @returns {Object|undefined} Module
+     */
+    function get(name) {
+      return registry.get(name)?.module;
+    }
+
+    /**
+     * Report each module's state: "registered", "running", "failed",
+     * "skipped" (a dependency is not running) or "disabled"
+     * @returns {Object<string, string>} States keyed by module name
+     */
+    function getStatus() {
+      return Object.fromEntries(getOrder().map(entry => [entry.name, entry.state]));
+    }
+
+    return { register, override, enable, disable, start, destroy, configure, get, getStatus };
   })();
 
   // ============================================
@@ -853,37 +9687,125 @@
   // ============================================
 
   /**
-   * Initialize all modules
+   * Register the built-in modules. Monitoring starts first so it sees every
+   * failure, then translations load so modules render in the visitor's
+   * language. Router starts after the other modules so their route handlers
+   * are registered; SmoothScroll and QuickOrder depend on it and follow it.
    */
-  function initializeApp() {
-    try {
-      if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', runInitialization);
-      } else {
-        runInitialization();
-      }
-    } catch (error) {
-      console.error('Failed to initialize application:', error);
-    }
+  function registerModules() {
+    [
+      ['Monitoring', Monitoring],
+      ['I18n', I18n],
+      ['Consent', Consent],
+      ['Analytics', Analytics, ['Consent']],
+      ['Theme', Theme],
+      ['MobileNavigation', MobileNavigation],
+      ['ScrollSpy', ScrollSpy],
+      ['ResponsiveImages', ResponsiveImages],
+      ['LazyLoading', LazyLoading],
+      ['PhoneInput', PhoneInput],
+      ['SpamProtection', SpamProtection],
+      ['FormValidation', FormValidation],
+      ['DeliveryZones', DeliveryZones],
+      ['ZoneHours', ZoneHours, ['DeliveryZones']],
+      ['CoverageMap', CoverageMap, ['DeliveryZones']],
+      ['DeliverySearch', DeliverySearch, ['DeliveryZones']],
+      ['RestaurantBrowser', RestaurantBrowser],
+      ['TestimonialsCarousel', TestimonialsCarousel],
+      ['Testimonials', Testimonials, ['TestimonialsCarousel']],
+      ['ScrollAnimations', ScrollAnimations],
+      ['Router', Router],
+      ['SmoothScroll', SmoothScroll, ['Router']],
+      ['QuickOrder', QuickOrder, ['DeliveryZones', 'Router', 'ZoneHours']],
+    ].forEach(([name, module, dependencies]) => App.register(name, module, { dependencies }));
   }
 
   /**
-   * Run initialization sequence
+   * Apply window.FoodEaseConfig, if the page set one before this script, e.g.
+   * { CONFIG: {...}, SELECTORS: {...}, modules: { Analytics: false }, autoStart: false },
+   * then start once the DOM is ready. Pages that configure from a later
+   * script should set autoStart to false and call FoodEase.start() themselves.
    */
-  function runInitialization() {
-    try {
-      MobileNavigation.init();
-      SmoothScroll.init();
-      LazyLoading.init();
-      FormValidation.init();
-      ScrollAnimations.init();
+  function initializeApp() {
+    const options = window.FoodEaseConfig || {};
 
-      console.log('FoodEase interactive features initialized successfully');
+    try {
+      registerModules();
+      App.configure(options);
+      Object.entries(options.modules || {}).forEach(([name, enabled]) => {
+        enabled ? App.enable(name) : App.disable(name);
+      });
     } catch (error) {
-      console.error('Error during initialization:', error);
+      console.error('Failed to configure application:', error);
+    }
+
+    if (options.autoStart === false) return;
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => App.start(), { once: true });
+    } else {
+      // Give modules importing this one a chance to configure it first
+      queueMicrotask(() => App.start());
     }
   }
 
+  const api = Object.assign(window.FoodEase || {}, {
+    register: App.register,
+    override: App.override,
+    enable: App.enable,
+    disable: App.disable,
+    start: App.start,
+    destroy: App.destroy,
+    configure: App.configure,
+    get: App.get,
+    getStatus: App.getStatus,
+    config: CONFIG,
+    selectors: SELECTORS,
+    utils: Object.freeze({
+      debounce,
+      throttle,
+    }),
+    validation: Object.freeze({
+      rules: ValidationRules,
+      attach: FormValidation.attach,
+      addRules: FormValidation.addRules,
+      validateField: FormValidation.validateField,
+      validateForm: FormValidation.validateForm,
+    }),
+    events: Object.freeze({
+      on: EventBus.on,
+      off: EventBus.off,
+      emit: EventBus.emit,
+    }),
+    monitoring: Object.freeze({
+      report: Monitoring.report,
+      setTransport: Monitoring.setTransport,
+      createBeaconTransport: Monitoring.createBeaconTransport,
+    }),
+    consent: Object.freeze({
+      show: Consent.show,
+      setStatus: Consent.setStatus,
+      getStatus: Consent.getStatus,
+    }),
+    order: Object.freeze({
+      open: QuickOrder.open,
+      close: QuickOrder.close,
+      getCart: QuickOrder.getCart,
+      getTotals: QuickOrder.getTotals,
+    }),
+    i18n: Object.freeze({
+      t: I18n.t,
+      setLocale: I18n.setLocale,
+      getLocale: I18n.getLocale,
+      onChange: I18n.onChange,
+    }),
+  });
+
+  window.FoodEase = api;
   initializeApp();
 
-})();
\ No newline at end of file
+  return api;
+})();
+
+export default FoodEase;
+export const { register, override, enable, disable, start, destroy, configure, get } = FoodEase;
@@ -0,0 +1,257 @@
+/**
+ * Loads index.html and script.js into jsdom, offline, with fake timers and
+ * an IntersectionObserver the test drives by hand
+ */
+
+import { readFileSync, existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const ROOT = fileURLToPath(new URL('../..', import.meta.url));
+
+// Tests start the app themselves once it is configured
+const BASE_CONFIG = Object.freeze({
+  autoStart: false,
+  CONFIG: {
+    REQUEST_RETRIES: 0,
+    SPAM_MIN_SUBMIT_TIME: 0,
+  },
+});
+
+/**
+ * Replace the window's timers with a clock that only moves when ticked
+ * @param {Window} window - jsdom window
+ * @returns {{tick: Function, now: Function, pending: Function}} Clock
+ */
+export function installClock(window) {
+  const timers = new Map();
+  let current = 0;
+  let nextId = 1;
+
+  const schedule = (callback, delay, args, repeat) => {
+    const id = nextId++;
+    const interval = Math.max(Number(delay) || 0, 0);
+    timers.set(id, { callback, args, at: current + interval, interval: repeat ? Math.max(interval, 1) : null });
+    return id;
+  };
+
+  window.setTimeout = (callback, delay, ...args) => schedule(callback, delay, args, false);
+  window.setInterval = (callback, delay, ...args) => schedule(callback, delay, args, true);
+  window.clearTimeout = id => timers.delete(id);
+  window.clearInterval = id => timers.delete(id);
+
+  return {
+    /**
+     * Advance time, running every timer that falls due in order
+     * @param {number} ms - Milliseconds
+     */
+    tick(ms) {
+      const end = current + ms;
+
+      for (;;) {
+        let dueId = null;
+        timers.forEach((timer, id) => {
+          if (timer.at <= end && (dueId === null || timer.at < timers.get(dueId).at)) dueId = id;
+        });
+        if (dueId === null) break;
+
+        const timer = timers.get(dueId);
+        current = timer.at;
+        if (timer.interval) {
+          timer.at += timer.interval;
+        } else {
+          timers.delete(dueId);
+        }
+        timer.callback(...timer.args);
+      }
+
+      current = end;
+    },
+    now: () => current,
+    pending: () => timers.size,
+  };
+}
+
+/**
+ * IntersectionObserver stand-in; call intersect() to report an element
+ * entering or leaving the viewport
+ * @param {Window} window - jsdom window
+ * @returns {{observers: Object[], intersect: Function, isObserved: Function}} Controller
+ */
+export function installIntersectionObserver(window) {
+  const observers = [];
+
+  window.IntersectionObserver = class IntersectionObserver {
+    constructor(callback, options = {}) {
+      this.callback = callback;
+      this.options = options;
+      this.targets = new Set();
+      observers.push(this);
+    }
+
+    observe(target) {
+      this.targets.add(target);
+    }
+
+    unobserve(target) {
+      this.targets.delete(target);
+    }
+
+    disconnect() {
+      this.targets.clear();
+    }
+
+    takeRecords() {
+      return [];
+    }
+  };
+
+  return {
+    observers,
+    intersect(target, isIntersecting = true) {
+      observers
+        .filter(observer => observer.targets.has(target))
+        .forEach(observer => observer.callback([{
+          target,
+          isIntersecting,
+          intersectionRatio: isIntersecting ? 1 : 0,
+          boundingClientRect: target.getBoundingClientRect(),
+        }], observer));
+    },
+    isObserved(target) {
+      return observers.some(observer => observer.targets.has(target));
+    },
+  };
+}
+
+/**
+ * Serve requests from the repository, or from a handler
+ * @param {Window} window - jsdom window
+ * @param {Function} [handler] - Called with (url, options); return a Response-like object to answer
+ * @returns {Object[]} Requests made, as {url, options}
+ */
+function installFetch(window, handler) {
+  const requests = [];
+
+  window.fetch = async (input, options = {}) => {
+    const url = new URL(input, window.location.href);
+    requests.push({ url, options });
+
+    const handled = await handler?.(url, options);
+    if (handled) return handled;
+
+    const file = path.join(ROOT, url.pathname);
+    if (url.origin !== window.location.origin || !existsSync(file)) {
+      return jsonResponse({}, 404);
+    }
+    return textResponse(readFileSync(file, 'utf8'));
+  };
+
+  return requests;
+}
+
+/**
+ * Build a minimal fetch Response
+ * @param {string} body - Body text
+ * @param {number} [status=200] - HTTP status
+ * @returns {Object} Response-like object
+ */
+export function textResponse(body, status = 200) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    text: async () => body,
+    json: async () => JSON.parse(body),
+  };
+}
+
+/**
+ * Build a JSON fetch Response
+ * @param {*} data - Body
+ * @param {number} [status=200] - HTTP status
+ * @returns {Object} Response-like object
+ */
+export function jsonResponse(data, status = 200) {
+  return textResponse(JSON.stringify(data), status);
+}
+
+/**
+ * Let pending promises, such as fetches and async validation, settle
+ * @returns {Promise<void>} Resolves on a later macrotask
+ */
+export function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Load the page and start the app
+ * @param {Object} [options] - Options
+ * @param {Object} [options.config] - CONFIG overrides
+ * @param {Object<string, boolean>} [options.modules] - Modules to enable or disable
+ * @param {Function} [options.fetch] - Request handler, see installFetch()
+ * @param {number} [options.width=1024] - Viewport width
+ * @param {boolean} [options.start=true] - Start the app
+ * @returns {Promise<Object>} window, document, FoodEase, clock, io, requests, events and close()
+ */
+export async function loadPage({ config = {}, modules = {}, fetch, width = 1024, start = true } = {}) {
+  const html = readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+    .replace(/<script type="module" src="script\.js"[^>]*><\/script>/, '');
+
+  const virtualConsole = new VirtualConsole();
+  const errors = [];
+  virtualConsole.on('error', (...args) => errors.push(args));
+
+  const dom = new JSDOM(html, {
+    url: 'https://foodease.test/',
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole,
+  });
+  const { window } = dom;
+
+  window.innerWidth = width;
+  window.scrollTo = () => {};
+  window.HTMLElement.prototype.scrollIntoView = () => {};
+  window.matchMedia = query => ({
+    matches: false,
+    media: query,
+    addEventListener() {},
+    removeEventListener() {},
+  });
+
+  const clock = installClock(window);
+  const io = installIntersectionObserver(window);
+  const requests = installFetch(window, fetch);
+
+  window.FoodEaseConfig = {
+    ...BASE_CONFIG,
+    modules,
+    CONFIG: { ...BASE_CONFIG.CONFIG, ...config },
+  };
+
+  // jsdom runs classic scripts only, so drop the ES module export lines
+  const source = readFileSync(path.join(ROOT, 'script.js'), 'utf8').replace(/^export .*$/gm, '');
+  window.eval(source);
+
+  const { FoodEase } = window;
+  const events = [];
+  FoodEase.events.on('*', event => events.push(event));
+
+  if (start) {
+    await FoodEase.start();
+    await settle();
+  }
+
+  return {
+    window,
+    document: window.document,
+    FoodEase,
+    clock,
+    io,
+    requests,
+    events,
+    errors,
+    close: () => window.close(),
+  };
+}
@@ -0,0 +1,127 @@
+import { test, describe, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, settle } from './helpers/page.js';
+
+const EVERY_DAY = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const HOURS = [{ dayOfWeek: EVERY_DAY, opens: '09:00', closes: '23:00' }];
+// Downtown's holiday hours from data/delivery-zones.json
+const SPECIAL_HOURS = [
+  { date: '2026-12-25', closed: true },
+  { date: '2026-12-31', opens: '09:00', closes: '02:00' },
+];
+
+describe('zone hours', () => {
+  let page;
+  let hours;
+
+  before(async () => {
+    page = await loadPage({ start: false });
+    hours = page.FoodEase.get('ZoneHours');
+  });
+
+  after(() => page.close());
+
+  /**
+   * Evaluate downtown's hours at an instant
+   * @param {string} iso - ISO timestamp
+   * @param {Object} [options] - getStatus overrides
+   * @returns {Object} Status
+   */
+  function statusAt(iso, options = {}) {
+    return hours.getStatus({ hours: HOURS, specialHours: SPECIAL_HOURS, now: new Date(iso), ...options });
+  }
+
+  test('is open during regular hours with a countdown to closing', () => {
+    // 12:00 in Los Angeles
+    const status = statusAt('2026-12-24T20:00:00Z');
+
+    assert.equal(status.isOpen, true);
+    assert.equal(status.minutesUntilClose, 660);
+    assert.equal(hours.formatStatus(status), 'Open now · closes in 11h');
+  });
+
+  test('is closed before opening and says when it opens today', () => {
+    // 02:00 in Los Angeles
+    const status = statusAt('2026-12-24T10:00:00Z');
+
+    assert.equal(status.isOpen, false);
+    assert.equal(status.nextOpening.offset, 0);
+    assert.equal(hours.formatStatus(status), 'Opens at 9 AM');
+  });
+
+  test('stays open past midnight on holiday hours that close the next day', () => {
+    // 23:30 on December 31, then 01:30 on January 1, in Los Angeles
+    const lateEvening = statusAt('2027-01-01T07:30:00Z');
+    const afterMidnight = statusAt('2027-01-01T09:30:00Z');
+
+    assert.equal(lateEvening.isOpen, true);
+    assert.equal(lateEvening.minutesUntilClose, 150);
+    assert.equal(afterMidnight.isOpen, true);
+    assert.equal(afterMidnight.minutesUntilClose, 30);
+    assert.equal(hours.formatStatus(afterMidnight), 'Open now · closes in 30m');
+  });
+
+  test('closes after the late holiday hours end', () => {
+    // 02:30 on January 1 in Los Angeles
+    const status = statusAt('2027-01-01T10:30:00Z');
+
+    assert.equal(status.isOpen, false);
+    assert.equal(hours.formatStatus(status), 'Opens at 9 AM');
+  });
+
+  test('stays closed on a holiday override and names the next opening', () => {
+    // 12:00 on December 25 in Los Angeles
+    const status = statusAt('2026-12-25T20:00:00Z');
+
+    assert.equal(status.isOpen, false);
+    assert.equal(status.isHoliday, true);
+    assert.equal(status.nextOpening.date, '2026-12-26');
+    assert.equal(hours.formatStatus(status), 'Holiday hours · opens tomorrow at 9 AM');
+  });
+
+  test('evaluates hours in the zone\'s timezone', () => {
+    // 12:00 on December 24 in Los Angeles is 05:00 on December 25 in Tokyo
+    const iso = '2026-12-24T20:00:00Z';
+
+    assert.equal(statusAt(iso).isOpen, true);
+    const tokyo = statusAt(iso, { timeZone: 'Asia/Tokyo' });
+    assert.equal(tokyo.isOpen, false);
+    assert.equal(tokyo.isHoliday, true);
+  });
+});
+
+describe('zone status badges', () => {
+  let page;
+  let now;
+
+  beforeEach(async () => {
+    page = await loadPage({ start: false });
+    now = new Date('2027-01-01T09:00:00Z').getTime();
+    page.FoodEase.get('ZoneHours').setClock(() => new Date(now));
+    await page.FoodEase.start();
+    await settle();
+  });
+
+  afterEach(() => page.close());
+
+  /**
+   * Text of the downtown badge
+   * @returns {string} Badge text
+   */
+  function badge() {
+    return page.document.querySelector('.areas-list [data-zone-id="downtown"] .zone-status').textContent;
+  }
+
+  test('counts down to closing as the clock advances', () => {
+    // 01:00 on January 1 in Los Angeles, an hour before the holiday close
+    assert.equal(badge(), 'Open now · closes in 1h');
+
+    now += 30 * 60 * 1000;
+    page.clock.tick(page.FoodEase.config.ZONE_STATUS_INTERVAL);
+    assert.equal(badge(), 'Open now · closes in 30m');
+
+    now += 60 * 60 * 1000;
+    page.clock.tick(page.FoodEase.config.ZONE_STATUS_INTERVAL);
+    assert.equal(badge(), 'Opens at 9 AM');
+  });
+});
@@ -0,0 +1,50 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, settle } from './helpers/page.js';
+
+/**
+ * Load the page for a visitor who chose Spanish on an earlier visit
+ * @param {Object} [options] - loadPage options
+ * @returns {Promise<Object>} Page
+ */
+async function loadSpanishPage(options = {}) {
+  const page = await loadPage({ ...options, start: false });
+  page.window.localStorage.setItem('foodease:locale', JSON.stringify('es'));
+  await page.FoodEase.start();
+  await settle();
+  return page;
+}
+
+describe('translations', () => {
+  let page;
+
+  afterEach(() => page.close());
+
+  test('switches to the saved language once its catalog loads', async () => {
+    page = await loadSpanishPage();
+
+    assert.equal(page.document.documentElement.lang, 'es');
+    assert.equal(page.document.querySelector('[data-i18n="header.orderNow"]').textContent, 'Pedir ahora');
+  });
+
+  test('starts every module without waiting for a stalled catalog, then stays in English', async () => {
+    page = await loadSpanishPage({
+      fetch: (url, options) => {
+        if (url.pathname !== '/locales/es.json') return null;
+        return new Promise((resolve, reject) => {
+          options.signal.addEventListener('abort', () => reject(new page.window.DOMException('Aborted', 'AbortError')));
+        });
+      },
+    });
+
+    const states = Object.values(page.FoodEase.getStatus());
+    assert.ok(states.every(state => state === 'running'), JSON.stringify(page.FoodEase.getStatus()));
+    assert.ok(page.document.querySelector('.mobile-nav-toggle'));
+
+    page.clock.tick(page.FoodEase.config.REQUEST_TIMEOUT);
+    await settle();
+
+    assert.equal(page.FoodEase.i18n.getLocale(), 'en');
+    assert.equal(page.document.documentElement.lang, 'en');
+  });
+});
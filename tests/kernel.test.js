@@ -0,0 +1,94 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, jsonResponse, settle } from './helpers/page.js';
+
+describe('app kernel', () => {
+  let page;
+
+  afterEach(() => page.close());
+
+  test('starts every built-in module', async () => {
+    page = await loadPage();
+
+    const states = Object.values(page.FoodEase.getStatus());
+    assert.ok(states.length > 0);
+    assert.ok(states.every(state => state === 'running'), JSON.stringify(page.FoodEase.getStatus()));
+  });
+
+  test('isolates a failing module and skips its dependents', async () => {
+    page = await loadPage({ start: false });
+    page.FoodEase.override('DeliveryZones', {
+      init() {
+        throw new Error('zones unavailable');
+      },
+    });
+
+    const status = await page.FoodEase.start();
+    assert.equal(status.DeliveryZones, 'failed');
+    assert.equal(status.ZoneHours, 'skipped');
+    assert.equal(status.CoverageMap, 'skipped');
+    assert.equal(status.ScrollAnimations, 'running');
+  });
+
+  test('skips modules that route through a disabled Router', async () => {
+    page = await loadPage({ modules: { Router: false } });
+
+    const status = page.FoodEase.getStatus();
+    assert.equal(status.Router, 'disabled');
+    assert.equal(status.SmoothScroll, 'skipped');
+    assert.equal(status.QuickOrder, 'skipped');
+  });
+
+  test('reports modules whose data fails to load to monitoring', async () => {
+    page = await loadPage({
+      start: false,
+      fetch: url => (['/data/delivery-zones.json', '/data/testimonials.json'].includes(url.pathname)
+        ? jsonResponse({}, 503)
+        : null),
+    });
+    const reports = [];
+    page.FoodEase.monitoring.setTransport(report => reports.push(report));
+
+    await page.FoodEase.start();
+    await settle();
+
+    const failed = reports.filter(report => report.type === 'error').map(report => report.module).sort();
+    assert.deepEqual(failed, ['CoverageMap', 'DeliveryZones', 'Testimonials', 'ZoneHours']);
+  });
+
+  test('disabling a module tears it down and enabling starts it again', async () => {
+    page = await loadPage();
+    const { FoodEase, document } = page;
+
+    await FoodEase.disable('Theme');
+    assert.equal(document.querySelector('.header-actions .theme-select'), null);
+    assert.equal(FoodEase.getStatus().Theme, 'disabled');
+
+    await FoodEase.enable('Theme');
+    assert.ok(document.querySelector('.header-actions .theme-select'));
+  });
+
+  test('destroy() restores the static page and start() enhances it again', async () => {
+    page = await loadPage();
+    const { FoodEase, document } = page;
+    assert.ok(document.querySelector('.coverage-map'));
+
+    await FoodEase.destroy();
+    assert.equal(document.querySelector('.coverage-map'), null);
+    assert.ok(document.querySelector('.areas-map img'));
+    assert.equal(document.querySelector('.carousel-track'), null);
+
+    await FoodEase.start();
+    await settle();
+    assert.ok(document.querySelector('.coverage-map'));
+    assert.equal(document.querySelectorAll('.mobile-nav-toggle').length, 1);
+  });
+
+  test('configure() changes known CONFIG values only', async () => {
+    page = await loadPage({ config: { CAROUSEL_INTERVAL: 1000 }, start: false });
+
+    assert.equal(page.FoodEase.config.CAROUSEL_INTERVAL, 1000);
+    page.FoodEase.configure({ CONFIG: { NOT_A_SETTING: true } });
+    assert.equal('NOT_A_SETTING' in page.FoodEase.config, false);
+  });
+});
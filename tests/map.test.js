@@ -0,0 +1,71 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, settle } from './helpers/page.js';
+
+describe('coverage map', () => {
+  let page;
+  let svg;
+  let zone;
+
+  beforeEach(async () => {
+    page = await loadPage();
+    await settle();
+    svg = page.document.querySelector('svg.coverage-map');
+    zone = svg.querySelector('.coverage-map-zone');
+    svg.getBoundingClientRect = () => ({ left: 0, top: 0, width: 800, height: 600 });
+  });
+
+  afterEach(() => page.close());
+
+  /**
+   * Dispatch a pointer or click event on a zone
+   * @param {string} type - Event type
+   * @param {number} clientX - Client X
+   */
+  function point(type, clientX) {
+    zone.dispatchEvent(new page.window.MouseEvent(type, { bubbles: true, button: 0, clientX, clientY: 300 }));
+  }
+
+  test('zooms to a zone when it is clicked, leaving the click on the zone', () => {
+    const captured = [];
+    svg.setPointerCapture = id => captured.push(id);
+    const initial = svg.getAttribute('viewBox');
+
+    point('pointerdown', 400);
+    point('pointerup', 400);
+    point('click', 400);
+
+    assert.notEqual(svg.getAttribute('viewBox'), initial);
+    assert.equal(captured.length, 0);
+  });
+
+  test('still zooms to a zone when the press jitters by a pixel or two', () => {
+    const captured = [];
+    svg.setPointerCapture = id => captured.push(id);
+    const initial = svg.getAttribute('viewBox');
+
+    point('pointerdown', 400);
+    point('pointermove', 402);
+    assert.equal(svg.getAttribute('viewBox'), initial);
+    point('pointerup', 402);
+    point('click', 402);
+
+    assert.notEqual(svg.getAttribute('viewBox'), initial);
+    assert.equal(captured.length, 0);
+    assert.equal(svg.classList.contains('dragging'), false);
+  });
+
+  test('pans without zooming when a drag ends over a zone', () => {
+    point('click', 400);
+    const zoomed = svg.getAttribute('viewBox');
+
+    point('pointerdown', 400);
+    point('pointermove', 300);
+    point('pointerup', 300);
+    const panned = svg.getAttribute('viewBox');
+    point('click', 300);
+
+    assert.notEqual(panned, zoomed);
+    assert.equal(svg.getAttribute('viewBox'), panned);
+  });
+});
@@ -0,0 +1,108 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from './helpers/page.js';
+
+describe('mobile navigation', () => {
+  let page;
+  let toggle;
+  let nav;
+
+  beforeEach(async () => {
+    page = await loadPage({ width: 375 });
+    toggle = page.document.querySelector('.mobile-nav-toggle');
+    nav = page.document.querySelector('header nav');
+  });
+
+  afterEach(() => page.close());
+
+  /**
+   * Press a key on the document
+   * @param {string} key - Key name
+   */
+  function press(key) {
+    page.document.dispatchEvent(new page.window.KeyboardEvent('keydown', { key, bubbles: true }));
+  }
+
+  test('starts closed with aria-expanded="false"', () => {
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    assert.equal(nav.classList.contains('nav-open'), false);
+  });
+
+  test('opens from the toggle, updating aria-expanded and the label', () => {
+    toggle.click();
+
+    assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+    assert.equal(toggle.getAttribute('aria-label'), 'Close navigation menu');
+    assert.ok(nav.classList.contains('nav-open'));
+    assert.ok(page.document.body.classList.contains('nav-scroll-locked'));
+    assert.equal(page.document.activeElement, nav.querySelector('a[href]'));
+    assert.equal(page.events.at(-1).type, 'menu_toggle');
+    assert.equal(page.events.at(-1).detail.open, true);
+  });
+
+  test('makes the rest of the page inert while open', () => {
+    toggle.click();
+    assert.equal(page.document.querySelector('main').inert, true);
+
+    toggle.click();
+    assert.equal(page.document.querySelector('main').inert, false);
+  });
+
+  test('closes on Escape and returns focus to the toggle', () => {
+    toggle.click();
+    press('Escape');
+
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    assert.equal(toggle.getAttribute('aria-label'), 'Open navigation menu');
+    assert.equal(page.document.activeElement, toggle);
+    assert.equal(page.document.body.classList.contains('nav-scroll-locked'), false);
+  });
+
+  test('closes on a click outside the drawer', () => {
+    toggle.click();
+    page.document.querySelector('footer').click();
+
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+  });
+
+  test('copies the header actions into the drawer', () => {
+    const actions = nav.querySelector('.nav-drawer-actions');
+    assert.ok(actions.querySelector('.theme-select'));
+    assert.ok(actions.querySelector('.language-select'));
+  });
+
+  test('destroy() removes the toggle and closes the drawer', async () => {
+    toggle.click();
+    await page.FoodEase.disable('MobileNavigation');
+
+    assert.equal(page.document.querySelector('.mobile-nav-toggle'), null);
+    assert.equal(nav.querySelector('.nav-drawer-actions'), null);
+    assert.equal(nav.classList.contains('nav-open'), false);
+    assert.equal(page.document.querySelector('main').inert, false);
+  });
+});
+
+describe('router', () => {
+  let page;
+
+  beforeEach(async () => {
+    page = await loadPage({ start: false });
+  });
+
+  afterEach(() => page.close());
+
+  test('parses the path and query of a hash', () => {
+    const route = page.FoodEase.get('Router').parse('#cuisines?type=italian&zone=midtown');
+
+    assert.equal(route.path, 'cuisines');
+    assert.equal(route.params.type, 'italian');
+    assert.equal(route.params.zone, 'midtown');
+  });
+
+  test('keeps a malformed percent-encoded path as typed', () => {
+    const router = page.FoodEase.get('Router');
+
+    assert.equal(router.parse('#%E0').path, '%E0');
+    assert.equal(router.parse('#caf%C3%A9').path, 'café');
+  });
+});
@@ -0,0 +1,150 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from './helpers/page.js';
+
+describe('lazy loading', () => {
+  let page;
+
+  beforeEach(async () => {
+    page = await loadPage();
+  });
+
+  afterEach(() => page.close());
+
+  test('keeps a deferred image on its placeholder until it scrolls into view', () => {
+    const img = page.document.createElement('img');
+    img.dataset.src = '/images/dish.jpg';
+    img.dataset.placeholder = 'data:image/gif;base64,R0lGODlhAQABAAAAACw=';
+    page.document.body.appendChild(img);
+
+    page.FoodEase.get('LazyLoading').observe([img]);
+    assert.equal(img.getAttribute('src'), img.dataset.placeholder);
+    assert.ok(img.classList.contains('lazy-placeholder'));
+    assert.ok(page.io.isObserved(img));
+
+    page.io.intersect(img);
+    assert.equal(img.getAttribute('src'), '/images/dish.jpg');
+    assert.equal(img.dataset.src, undefined);
+    assert.equal(page.io.isObserved(img), false);
+  });
+
+  test('stops watching native lazy images once they approach', () => {
+    const img = page.document.querySelector('img[loading="lazy"]');
+    assert.ok(page.io.isObserved(img));
+
+    page.io.intersect(img);
+    assert.equal(page.io.isObserved(img), false);
+  });
+
+  test('loads waiting images when the module is destroyed', async () => {
+    const img = page.document.createElement('img');
+    img.dataset.src = '/images/late.jpg';
+    page.document.body.appendChild(img);
+    page.FoodEase.get('LazyLoading').observe([img]);
+
+    await page.FoodEase.disable('LazyLoading');
+    assert.equal(img.getAttribute('src'), '/images/late.jpg');
+  });
+
+  test('drops pending retries and load listeners when the module is destroyed', async () => {
+    const img = page.document.createElement('img');
+    img.dataset.src = '/images/broken.jpg';
+    page.document.body.appendChild(img);
+    page.FoodEase.get('LazyLoading').observe([img]);
+    page.io.intersect(img);
+    img.dispatchEvent(new page.window.Event('error'));
+
+    await page.FoodEase.disable('LazyLoading');
+    img.removeAttribute('src');
+    page.clock.tick(page.FoodEase.config.LAZY_RETRY_DELAY * 4);
+    img.dispatchEvent(new page.window.Event('load'));
+
+    assert.equal(img.hasAttribute('src'), false);
+    assert.equal(img.classList.contains('loaded'), false);
+  });
+});
+
+describe('responsive images', () => {
+  let page;
+
+  beforeEach(async () => {
+    page = await loadPage();
+  });
+
+  afterEach(() => page.close());
+
+  test('leaves the eager hero image with the srcset written in the markup', () => {
+    const hero = page.document.querySelector('.hero-image img');
+
+    assert.equal(hero.getAttribute('sizes'), '(min-width: 1280px) 640px, 50vw');
+    assert.match(hero.getAttribute('srcset'), /^https:\/\/images\.unsplash\.com\/\S+w=640 640w,/);
+    assert.equal(hero.getAttribute('src'), 'https://images.unsplash.com/photo-1504674900247-0877df9cc836?w=1920&q=85');
+  });
+
+  test('adds a srcset to lazy Unsplash images', () => {
+    const img = page.document.querySelector('img[loading="lazy"][src*="images.unsplash.com"]');
+    assert.match(img.getAttribute('srcset'), /\d+w$/);
+    assert.ok(img.getAttribute('sizes'));
+  });
+
+  test('destroy() restores the attributes the page was written with', async () => {
+    const bare = await loadPage({ start: false });
+    const img = bare.document.querySelector('img[loading="lazy"][src*="images.unsplash.com"]');
+    const ogImage = bare.document.querySelector('meta[property="og:image"]');
+    const src = img.getAttribute('src');
+    const ogContent = ogImage.getAttribute('content');
+
+    await bare.FoodEase.start();
+    assert.ok(img.hasAttribute('srcset'));
+
+    await bare.FoodEase.disable('ResponsiveImages');
+    assert.equal(img.getAttribute('src'), src);
+    assert.equal(img.hasAttribute('srcset'), false);
+    assert.equal(img.hasAttribute('sizes'), false);
+    assert.equal(ogImage.getAttribute('content'), ogContent);
+    bare.close();
+  });
+});
+
+describe('scroll animations', () => {
+  let page;
+
+  beforeEach(async () => {
+    page = await loadPage();
+  });
+
+  afterEach(() => page.close());
+
+  test('reveals cards as they enter the viewport', () => {
+    const card = page.document.querySelector('.service-card');
+    assert.ok(card.classList.contains('animate-on-scroll'));
+    assert.equal(card.classList.contains('visible'), false);
+
+    page.io.intersect(card, false);
+    assert.equal(card.classList.contains('visible'), false);
+
+    page.io.intersect(card);
+    assert.ok(card.classList.contains('visible'));
+    assert.equal(page.io.isObserved(card), false);
+  });
+
+  test('publishes section_view once per section', () => {
+    const section = page.document.getElementById('services');
+    page.io.intersect(section);
+    page.io.intersect(section);
+
+    const views = page.events.filter(event => event.type === 'section_view');
+    assert.deepEqual(views.map(event => event.detail.section), ['services']);
+  });
+
+  test('shows every card when IntersectionObserver is missing', async () => {
+    const bare = await loadPage({ start: false });
+    delete bare.window.IntersectionObserver;
+    await bare.FoodEase.start();
+
+    const card = bare.document.querySelector('.service-card');
+    assert.equal(card.classList.contains('animate-on-scroll'), false);
+    assert.equal(card.style.opacity, '1');
+    bare.close();
+  });
+});
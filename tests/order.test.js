@@ -0,0 +1,367 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, jsonResponse, settle } from './helpers/page.js';
+
+const CART_KEY = 'foodease:cart';
+
+/**
+ * Let the menu data load and the modal render
+ */
+async function flush() {
+  for (let i = 0; i < 3; i++) await settle();
+}
+
+describe('quick order', () => {
+  let page;
+  let dialog;
+
+  /**
+   * Open the modal from the header's "Order Now" button
+   */
+  async function openFromHeader() {
+    page.document.querySelector('.header-actions [data-order-now]').click();
+    await flush();
+    dialog = page.document.querySelector('.order-dialog');
+  }
+
+  /**
+   * Choose a radio option and continue
+   * @param {string} name - Radio group
+   * @param {string} value - Option value
+   */
+  function choose(name, value) {
+    dialog.querySelector(`input[name="${name}"][value="${value}"]`).checked = true;
+    dialog.querySelector('button[type="submit"]').click();
+  }
+
+  /**
+   * Press a quantity button
+   * @param {string} dish - Dish id
+   * @param {number} change - 1 or -1
+   */
+  function step(dish, change) {
+    dialog.querySelector(`button[data-dish="${dish}"][data-change="${change}"]`).click();
+  }
+
+  describe('flow', () => {
+    beforeEach(async () => {
+      page = await loadPage({ config: { ORDER_MOCK_DELAY: 100 } });
+      await openFromHeader();
+    });
+
+    afterEach(() => page.close());
+
+    test('opens an accessible modal from "Order Now"', () => {
+      const trigger = page.document.querySelector('.header-actions [data-order-now]');
+      assert.equal(trigger.getAttribute('aria-haspopup'), 'dialog');
+
+      assert.equal(dialog.getAttribute('role'), 'dialog');
+      assert.equal(dialog.getAttribute('aria-modal'), 'true');
+      assert.equal(page.document.getElementById(dialog.getAttribute('aria-labelledby')).textContent, 'Where should we deliver?');
+      assert.equal(page.document.activeElement.id, 'order-title');
+      assert.equal(page.document.querySelector('main').inert, true);
+      assert.equal(page.window.location.hash, '#order');
+    });
+
+    test('closes on Escape and returns focus to "Order Now"', () => {
+      page.document.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+      assert.equal(page.document.querySelector('.order-modal').hidden, true);
+      assert.equal(page.document.querySelector('main').inert, false);
+      assert.equal(page.document.activeElement, page.document.querySelector('.header-actions [data-order-now]'));
+      assert.equal(page.window.location.hash, '');
+    });
+
+    test('asks for a zone before continuing', () => {
+      dialog.querySelector('button[type="submit"]').click();
+
+      const status = dialog.querySelector('.order-status');
+      assert.equal(status.textContent, 'Please choose a delivery area.');
+      assert.equal(page.document.activeElement, dialog.querySelector('input[name="zone"]'));
+    });
+
+    test('lists only restaurants that deliver to the chosen zone', () => {
+      choose('zone', 'uptown');
+
+      const restaurants = Array.from(dialog.querySelectorAll('input[name="restaurant"]'), input => input.value);
+      assert.ok(restaurants.length > 0);
+      assert.ok(restaurants.includes('nonna-lucia'));
+      assert.equal(restaurants.includes('slice-district'), false);
+      assert.equal(dialog.querySelector('.order-progress').textContent, 'Step 2 of 4');
+    });
+
+    test('totals the cart with the zone delivery fee and tax', () => {
+      choose('zone', 'downtown');
+      choose('restaurant', 'trattoria-roma');
+
+      step('margherita', 1);
+      step('margherita', 1);
+      step('tiramisu', 1);
+      assert.equal(dialog.querySelector('.order-status').textContent, 'Tiramisù: 1 in your cart');
+      assert.equal(page.document.activeElement.dataset.dish, 'tiramisu');
+
+      dialog.querySelector('button[type="submit"]').click();
+
+      const values = Array.from(dialog.querySelectorAll('.order-totals dd'), dd => dd.textContent);
+      // 2 × $14.50 + $8.00, $2.99 downtown fee, 8.625% tax on the food
+      assert.deepEqual(values, ['$37.00', '$2.99', '$3.19', '$43.18']);
+      assert.match(dialog.querySelector('.order-eta').textContent, /about 30m/);
+      assert.equal(page.FoodEase.order.getTotals().total, 4318);
+    });
+
+    test('updates quantities in the cart and removes emptied lines', () => {
+      choose('zone', 'downtown');
+      choose('restaurant', 'trattoria-roma');
+      step('margherita', 1);
+      step('tiramisu', 1);
+      dialog.querySelector('button[type="submit"]').click();
+
+      step('tiramisu', -1);
+
+      assert.equal(dialog.querySelectorAll('.order-line').length, 1);
+      assert.equal(dialog.querySelector('.order-status').textContent, 'Tiramisù removed from your cart');
+      assert.deepEqual({ ...page.FoodEase.order.getCart().items }, { margherita: 1 });
+    });
+
+    test('places the order with the mock backend and shows the zone ETA', async () => {
+      choose('zone', 'midtown');
+      choose('restaurant', 'trattoria-roma');
+      step('diavola', 1);
+      dialog.querySelector('button[type="submit"]').click();
+      dialog.querySelector('button[type="submit"]').click();
+
+      assert.equal(dialog.querySelector('.order-status').textContent, 'Placing your order...');
+      assert.equal(dialog.querySelector('button[type="submit"]').disabled, true);
+
+      page.clock.tick(100);
+      await flush();
+
+      assert.equal(dialog.querySelector('#order-title').textContent, 'Order placed');
+      assert.match(dialog.querySelector('.order-body').textContent, /#[0-9A-F]{8}/);
+      assert.match(dialog.querySelector('.order-eta').textContent, /about 35m/);
+
+      const submitted = page.events.find(event => event.type === 'order_submit');
+      assert.equal(submitted.detail.status, 'placed');
+      const cart = page.FoodEase.order.getCart();
+      assert.equal(cart.zone, 'midtown');
+      assert.equal(cart.restaurant, null);
+      assert.equal(Object.keys(cart.items).length, 0);
+    });
+
+    test('locks the dialog while the order is being placed', async () => {
+      choose('zone', 'downtown');
+      choose('restaurant', 'trattoria-roma');
+      step('margherita', 1);
+      dialog.querySelector('button[type="submit"]').click();
+      dialog.querySelector('button[type="submit"]').click();
+
+      const controls = Array.from(dialog.querySelectorAll('button, input'));
+      assert.ok(controls.every(control => control.disabled));
+      assert.equal(dialog.querySelector('.order-form').getAttribute('aria-busy'), 'true');
+
+      page.document.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+      page.document.querySelector('.order-backdrop').click();
+      assert.equal(page.document.querySelector('.order-modal').hidden, false);
+
+      page.clock.tick(100);
+      await flush();
+
+      assert.equal(dialog.querySelector('#order-title').textContent, 'Order placed');
+      assert.equal(dialog.querySelector('.order-close').disabled, false);
+      assert.equal(dialog.querySelector('button[type="submit"]').disabled, false);
+    });
+
+    test('keeps dishes added in another tab while the order was in flight', async () => {
+      choose('zone', 'downtown');
+      choose('restaurant', 'trattoria-roma');
+      step('margherita', 1);
+      dialog.querySelector('button[type="submit"]').click();
+      dialog.querySelector('button[type="submit"]').click();
+
+      const saved = JSON.parse(page.window.localStorage.getItem(CART_KEY));
+      saved.items = { margherita: 1, tiramisu: 2 };
+      page.window.localStorage.setItem(CART_KEY, JSON.stringify(saved));
+      page.window.dispatchEvent(new page.window.StorageEvent('storage', { key: CART_KEY }));
+
+      page.clock.tick(100);
+      await flush();
+
+      assert.deepEqual({ ...page.FoodEase.order.getCart().items }, { tiramisu: 2 });
+    });
+
+    test('saves the cart as it changes', () => {
+      choose('zone', 'downtown');
+      choose('restaurant', 'slice-district');
+      step('garlic-knots', 1);
+
+      const saved = JSON.parse(page.window.localStorage.getItem(CART_KEY));
+      assert.equal(saved.zone, 'downtown');
+      assert.equal(saved.restaurant, 'slice-district');
+      assert.deepEqual(saved.items, { 'garlic-knots': 1 });
+    });
+
+    test('ignores a quantity button for a dish no longer on the menu', () => {
+      choose('zone', 'downtown');
+      choose('restaurant', 'slice-district');
+      step('garlic-knots', 1);
+
+      // As left behind when another tab switches the cart to a different restaurant
+      const errors = [];
+      page.window.addEventListener('error', event => errors.push(event.error));
+      dialog.querySelector('button[data-dish="garlic-knots"][data-change="1"]').dataset.dish = 'margherita';
+      step('margherita', 1);
+
+      assert.deepEqual(errors, []);
+      assert.deepEqual({ ...page.FoodEase.order.getCart().items }, { 'garlic-knots': 1 });
+    });
+  });
+
+  describe('when the menu cannot be loaded', () => {
+    let menuAvailable;
+
+    beforeEach(async () => {
+      menuAvailable = false;
+      page = await loadPage({
+        fetch: url => (url.pathname === '/data/menus.json' && !menuAvailable ? jsonResponse({}, 503) : null),
+      });
+      await openFromHeader();
+    });
+
+    afterEach(() => page.close());
+
+    test('explains the problem in the dialog', () => {
+      assert.equal(page.document.querySelector('.order-modal').hidden, false);
+      assert.equal(dialog.querySelector('#order-title').textContent, 'Ordering is unavailable');
+      assert.match(dialog.querySelector('.order-body').textContent, /could not load the menu/);
+      assert.equal(dialog.querySelector('button[type="submit"]').textContent, 'Try again');
+    });
+
+    test('resets the route when the dialog is closed', () => {
+      assert.equal(page.window.location.hash, '#order');
+      dialog.querySelector('.order-close').click();
+      assert.equal(page.window.location.hash, '');
+    });
+
+    test('continues to the first step once a retry succeeds', async () => {
+      menuAvailable = true;
+      dialog.querySelector('button[type="submit"]').click();
+      await flush();
+
+      assert.equal(dialog.querySelector('#order-title').textContent, 'Where should we deliver?');
+    });
+  });
+
+  describe('as a module', () => {
+    afterEach(() => page.close());
+
+    test('opens from an "#order" link on page load', async () => {
+      page = await loadPage({ start: false });
+      page.window.history.replaceState(null, '', '#order');
+      await page.FoodEase.start();
+      await flush();
+
+      assert.equal(page.FoodEase.getStatus().QuickOrder, 'running');
+      assert.equal(page.document.querySelector('.order-modal').hidden, false);
+    });
+
+    test('stops when the delivery zones it depends on are disabled', async () => {
+      page = await loadPage();
+      await openFromHeader();
+
+      await page.FoodEase.disable('DeliveryZones');
+      assert.equal(page.FoodEase.getStatus().QuickOrder, 'skipped');
+      assert.equal(page.document.querySelector('.order-modal'), null);
+      assert.equal(page.document.querySelector('main').inert, false);
+
+      await page.FoodEase.enable('DeliveryZones');
+      assert.equal(page.FoodEase.getStatus().QuickOrder, 'running');
+    });
+  });
+
+  describe('from the mobile drawer', () => {
+    beforeEach(async () => {
+      page = await loadPage({ width: 375 });
+    });
+
+    afterEach(() => page.close());
+
+    test('closes the drawer and returns focus to the menu toggle', async () => {
+      const toggle = page.document.querySelector('.mobile-nav-toggle');
+      toggle.click();
+      page.document.querySelector('.nav-drawer-actions [data-order-now]').click();
+      await flush();
+
+      assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+      assert.equal(page.document.querySelector('.order-modal').hidden, false);
+
+      page.document.querySelector('.order-close').click();
+      assert.equal(page.document.activeElement, toggle);
+    });
+  });
+
+  describe('saved cart', () => {
+    afterEach(() => page.close());
+
+    /**
+     * Load the page with a cart already in storage
+     * @param {Object} cart - Saved cart
+     * @param {Object} [options] - loadPage options
+     */
+    async function loadWithCart(cart, options = {}) {
+      page = await loadPage({ ...options, start: false });
+      page.window.localStorage.setItem(CART_KEY, JSON.stringify(cart));
+      await page.FoodEase.start();
+      await settle();
+    }
+
+    test('reopens on the cart after a reload', async () => {
+      await loadWithCart({
+        zone: 'uptown',
+        restaurant: 'nonna-lucia',
+        items: { 'osso-buco': 1, 'retired-dish': 2 },
+        updatedAt: Date.now(),
+      });
+      await openFromHeader();
+
+      assert.equal(dialog.querySelector('#order-title').textContent, 'Your cart');
+      assert.deepEqual({ ...page.FoodEase.order.getCart().items }, { 'osso-buco': 1 });
+      assert.match(dialog.querySelector('.order-eta').textContent, /about 40m/);
+    });
+
+    test('drops a cart older than CART_TTL', async () => {
+      await loadWithCart({
+        zone: 'uptown',
+        restaurant: 'nonna-lucia',
+        items: { 'osso-buco': 1 },
+        updatedAt: Date.now() - 2 * 24 * 60 * 60 * 1000,
+      });
+
+      assert.equal(page.window.localStorage.getItem(CART_KEY), null);
+      assert.deepEqual({ ...page.FoodEase.order.getCart().items }, {});
+    });
+
+    test('posts the order to ORDER_ENDPOINT when one is configured', async () => {
+      await loadWithCart({
+        zone: 'downtown',
+        restaurant: 'trattoria-roma',
+        items: { margherita: 2 },
+        updatedAt: Date.now(),
+      }, {
+        config: { ORDER_ENDPOINT: '/api/orders' },
+        fetch: url => (url.pathname === '/api/orders' ? jsonResponse({ error: 'closed' }, 409) : null),
+      });
+      await openFromHeader();
+
+      dialog.querySelector('button[type="submit"]').click();
+      await flush();
+
+      const request = page.requests.find(entry => entry.url.pathname === '/api/orders');
+      const body = JSON.parse(request.options.body);
+      assert.deepEqual(body.items, [{ dish: 'margherita', quantity: 2 }]);
+      assert.equal(body.total, 34.49);
+
+      assert.equal(dialog.querySelector('.order-status').textContent, 'We could not place your order. Please try again.');
+      assert.deepEqual({ ...page.FoodEase.order.getCart().items }, { margherita: 2 });
+    });
+  });
+});
@@ -0,0 +1,48 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, settle } from './helpers/page.js';
+
+describe('restaurant browser', () => {
+  let page;
+
+  beforeEach(async () => {
+    page = await loadPage();
+  });
+
+  afterEach(() => page.close());
+
+  /**
+   * Events published as "cuisine_open" so far
+   * @returns {Object[]} Event details
+   */
+  function cuisineOpens() {
+    return page.events.filter(event => event.type === 'cuisine_open').map(event => event.detail);
+  }
+
+  test('publishes cuisine_open when opened from a cuisine card', async () => {
+    page.document.querySelector('.btn-link[data-cuisine="italian"]').click();
+    await settle();
+
+    assert.ok(page.document.querySelector('.restaurant-browser'));
+    const opens = cuisineOpens();
+    assert.equal(opens.length, 1);
+    assert.equal(opens[0].cuisine, 'italian');
+    assert.equal(opens[0].zone, null);
+    assert.equal(opens[0].source, 'route');
+  });
+
+  test('publishes cuisine_open again when the filters change', async () => {
+    page.document.querySelector('.btn-link[data-cuisine="chinese"]').click();
+    await settle();
+
+    const form = page.document.querySelector('.restaurant-browser form');
+    form.elements.zone.value = 'midtown';
+    form.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+
+    const opens = cuisineOpens();
+    assert.equal(opens.length, 2);
+    assert.equal(opens[1].cuisine, 'chinese');
+    assert.equal(opens[1].zone, 'midtown');
+    assert.equal(opens[1].source, 'filters');
+  });
+});
@@ -0,0 +1,45 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { loadPage } from './helpers/page.js';
+
+// The inline script in index.html that applies the saved theme before first paint
+const BOOTSTRAP = readFileSync(new URL('../index.html', import.meta.url), 'utf8')
+  .match(/<script>\s*(\(function\(\) \{[\s\S]*?\}\)\(\);)\s*<\/script>/)[1];
+
+describe('theme bootstrap', () => {
+  let page;
+
+  beforeEach(async () => {
+    page = await loadPage({ start: false });
+  });
+
+  afterEach(() => page.close());
+
+  /**
+   * Run the bootstrap script with a raw stored value
+   * @param {string|null} raw - localStorage value
+   * @param {string} [key] - Storage key
+   * @returns {string|null} Applied data-theme
+   */
+  function bootWith(raw, key = page.FoodEase.config.THEME_STORAGE_KEY) {
+    if (raw !== null) page.window.localStorage.setItem(key, raw);
+    page.window.eval(BOOTSTRAP);
+    return page.document.documentElement.getAttribute('data-theme');
+  }
+
+  test('reads the key and JSON format that Theme writes', () => {
+    assert.equal(bootWith(JSON.stringify('dark')), 'dark');
+  });
+
+  test('falls back to the system theme for unknown or malformed values', () => {
+    assert.equal(bootWith(JSON.stringify('purple')), 'light');
+    assert.equal(bootWith('dark"><script>'), 'light');
+    assert.equal(bootWith(JSON.stringify({ theme: 'dark' })), 'light');
+  });
+
+  test('follows a storage key configured through FoodEaseConfig', () => {
+    page.window.FoodEaseConfig.CONFIG.THEME_STORAGE_KEY = 'shop:theme';
+    assert.equal(bootWith(JSON.stringify('contrast'), 'shop:theme'), 'contrast');
+  });
+});
@@ -0,0 +1,63 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from './helpers/page.js';
+
+describe('debounce', () => {
+  let page;
+
+  before(async () => {
+    page = await loadPage({ start: false });
+  });
+
+  after(() => page.close());
+
+  test('runs once, after the last call has been quiet for the delay', () => {
+    const calls = [];
+    const debounced = page.FoodEase.utils.debounce(value => calls.push(value), 150);
+
+    debounced('a');
+    page.clock.tick(100);
+    debounced('b');
+    page.clock.tick(149);
+    assert.deepEqual(calls, []);
+
+    page.clock.tick(1);
+    assert.deepEqual(calls, ['b']);
+  });
+
+  test('keeps the calling context', () => {
+    const target = { count: 0 };
+    target.increment = page.FoodEase.utils.debounce(function() {
+      this.count++;
+    }, 10);
+
+    target.increment();
+    page.clock.tick(10);
+    assert.equal(target.count, 1);
+  });
+});
+
+describe('throttle', () => {
+  let page;
+
+  before(async () => {
+    page = await loadPage({ start: false });
+  });
+
+  after(() => page.close());
+
+  test('runs at most once per interval, starting immediately', () => {
+    const calls = [];
+    const throttled = page.FoodEase.utils.throttle(value => calls.push(value), 100);
+
+    throttled(1);
+    throttled(2);
+    page.clock.tick(50);
+    throttled(3);
+    assert.deepEqual(calls, [1]);
+
+    page.clock.tick(50);
+    throttled(4);
+    assert.deepEqual(calls, [1, 4]);
+  });
+});
@@ -0,0 +1,285 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, jsonResponse, settle } from './helpers/page.js';
+
+const VALID_MESSAGE = {
+  name: 'María José',
+  email: 'maria@example.com',
+  subject: 'Late delivery',
+  message: 'My order arrived twenty minutes late.',
+};
+
+/**
+ * Type into a field the way a visitor would
+ * @param {HTMLInputElement} field - Field
+ * @param {string} value - New value
+ */
+function type(field, value) {
+  field.value = value;
+  field.dispatchEvent(new field.ownerDocument.defaultView.Event('input', { bubbles: true }));
+}
+
+describe('validation rules', () => {
+  let page;
+
+  beforeEach(async () => {
+    page = await loadPage({ start: false });
+  });
+
+  afterEach(() => page.close());
+
+  test('email accepts ordinary addresses and rejects malformed ones', async () => {
+    const { email } = page.FoodEase.validation.rules;
+    const rule = email();
+
+    for (const value of ['a@b.co', 'first.last+tag@example.com']) {
+      assert.equal(await rule.validate(value, {}), true, value);
+    }
+    for (const value of ['plain', 'a@b', 'a @b.co', '@example.com']) {
+      assert.equal(await rule.validate(value, {}), false, value);
+    }
+  });
+
+  test('minLength and maxLength count characters', async () => {
+    const { minLength, maxLength } = page.FoodEase.validation.rules;
+
+    assert.equal(await minLength(3).validate('ab', {}), false);
+    assert.equal(await minLength(3).validate('abc', {}), true);
+    assert.equal(await maxLength(3).validate('abcd', {}), false);
+  });
+});
+
+describe('contact form fields', () => {
+  let page;
+  let form;
+
+  beforeEach(async () => {
+    page = await loadPage();
+    form = page.document.querySelector('.contact-form');
+  });
+
+  afterEach(() => page.close());
+
+  test('validates after FORM_VALIDATION_DELAY and marks the field aria-invalid', async () => {
+    const field = form.elements.email;
+    type(field, 'not-an-email');
+
+    page.clock.tick(page.FoodEase.config.FORM_VALIDATION_DELAY - 1);
+    await settle();
+    assert.equal(field.hasAttribute('aria-invalid'), false);
+
+    page.clock.tick(1);
+    await settle();
+    assert.equal(field.getAttribute('aria-invalid'), 'true');
+
+    const message = field.closest('.form-group').querySelector('.error-message');
+    assert.equal(message.getAttribute('role'), 'alert');
+    assert.match(message.textContent, /valid email/);
+  });
+
+  test('clears aria-invalid once the value is fixed', async () => {
+    const field = form.elements.email;
+    type(field, 'not-an-email');
+    field.dispatchEvent(new page.window.Event('blur'));
+    await settle();
+    assert.equal(field.getAttribute('aria-invalid'), 'true');
+
+    type(field, 'maria@example.com');
+    page.clock.tick(page.FoodEase.config.FORM_VALIDATION_DELAY);
+    await settle();
+    assert.equal(field.getAttribute('aria-invalid'), 'false');
+  });
+
+  test('accepts names with accents and apostrophes but not digits', async () => {
+    const field = form.elements.name;
+
+    for (const value of ['Zoë', "O'Brien", 'Jean-Luc Picard', 'María José']) {
+      field.value = value;
+      assert.equal(await page.FoodEase.validation.validateField(field), true, value);
+    }
+    for (const value of ['J', 'R2D2']) {
+      field.value = value;
+      assert.equal(await page.FoodEase.validation.validateField(field), false, value);
+    }
+  });
+});
+
+describe('contact form submission', () => {
+  let page;
+  let form;
+  let response;
+
+  beforeEach(async () => {
+    response = jsonResponse({ ok: true });
+    page = await loadPage({
+      config: { CONTACT_ENDPOINT: '/api/contact' },
+      fetch: url => {
+        if (url.pathname !== '/api/contact') return null;
+        if (response instanceof Error) throw response;
+        return response;
+      },
+    });
+    form = page.document.querySelector('.contact-form');
+  });
+
+  afterEach(() => page.close());
+
+  /**
+   * Submit the form and wait for the request to finish
+   */
+  async function submit() {
+    form.dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+    for (let i = 0; i < 5; i++) await settle();
+  }
+
+  test('blocks an empty form, flags every required field and focuses the first', async () => {
+    await submit();
+
+    const invalid = Array.from(form.querySelectorAll('[aria-invalid="true"]'), field => field.name);
+    assert.deepEqual(invalid, ['name', 'email', 'subject', 'message']);
+    assert.equal(page.document.activeElement, form.elements.name);
+    assert.equal(page.requests.filter(request => request.url.pathname === '/api/contact').length, 0);
+
+    const event = page.events.find(entry => entry.type === 'form_invalid');
+    assert.equal(event.detail.errorCount, 4);
+  });
+
+  test('sends a valid form as JSON and resets it', async () => {
+    Object.entries(VALID_MESSAGE).forEach(([name, value]) => {
+      form.elements[name].value = value;
+    });
+
+    await submit();
+
+    const request = page.requests.find(entry => entry.url.pathname === '/api/contact');
+    assert.ok(request, 'request sent');
+    assert.equal(request.options.method, 'POST');
+    assert.equal(JSON.parse(request.options.body).email, VALID_MESSAGE.email);
+
+    assert.equal(form.elements.name.value, '');
+    assert.ok(page.document.querySelector('.form-message.success'));
+    assert.equal(page.events.find(entry => entry.type === 'form_submit')?.detail.status, 'sent');
+  });
+
+  test('keeps the message and shows an error when the server is unreachable but the visitor is online', async () => {
+    response = new TypeError('Failed to fetch');
+    Object.entries(VALID_MESSAGE).forEach(([name, value]) => {
+      form.elements[name].value = value;
+    });
+
+    await submit();
+
+    assert.equal(form.elements.message.value, VALID_MESSAGE.message);
+    assert.equal(page.document.querySelector('.form-message.queued'), null);
+    assert.match(page.document.querySelector('.form-message.error').textContent, /could not reach our server/);
+    assert.equal(page.window.localStorage.getItem('foodease:contact-outbox'), null);
+    assert.equal(page.events.find(entry => entry.type === 'form_submit')?.detail.status, 'failed');
+  });
+
+  test('queues the message when the visitor is offline', async () => {
+    response = new TypeError('Failed to fetch');
+    Object.defineProperty(page.window.navigator, 'onLine', { configurable: true, get: () => false });
+    Object.entries(VALID_MESSAGE).forEach(([name, value]) => {
+      form.elements[name].value = value;
+    });
+
+    await submit();
+
+    assert.ok(page.document.querySelector('.form-message.queued'));
+    assert.equal(form.elements.message.value, '');
+    assert.equal(page.events.find(entry => entry.type === 'form_submit')?.detail.status, 'queued');
+  });
+
+  test('shows field errors returned by the server', async () => {
+    response = jsonResponse({ errors: { email: 'This address is blocked' } }, 422);
+    Object.entries(VALID_MESSAGE).forEach(([name, value]) => {
+      form.elements[name].value = value;
+    });
+
+    await submit();
+
+    const field = form.elements.email;
+    assert.equal(field.getAttribute('aria-invalid'), 'true');
+    assert.match(field.closest('.form-group').querySelector('.error-message').textContent, /blocked/);
+    assert.equal(page.events.find(entry => entry.type === 'form_submit')?.detail.status, 'failed');
+  });
+
+  test('ignores a server summary that is not a string', async () => {
+    response = jsonResponse({ message: { code: 'blocked' }, errors: { email: 'This address is blocked' } }, 422);
+    Object.entries(VALID_MESSAGE).forEach(([name, value]) => {
+      form.elements[name].value = value;
+    });
+
+    await submit();
+
+    const summary = page.document.querySelector('.form-message.error');
+    assert.equal(summary.textContent, 'Please correct the highlighted fields and try again.');
+    assert.equal(form.elements.email.getAttribute('aria-invalid'), 'true');
+  });
+});
+
+describe('declarative form submission', () => {
+  let page;
+  let form;
+
+  beforeEach(async () => {
+    page = await loadPage({
+      start: false,
+      fetch: url => (url.pathname === '/api/newsletter' ? jsonResponse({ ok: true }) : null),
+    });
+    page.document.querySelector('main').insertAdjacentHTML('beforeend', `
+      <form class="newsletter-form" data-validate-form data-endpoint="/api/newsletter" novalidate>
+        <div class="form-group">
+          <label for="newsletter-email">Email</label>
+          <input type="email" id="newsletter-email" name="email" required>
+        </div>
+      </form>
+    `);
+    form = page.document.querySelector('.newsletter-form');
+    await page.FoodEase.start();
+  });
+
+  afterEach(() => page.close());
+
+  test('submits a form that has no submit button when Enter is pressed', async () => {
+    form.elements.email.value = 'maria@example.com';
+    form.dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+    for (let i = 0; i < 5; i++) await settle();
+
+    const request = page.requests.find(entry => entry.url.pathname === '/api/newsletter');
+    assert.ok(request, 'request sent');
+    assert.equal(page.events.find(entry => entry.type === 'form_submit')?.detail.status, 'sent');
+    assert.equal(form.elements.email.value, '');
+  });
+});
+
+describe('spam protection', () => {
+  let page;
+
+  beforeEach(async () => {
+    page = await loadPage({ config: { SPAM_POW_DIFFICULTY: 1 }, start: false });
+    // jsdom has no Web Crypto digest; lend it Node's for the proof of work
+    Object.defineProperty(page.window.crypto, 'subtle', { value: globalThis.crypto.subtle });
+    page.window.TextEncoder = TextEncoder;
+    await page.FoodEase.start();
+  });
+
+  afterEach(() => page.close());
+
+  test('removes its hidden fields when torn down, so restarts add no copies', async () => {
+    const form = page.document.querySelector('.contact-form');
+    const count = name => form.querySelectorAll(`[name="${name}"]`).length;
+    const { SPAM_HONEYPOT_FIELD, SPAM_POW_FIELD } = page.FoodEase.config;
+
+    for (let cycle = 0; cycle < 2; cycle++) {
+      await page.FoodEase.get('SpamProtection').prepare(form);
+      assert.equal(count(SPAM_POW_FIELD), 1);
+      assert.equal(count(SPAM_HONEYPOT_FIELD), 1);
+
+      await page.FoodEase.disable('SpamProtection');
+      assert.equal(count(SPAM_POW_FIELD), 0);
+      assert.equal(count(SPAM_HONEYPOT_FIELD), 0);
+      await page.FoodEase.enable('SpamProtection');
+    }
+  });
+});